@@ -36,6 +36,7 @@ const Schemas = {
             enum: ['Dingo', 'Husky'],
           },
         },
+        required: ['breed'],
       },
       {
         type: 'object',
@@ -50,6 +51,7 @@ const Schemas = {
             type: 'integer',
           },
         },
+        required: ['hunts'],
       },
     ],
   },
@@ -88,6 +90,75 @@ const Schemas = {
         type: 'string',
         format: 'ipv6',
       },
+      birthDate: {type: 'string', format: 'date'},
+      createdAt: {type: 'string', format: 'date-time'},
+      openingTime: {type: 'string', format: 'time'},
+      avatar: {type: 'string', format: 'byte'},
+      host: {type: 'string', format: 'hostname'},
+      link: {type: 'string', format: 'uri-reference'},
+      homepage: {type: 'string', format: 'iri'},
+      password: {type: 'string', format: 'password', minLength: 8},
+      phone: {type: 'string', format: 'phone', minLength: 10, maxLength: 10},
+    },
+  },
+  NUMBER_LIMITS: {
+    type: 'object',
+    properties: {
+      rating: {type: 'number', minimum: 0, exclusiveMaximum: 5},
+      discount: {
+        type: 'number',
+        minimum: 0,
+        maximum: 50,
+        exclusiveMinimum: true,
+        multipleOf: 0.5,
+      },
+      quantity: {type: 'integer', exclusiveMinimum: 0, multipleOf: 6},
+      temperature: {type: 'integer', minimum: -10, maximum: -1},
+    },
+  },
+  ARRAY_LIMITS: {
+    type: 'object',
+    properties: {
+      tags: {
+        type: 'array',
+        items: {type: 'string', minLength: 3, maxLength: 8},
+        minItems: 2,
+        maxItems: 4,
+        uniqueItems: true,
+      },
+      ratings: {
+        type: 'array',
+        items: {type: 'integer', minimum: 1, maximum: 5},
+        minItems: 1,
+      },
+      location: {
+        type: 'array',
+        prefixItems: [{type: 'number'}, {type: 'number'}],
+        items: {type: 'string'},
+        uniqueItems: true,
+      },
+    },
+  },
+  PROPERTY_LIMITS: {
+    type: 'object',
+    properties: {
+      labels: {
+        type: 'object',
+        additionalProperties: {type: 'string', maxLength: 10},
+        propertyNames: {pattern: '^[a-z]{3,8}$'},
+        minProperties: 3,
+        maxProperties: 5,
+      },
+      contact: {
+        type: 'object',
+        properties: {
+          email: {type: 'string', format: 'email'},
+          phone: {type: 'string', minLength: 10, maxLength: 10},
+          fax: {type: 'string', minLength: 10, maxLength: 10},
+        },
+        maxProperties: 1,
+        additionalProperties: false,
+      },
     },
   },
   SIMPLE: {
@@ -261,6 +332,190 @@ const Schemas = {
       'complete',
     ],
   },
+  OAS31: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        examples: ['Doggie', 'Kitty'],
+      },
+      nickname: {
+        type: ['string', 'null'],
+        minLength: 3,
+      },
+      kind: {
+        const: 'pet',
+      },
+      location: {
+        type: 'array',
+        prefixItems: [
+          {type: 'number', minimum: -90, maximum: 90},
+          {type: 'number', minimum: -180, maximum: 180},
+        ],
+        items: false,
+      },
+      size: {
+        type: 'string',
+        enum: ['small', 'large'],
+      },
+      email: {
+        type: 'string',
+        format: 'email',
+      },
+      phone: {
+        type: 'string',
+      },
+    },
+    required: ['name', 'kind'],
+    dependentRequired: {
+      email: ['phone'],
+    },
+  },
+  ALLOF: {
+    allOf: [
+      {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            minimum: 1,
+          },
+          createdAt: {
+            type: 'string',
+          },
+        },
+        required: ['id'],
+      },
+      {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            maximum: 100,
+          },
+          name: {
+            type: 'string',
+            minLength: 3,
+          },
+          status: {
+            type: 'string',
+            enum: ['active', 'inactive'],
+          },
+        },
+        required: ['name'],
+      },
+    ],
+  },
+  ANYOF_NOT: {
+    type: 'object',
+    properties: {
+      contact: {
+        anyOf: [
+          {type: 'string', format: 'email'},
+          {type: 'integer', minimum: 1000, maximum: 9999},
+        ],
+      },
+      size: {
+        anyOf: [
+          {type: 'string', enum: ['S', 'M', 'L']},
+          {type: 'integer', minimum: 1},
+        ],
+      },
+      role: {
+        type: 'string',
+        minLength: 3,
+        not: {enum: ['admin', 'root']},
+      },
+      reference: {
+        not: {type: 'string'},
+      },
+    },
+    required: ['contact'],
+  },
+  CONDITIONAL: {
+    type: 'object',
+    properties: {
+      country: {
+        type: 'string',
+        enum: ['US', 'IN'],
+      },
+      zipCode: {
+        type: 'string',
+      },
+    },
+    required: ['country', 'zipCode'],
+    if: {properties: {country: {const: 'US'}}},
+    then: {properties: {zipCode: {pattern: '^[0-9]{5}$'}}},
+    else: {properties: {zipCode: {pattern: '^[0-9]{6}$'}}},
+  },
+  DISCRIMINATOR: {
+    type: 'object',
+    properties: {
+      pet: {
+        oneOf: [
+          {
+            type: 'object',
+            properties: {
+              petType: {type: 'string', enum: ['dog']},
+              bark: {type: 'boolean'},
+            },
+            required: ['petType', 'bark'],
+          },
+          {
+            type: 'object',
+            properties: {
+              petType: {type: 'string', enum: ['cat']},
+              lives: {type: 'integer', minimum: 1, maximum: 9},
+            },
+            required: ['petType', 'lives'],
+          },
+        ],
+        discriminator: {propertyName: 'petType'},
+      },
+    },
+    required: ['pet'],
+  },
+  ADDITIONAL_PROPERTIES: {
+    type: 'object',
+    properties: {
+      name: {type: 'string'},
+      scores: {
+        type: 'object',
+        additionalProperties: {type: 'integer', minimum: 1, maximum: 100},
+      },
+      metadata: {
+        type: 'object',
+        properties: {source: {type: 'string'}},
+        additionalProperties: true,
+      },
+    },
+    required: ['name'],
+    additionalProperties: false,
+  },
+  NULLABLE: {
+    type: 'object',
+    properties: {
+      name: {type: 'string'},
+      nickname: {type: 'string', nullable: true},
+      tags: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {label: {type: ['string', 'null']}},
+        },
+      },
+    },
+    required: ['name', 'nickname'],
+  },
+  READ_WRITE_ONLY: {
+    type: 'object',
+    properties: {
+      id: {type: 'integer', minimum: 1, readOnly: true},
+      name: {type: 'string'},
+      password: {type: 'string', minLength: 8, writeOnly: true},
+    },
+    required: ['id', 'name', 'password'],
+  },
   PARAMETERS: [
     {
       name: 'api_key',
@@ -269,6 +524,58 @@ const Schemas = {
         type: 'string',
       },
     },
+    {
+      name: 'petId',
+      in: 'path',
+      required: true,
+      schema: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 1000,
+      },
+    },
+    {
+      name: 'limit',
+      in: 'query',
+      required: true,
+      schema: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+      },
+    },
+    {
+      name: 'status',
+      in: 'query',
+      schema: {
+        type: 'string',
+        enum: ['available', 'pending', 'sold'],
+      },
+    },
+    {
+      name: 'since',
+      in: 'query',
+      schema: {
+        type: 'string',
+        format: 'date',
+      },
+    },
+    {
+      name: 'sessionId',
+      in: 'cookie',
+      required: true,
+      schema: {
+        type: 'string',
+        minLength: 8,
+      },
+    },
+    {
+      name: 'tracking',
+      in: 'cookie',
+      schema: {
+        type: 'boolean',
+      },
+    },
   ],
 };
 
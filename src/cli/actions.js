@@ -19,6 +19,8 @@
  * @fileoverview Contains functions/actions that are triggered by a command.
  */
 
+const fs = require('fs');
+const lodash = require('lodash');
 // eslint-disable-next-line no-unused-vars
 const colors = require('colors');
 const {logger} = require('../log');
@@ -29,10 +31,31 @@ const {
 } = require('../generators/test_data');
 const {runTestSuite} = require('../testsuite_runner');
 const {buildConfig, getConfig, upsertConfig} = require('../utils/config');
-const {readFile} = require('../utils/app');
+const {readFile, stringifyFileContent} = require('../utils/app');
 const {parseOASDoc, verifyApiEndpoints} = require('../utils/oas');
+const {isSwaggerDoc, convertSwaggerDoc} = require('../utils/swagger');
 const {BaseConfig, prompt} = require('./prompts');
 
+/**
+ * Parses the media types provided through the command option 'mediatypes'.
+ * @param {string} mediaTypes JSON array of media types.
+ *    Example: '["application/json", "application/xml"]'
+ * @return {(array<string>|null)} Returns null, when the media types are
+ *    invalid.
+ */
+function parseMediaTypes(mediaTypes) {
+  try {
+    mediaTypes = JSON.parse(mediaTypes);
+  } catch (err) {
+    mediaTypes = null;
+  }
+  if (!Array.isArray(mediaTypes)) {
+    logger.error('Invalid mediatypes.'.red);
+    return null;
+  }
+  return mediaTypes;
+}
+
 /**
  * Generates testsuite and creates a testSuite file in the path specified
  * by the user.
@@ -54,7 +77,9 @@ async function generateTestSuite(options = {}) {
   }
 
   let oasDoc = readFile(oasPath, 'OAS 3.0 Document');
-  oasDoc = await parseOASDoc(oasDoc);
+  if (!oasDoc) return;
+  oasDoc = await parseOASDoc(oasDoc,
+      {path: oasPath, baseDir: options.basedir});
   if (!oasDoc) return;
 
   const title = oasDoc.info.title;
@@ -74,7 +99,16 @@ async function generateTestSuite(options = {}) {
   if (overridesPath) overrides = readFile(overridesPath, 'Overrides');
   if (!overrides) return;
 
-  createTestSuiteFile(oasDoc, testSuitePath, overrides);
+  let mediaTypes;
+  if (options.mediatypes) {
+    mediaTypes = parseMediaTypes(options.mediatypes);
+    if (!mediaTypes) return;
+  }
+
+  createTestSuiteFile(oasDoc, testSuitePath, overrides, {
+    mediaTypes,
+    readOnlyTestCases: options.readonlytests === true,
+  });
 }
 
 /**
@@ -111,12 +145,23 @@ async function validateApiEndpoints(options = {}) {
     }
   }
 
+  let mediaTypes;
+  if (options.mediatypes) {
+    mediaTypes = parseMediaTypes(options.mediatypes);
+    if (!mediaTypes) return;
+  }
+
   const oasPath = options.oaspath;
   if (oasPath) {
     let oasDoc = readFile(oasPath, 'OAS 3.0 Document');
-    oasDoc = await parseOASDoc(oasDoc);
     if (!oasDoc) return;
-    testSuite = buildTestSuite(oasDoc, apiEndpoints, overrides);
+    oasDoc = await parseOASDoc(oasDoc,
+        {path: oasPath, baseDir: options.basedir});
+    if (!oasDoc) return;
+    testSuite = buildTestSuite(oasDoc, apiEndpoints, overrides, {
+      mediaTypes,
+      readOnlyTestCases: options.readonlytests === true,
+    });
     logger.verbose('Testsuite created successfully.'.magenta);
   }
 
@@ -146,7 +191,7 @@ async function validateApiEndpoints(options = {}) {
   if (options.saveconfigto) {
     const configPath = options.saveconfigto;
     const config = buildConfig(testSuitePath, baseURL, apiEndpoints, apiKeys,
-        basicAuth, timeout);
+        basicAuth, timeout, mediaTypes);
     upsertConfig(config, configPath);
   }
 
@@ -158,7 +203,8 @@ async function validateApiEndpoints(options = {}) {
 
   try {
     await loadTestParameters(testSuite, baseURL, apiEndpoints, apiKeys,
-        basicAuth, timeout, overrides, config);
+        basicAuth, timeout, overrides, config, mediaTypes,
+        options.readonlytests === true, options.basedir);
   } catch (err) {
     logger.error(JSON.stringify(err).red);
     logger.error('Failed loading test parameters.'.red);
@@ -167,7 +213,63 @@ async function validateApiEndpoints(options = {}) {
   runTestSuite();
 }
 
+/**
+ * Converts a Swagger 2.0 document into an OAS 3.0 document and saves the
+ * OAS 3.0 document in the path specified by the user.<br>
+ * Format (JSON/YAML) of the OAS 3.0 document is determined by the extension
+ * of the output path.
+ * @param {object} options Options of the command 'convert'
+ */
+async function convertSwaggerDocument(options = {}) {
+  if (options.verbose) {
+    /*
+      Overwrites the level of logger object to 'verbose' to provide extensive
+      information/logs to the user.
+    */
+    logger.level = 'verbose';
+  }
+
+  let swaggerPath = options.oaspath;
+  if (!swaggerPath) {
+    const response = await prompt([BaseConfig.oasPath],
+        [{message: 'Swagger 2.0 Document Path'}]);
+    swaggerPath = response.oasPath;
+  }
+
+  const swaggerDoc = readFile(swaggerPath, 'Swagger 2.0 Document');
+  if (!swaggerDoc) return;
+  if (!isSwaggerDoc(swaggerDoc)) {
+    logger.error(`${swaggerPath} is not a Swagger 2.0 Document.`.red);
+    return;
+  }
+  const oasDoc = convertSwaggerDoc(swaggerDoc);
+  /*
+    The converted document is validated on a copy, as parsing resolves the
+    $ref pointers of the document in place.
+  */
+  const parsedOASDoc = await parseOASDoc(lodash.cloneDeep(oasDoc),
+      {path: swaggerPath, baseDir: options.basedir});
+  if (!parsedOASDoc) return;
+
+  let outputPath = options.outputpath;
+  if (!outputPath) {
+    const response = await prompt([BaseConfig.path],
+        [{message: 'OAS 3.0 Document Path'}]);
+    outputPath = response.path;
+  }
+
+  try {
+    fs.writeFileSync(outputPath, stringifyFileContent(oasDoc, outputPath));
+    logger.info('\nOAS 3.0 Document converted and saved successfully at '
+        .magenta + `${outputPath}`.magenta);
+  } catch (err) {
+    logger.error('\nFailure in saving the converted OAS 3.0 Document in '.red +
+        `${outputPath}`.red);
+  }
+}
+
 module.exports = {
   generateTestSuite,
   validateApiEndpoints,
+  convertSwaggerDocument,
 };
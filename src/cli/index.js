@@ -20,6 +20,7 @@ const {program} = require('commander');
 const {
   generateTestSuite,
   validateApiEndpoints,
+  convertSwaggerDocument,
 } = require('./actions');
 
 const manifest = require('../../package.json');
@@ -36,11 +37,23 @@ program
     .command('generate')
     .description('generates testsuite for the given oas document')
     .option('--oaspath <oaspath>', 'oas document path')
+    .option(
+        '--basedir <basedir>',
+        'directory from which relative $refs of oas document are resolved',
+    )
     .option(
         '--testsuitepath <testsuitepath>',
         'path where the generated testsuite is saved',
     )
     .option('--overridespath <overridespath>', 'Path of Overrides file')
+    .option(
+        '--mediatypes <mediatypes>',
+        'list of request body media types which needs to be tested',
+    )
+    .option(
+        '--readonlytests',
+        'adds negative testcases which send readOnly keys of request body',
+    )
     .option('--verbose', `logs above and equal to 'verbose' level are logged`)
     .action(generateTestSuite);
 
@@ -52,12 +65,24 @@ program
         'testsuite file will be uploaded from testsuitepath',
     )
     .option('--oaspath <oaspath>', 'oas document path')
+    .option(
+        '--basedir <basedir>',
+        'directory from which relative $refs of oas document are resolved',
+    )
     .option('--overridespath <overridespath>', 'Path of Overrides file')
     .option('--baseURL <baseURL>', 'baseURL of the api endpoints')
     .option(
         '--apiendpoints <apiendpoints>',
         'list of api endpoints which needs to be tested',
     )
+    .option(
+        '--mediatypes <mediatypes>',
+        'list of request body media types which needs to be tested',
+    )
+    .option(
+        '--readonlytests',
+        'adds negative testcases which send readOnly keys of request body',
+    )
     .option('--apikeys <apikeys>', 'API keys')
     .option('--basicauth <basicauth>', 'Basic Auth Credentials')
     .option(
@@ -72,5 +97,20 @@ program
     .option('--verbose', 'provides extensive information through extra logs')
     .action(validateApiEndpoints);
 
+program
+    .command('convert')
+    .description('converts a swagger 2.0 document into an oas 3.0 document')
+    .option('--oaspath <oaspath>', 'swagger 2.0 document path')
+    .option(
+        '--basedir <basedir>',
+        'directory from which relative $refs of swagger document are resolved',
+    )
+    .option(
+        '--outputpath <outputpath>',
+        'path where the converted oas 3.0 document is saved',
+    )
+    .option('--verbose', `logs above and equal to 'verbose' level are logged`)
+    .action(convertSwaggerDocument);
+
 // eslint-disable-next-line no-undef
 program.parse(process.argv);
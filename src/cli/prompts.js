@@ -21,7 +21,7 @@
  */
 
 const inquirer = require('inquirer');
-const {isValidJSONFile} = require('../utils/app');
+const {isValidFile} = require('../utils/app');
 
 /*
   BaseConfig contains properties which have static values and that provides
@@ -35,7 +35,7 @@ const BaseConfig = {
     name: 'oasPath',
     message: 'OAS Document Path',
     validate: function(path) {
-      return (isValidJSONFile(path)) ? true :
+      return (isValidFile(path)) ? true :
         'Please enter a valid path for OAS 3.0 document.';
     },
   },
@@ -44,7 +44,7 @@ const BaseConfig = {
     name: 'testSuitePath',
     message: 'Path of Testsuite file',
     validate: function(path) {
-      return (isValidJSONFile(path)) ? true :
+      return (isValidFile(path)) ? true :
         'Please enter a valid path for Testsuite file.';
     },
   },
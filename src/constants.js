@@ -28,6 +28,15 @@ const SchemaFormat = {
   URI: 'uri',
   IPV4: 'ipv4',
   IPV6: 'ipv6',
+  BINARY: 'binary',
+  BYTE: 'byte',
+  DATE: 'date',
+  DATE_TIME: 'date-time',
+  TIME: 'time',
+  PASSWORD: 'password',
+  HOSTNAME: 'hostname',
+  URI_REFERENCE: 'uri-reference',
+  IRI: 'iri',
 };
 
 /**
@@ -42,23 +51,101 @@ const DataType = {
   ARRAY: 'array',
   OBJECT: 'object',
   BOOLEAN: 'boolean',
+  NULL: 'null',
+};
+
+/**
+ * HTTP Methods supported.<br>
+ * Keys of a "path item" object which represent operations in OAS 3.0 Doc.
+ * @enum {string}
+*/
+const HttpMethod = {
+  GET: 'get',
+  PUT: 'put',
+  POST: 'post',
+  DELETE: 'delete',
+  OPTIONS: 'options',
+  HEAD: 'head',
+  PATCH: 'patch',
+  TRACE: 'trace',
+};
+
+/**
+ * Parameter Locations supported.<br>
+ * "parameter.in" is used for specifying the location of a parameter in
+ * OAS 3.0 Doc.
+ * @enum {string}
+*/
+const ParameterLocation = {
+  PATH: 'path',
+  QUERY: 'query',
+  HEADER: 'header',
+  COOKIE: 'cookie',
+};
+
+/**
+ * Parameter Serialization Styles supported.<br>
+ * "parameter.style" is used for specifying how a parameter's value is
+ * serialized in OAS 3.0 Doc.
+ * @enum {string}
+*/
+const ParameterStyle = {
+  MATRIX: 'matrix',
+  LABEL: 'label',
+  FORM: 'form',
+  SIMPLE: 'simple',
+  SPACE_DELIMITED: 'spaceDelimited',
+  PIPE_DELIMITED: 'pipeDelimited',
+  DEEP_OBJECT: 'deepObject',
+};
+
+/**
+ * Media Types of request body supported.<br>
+ * Keys of "requestBody.content" are used for specifying the media types in
+ * OAS 3.0 Doc.
+ * @enum {string}
+*/
+const MediaType = {
+  JSON: 'application/json',
+  FORM_URLENCODED: 'application/x-www-form-urlencoded',
+  MULTIPART_FORM_DATA: 'multipart/form-data',
+  XML: 'application/xml',
+  OCTET_STREAM: 'application/octet-stream',
+  TEXT_PLAIN: 'text/plain',
 };
 
 const Error = {
   DATA_TYPE: 'Data Type Mismatch Error',
   OUT_OF_RANGE: 'Out of Range Error',
+  EXCLUSIVE_RANGE: 'Exclusive Range Error',
+  MULTIPLE_OF: 'Multiple Of Error',
+  DUPLICATE_ITEMS: 'Duplicate Items Error',
   REQUIRED_KEY: 'Required Key Missing Error',
+  ADDITIONAL_PROPERTY: 'Additional Property Error',
+  PROPERTY_NAME: 'Property Name Error',
+  READ_ONLY: 'Read Only Property Error',
+  WRITE_ONLY: 'Write Only Property Error',
   LIMITED_SUPPORT: 'Limited Support Error',
   ENUM: 'Enum Error',
+  CONST: 'Const Error',
   ONE_OF: 'OneOf Error',
+  ONE_OF_AMBIGUITY: 'OneOf Ambiguity Error',
+  ANY_OF: 'AnyOf Error',
+  NOT: 'Not Error',
+  DISCRIMINATOR: 'Discriminator Error',
   DATA_LACK: 'Lack of Data Error',
   FORMAT: 'String Format Error',
   PATTERN: 'String Pattern Error',
   OAS_DOC: 'OAS 3.0 Document Error',
+  MALFORMED_DATA: 'Malformed Data Error',
 };
 
 module.exports = {
   SchemaFormat,
   DataType,
+  HttpMethod,
+  ParameterLocation,
+  ParameterStyle,
+  MediaType,
   Error,
 };
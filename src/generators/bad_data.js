@@ -17,12 +17,27 @@
 /** @module generators/bad_data */
 /**
  * @fileoverview Contains functions which can generate data with deficiency
- * in datatype/ enum/ number limit / optional key/ required key/ string length.
+ * in datatype/ enum/ number limit / optional key/ required key/ string length/
+ * format/ pattern/ array length/ unique items/ property count.
  */
 
-const {getMockData} = require('./good_data');
+const lodash = require('lodash');
+const {getMockData, setDiscriminatorValue} = require('./good_data');
+const {validateDataAgainstSchema} = require('../validator');
 const {getRandomString, overridden} = require('../utils/app');
-const {DataType} = require('../constants');
+const {DataType, SchemaFormat, Error} = require('../constants');
+const {
+  getSchemaTypes,
+  getSchemaType,
+  getNumberLimits,
+  isNullable,
+  mergeSchemas,
+  mergeAllOf,
+  MERGED_VALUES,
+  getMergedValues,
+  getDataType,
+  getDiscriminatorMapping,
+} = require('../utils/schema');
 
 const DUMMY = [
   {type: DataType.INTEGER, data: 1},
@@ -33,10 +48,61 @@ const DUMMY = [
   {type: DataType.BOOLEAN, data: false},
 ];
 
+/*
+  Strings which violate the formats restricting the strings. Values are kept
+  ASCII, so that they can be sent as header parameters.
+*/
+const MALFORMED = {
+  [SchemaFormat.EMAIL]: 'ats.example.com',
+  [SchemaFormat.UUID]: 'a8098c1a-f86e-11da-bd1a',
+  [SchemaFormat.URI]: 'pets/1',
+  [SchemaFormat.IPV4]: '256.1.1.1',
+  [SchemaFormat.IPV6]: '2001:db8::1::1',
+  [SchemaFormat.BYTE]: 'YXRzIQ',
+  [SchemaFormat.DATE]: '2021-02-29',
+  [SchemaFormat.DATE_TIME]: '2020-07-17 10:20:30Z',
+  [SchemaFormat.TIME]: '24:00:00Z',
+  [SchemaFormat.HOSTNAME]: '-api.example.com',
+  [SchemaFormat.URI_REFERENCE]: '/pets/{id}',
+  [SchemaFormat.IRI]: 'pets/1',
+};
+
+/*
+  Characters substituted/inserted into a string matching a pattern, while
+  searching for a string which doesn't match the pattern.
+*/
+const MUTATIONS = ['a', 'Z', '0', '-', '_', '.', '~', '#'];
+
+/**
+ * Returns the deficient array built from a deficient item.
+ * @param {object} deficientItem
+ * @param {array} data Array containing the deficient item.
+ * @return {object}
+ */
+function buildDeficientArray(deficientItem, data) {
+  const deficientArray = {
+    key: deficientItem.key,
+    data,
+  };
+  /*
+    Since 'key', 'data' are overriden and added to the 'deficientData' object,
+    remove these fields and add the rest of the fields to the deficient data
+    object.
+  */
+  delete deficientItem.key;
+  delete deficientItem.data;
+  Object.assign(deficientArray, deficientItem);
+  return deficientArray;
+}
+
 /**
  * Returns deficient array. Array's Item can have wrong datatype, wrong enum
  * value, out of range values etc..
  * Array Item's deficiency is determined by the deficientDataGenerator argument.
+ * <br>
+ * Items specified by prefixItems (OAS 3.1) are made deficient one at a time,
+ * keeping the rest of the items of the array valid. Valid items are added
+ * after the deficient item, so that the array complies with minItems.
  * @callback cb
  * @param {object} schema Specification of data.
  * @param {string} jsonpath jsonpath of the key/field.
@@ -48,43 +114,151 @@ const DUMMY = [
 function getDeficientArrays(schema, jsonpath, deficientDataGenerator,
     overrides = {}, options = {}) {
   const deficientArrays = [];
+  const prefixItems = schema.prefixItems || [];
+  prefixItems.forEach(function(itemSchema, index) {
+    const deficientItems = deficientDataGenerator(itemSchema,
+        `${jsonpath}[${index}]`, overrides, options);
+    deficientItems.forEach(function(deficientItem) {
+      const data = [].concat(getMockData(schema, jsonpath, overrides));
+      data[index] = deficientItem.data;
+      deficientArrays.push(buildDeficientArray(deficientItem, data));
+    });
+  });
+  if (!schema.items) return deficientArrays;
+
   const deficientItems = deficientDataGenerator(schema.items, `${jsonpath}[]`,
       overrides, options);
   deficientItems.forEach(function(deficientItem) {
-    const deficientArray = {
-      key: deficientItem.key,
-      data: [deficientItem.data],
-    };
-    /*
-      Since 'key', 'data' are overriden and added to the 'deficientData' object,
-      remove these fields and add the rest of the fields to the deficient data
-      object.
-    */
-    delete deficientItem.key;
-    delete deficientItem.data;
-    Object.assign(deficientArray, deficientItem);
-    deficientArrays.push(deficientArray);
+    const data = prefixItems.map(function(itemSchema, index) {
+      return getMockData(itemSchema, `${jsonpath}[${index}]`, overrides);
+    });
+    data.push(deficientItem.data);
+    while (data.length < (schema.minItems || 0)) {
+      data.push(getMockData(schema.items, jsonpath, overrides));
+    }
+    deficientArrays.push(buildDeficientArray(deficientItem, data));
   });
   return deficientArrays;
 }
 
+/**
+ * Returns the keys of an object which are sent in requests, leaving out the
+ * readOnly keys.
+ * @param {object} schema Specification of the object.
+ * @return {array<string>} keys
+ */
+function getRequestKeys(schema) {
+  const properties = schema.properties || {};
+  return Object.keys(properties).filter(function(key) {
+    return (properties[key] || {}).readOnly !== true;
+  });
+}
+
+/**
+ * Returns the keys of an object which are required.<br>
+ * Keys specified by dependentRequired (OAS 3.1) are required as well, since
+ * all the keys of the generated objects are present. readOnly keys aren't
+ * required in requests.
+ * @param {object} schema Specification of the object.
+ * @return {array<string>} requiredKeys
+ */
+function getRequiredKeys(schema) {
+  let requiredKeys = schema.required || [];
+  const dependentRequired = schema.dependentRequired || {};
+  Object.keys(dependentRequired).forEach(function(dependentKey) {
+    requiredKeys = requiredKeys.concat(dependentRequired[dependentKey]);
+  });
+  const properties = schema.properties || {};
+  return Array.from(new Set(requiredKeys)).filter(function(key) {
+    return (properties[key] || {}).readOnly !== true;
+  });
+}
+
+/**
+ * Sets the discriminator value of a subschema to the deficient data generated
+ * from it, so that the deficient data is validated against the same subschema.
+ * <br>
+ * Data whose discriminator property itself is deficient is left as it is.
+ * @param {object} deficientData
+ * @param {object} schema oneOf/anyOf schema.
+ * @param {number} index Index of the subschema.
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {object} deficientData
+ */
+function setDeficientDiscriminatorValue(deficientData, schema, index,
+    jsonpath, overrides = {}) {
+  if (!schema.discriminator) return deficientData;
+  const propertyName = schema.discriminator.propertyName;
+  if (deficientData.key === `${jsonpath}.${propertyName}`) {
+    return deficientData;
+  }
+  deficientData.data = setDiscriminatorValue(deficientData.data, schema,
+      index, jsonpath, overrides);
+  return deficientData;
+}
+
 /**
  * Returns deficient data from all the schemas present in the oneOf array.
  * Data's deficiency is determined by the deficientDataGenerator argument.
  * @callback cb
- * @param {array<object>} schemas Specification of data.
+ * @param {object} schema Specification of data.
  * @param {string} jsonpath jsonpath of the key/field.
  * @param {cb} deficientDataGenerator
  * @param {object} [overrides = {}] Keys and their overridden values.
  * @param {object} [options = {}] Optional Additional Parameters.
  * @return {array<object>}
  */
-function getOneOfDeficientData(schemas, jsonpath, deficientDataGenerator,
+function getOneOfDeficientData(schema, jsonpath, deficientDataGenerator,
     overrides = {}, options = {}) {
   let deficientDatas = [];
-  schemas.forEach(function(schema) {
-    deficientDatas = deficientDatas.concat(deficientDataGenerator(schema,
-        jsonpath, overrides, options));
+  schema.oneOf.forEach(function(subschema, index) {
+    const deficientSubschemaDatas = deficientDataGenerator(subschema,
+        jsonpath, overrides, options);
+    deficientDatas = deficientDatas.concat(deficientSubschemaDatas.map(
+        function(deficientData) {
+          return setDeficientDiscriminatorValue(deficientData, schema, index,
+              jsonpath, overrides);
+        }));
+  });
+  return deficientDatas;
+}
+
+/**
+ * Returns deficient data from all the schemas present in the anyOf array.
+ * Data's deficiency is determined by the deficientDataGenerator argument.<br>
+ * Data is generated from each subschema (merged with the rest of the schema)
+ * and is kept only if the deficiency holds for the anyOf schema too.
+ * Example: Data that doesn't comply with a subschema is kept only if it
+ * doesn't comply with any of the subschemas.
+ * @callback cb
+ * @param {object} schema Specification of data.
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {cb} deficientDataGenerator
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @return {array<object>}
+ */
+function getAnyOfDeficientData(schema, jsonpath, deficientDataGenerator,
+    overrides = {}, options = {}) {
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.anyOf;
+  const deficientDatas = [];
+  schema.anyOf.forEach(function(subschema, index) {
+    const mergedSchema = mergeSchemas(baseSchema, subschema);
+    const deficientSubschemaDatas = deficientDataGenerator(mergedSchema,
+        jsonpath, overrides, options);
+    deficientSubschemaDatas.forEach(function(deficientData) {
+      setDeficientDiscriminatorValue(deficientData, schema, index, jsonpath,
+          overrides);
+      const compliesWithSubschema = validateDataAgainstSchema(
+          deficientData.data, mergedSchema, jsonpath).length === 0;
+      const compliesWithSchema = validateDataAgainstSchema(
+          deficientData.data, schema, jsonpath).length === 0;
+      if (compliesWithSubschema === compliesWithSchema) {
+        deficientDatas.push(deficientData);
+      }
+    });
   });
   return deficientDatas;
 }
@@ -104,7 +278,7 @@ function getOneOfDeficientData(schemas, jsonpath, deficientDataGenerator,
 function getDeficientObjects(schema, jsonpath, deficientDataGenerator,
     overrides = {}, options = {}) {
   const deficientObjects = [];
-  const keys = Object.keys(schema.properties);
+  const keys = getRequestKeys(schema);
   keys.forEach(function(key) {
     const keySchema = schema.properties[key];
     const deficientKeys = deficientDataGenerator(keySchema,
@@ -112,6 +286,18 @@ function getDeficientObjects(schema, jsonpath, deficientDataGenerator,
     deficientKeys.forEach(function(deficientKey) {
       const data = getMockData(schema, jsonpath, overrides);
       data[key] = deficientKey.data;
+      /*
+        Rest of the optional keys are left out, so that the object complies
+        with maxProperties.
+      */
+      if (schema.maxProperties !== undefined) {
+        const requiredKeys = getRequiredKeys(schema);
+        Object.keys(data).reverse().forEach(function(dataKey) {
+          if (Object.keys(data).length <= schema.maxProperties ||
+              dataKey === key || requiredKeys.includes(dataKey)) return;
+          delete data[dataKey];
+        });
+      }
       delete deficientKey.data;
       const deficientObject = Object.assign({}, {data}, deficientKey);
       deficientObjects.push(deficientObject);
@@ -130,23 +316,35 @@ function getDeficientObjects(schema, jsonpath, deficientDataGenerator,
  */
 function getDataDeficientByDataType(schema, jsonpath, overrides = {}) {
   if (!schema) return [];
+  schema = mergeAllOf(schema);
   if (schema.oneOf) {
-    return getOneOfDeficientData(schema.oneOf, jsonpath,
+    return getOneOfDeficientData(schema, jsonpath,
         getDataDeficientByDataType, overrides);
   }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByDataType, overrides);
+  }
+  const type = getSchemaType(schema);
   let deficientDatas = [];
-  if (schema.type === DataType.ARRAY) {
+  if (type === DataType.ARRAY) {
     deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
         getDataDeficientByDataType, overrides));
   }
-  if (schema.type === DataType.OBJECT) {
+  if (type === DataType.OBJECT) {
     deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
         getDataDeficientByDataType, overrides));
   }
   if (overridden(jsonpath, overrides)) return deficientDatas;
 
+  /*
+    In OAS 3.1, schema can have multiple datatypes (Example: ['string',
+    'null']). Data of any of these datatypes is not deficient.
+  */
+  const types = getSchemaTypes(schema);
+  if (!types.length) return deficientDatas;
   DUMMY.forEach(function(dummy) {
-    if (dummy.type === schema.type) return;
+    if (types.includes(dummy.type)) return;
     /*
       Skip the below cases, as it doesn't bring any deficiency in data.
       1) (number vs integer) Number can have both integer/decimal value.
@@ -156,15 +354,15 @@ function getDataDeficientByDataType(schema, jsonpath, overrides = {}) {
       datatype.
     */
     if (dummy.type === DataType.INTEGER &&
-      schema.type === DataType.NUMBER) return;
+      types.includes(DataType.NUMBER)) return;
 
     if ((dummy.type === DataType.INTEGER ||
         dummy.type === DataType.NUMBER ||
         dummy.type === DataType.BOOLEAN) &&
-        schema.type === DataType.STRING) return;
+        types.includes(DataType.STRING)) return;
 
     if (dummy.type === DataType.ARRAY &&
-      schema.type === DataType.OBJECT) return;
+      types.includes(DataType.OBJECT)) return;
 
     deficientDatas.push({
       key: jsonpath,
@@ -183,7 +381,8 @@ function getDataDeficientByDataType(schema, jsonpath, overrides = {}) {
 
 /**
  * Generates random objects of a schema with one of the key of object
- *    having a value not specified in the EnumList of the key.
+ *    having a value not specified in the EnumList of the key, or a value
+ *    other than the const value (OAS 3.1) of the key.
  * @param {object} schema Specification of data
  * @param {string} jsonpath jsonpath of the key/field.
  * @param {object} [overrides = {}] Keys and their overridden values.
@@ -191,24 +390,47 @@ function getDataDeficientByDataType(schema, jsonpath, overrides = {}) {
  */
 function getDataDeficientByEnum(schema, jsonpath, overrides = {}) {
   if (!schema) return [];
+  schema = mergeAllOf(schema);
   if (schema.oneOf) {
-    return getOneOfDeficientData(schema.oneOf, jsonpath,
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByEnum, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
         getDataDeficientByEnum, overrides);
   }
+  const type = getSchemaType(schema);
   let deficientDatas = [];
-  if (schema.type === DataType.ARRAY) {
+  if (type === DataType.ARRAY) {
     deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
         getDataDeficientByEnum, overrides));
   }
-  if (schema.type === DataType.OBJECT) {
+  if (type === DataType.OBJECT) {
     deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
         getDataDeficientByEnum, overrides));
   }
   if (overridden(jsonpath, overrides)) return deficientDatas;
 
+  if (schema.const !== undefined) {
+    DUMMY.forEach(function(dummy) {
+      if (dummy.type === type && dummy.data !== schema.const) {
+        deficientDatas.push({
+          key: jsonpath,
+          data: dummy.data,
+          deficiency: {
+            type: 'Const',
+            details: {
+              constValue: schema.const,
+            },
+          },
+        });
+      }
+    });
+  }
+
   if (schema.enum) {
     DUMMY.forEach(function(dummy) {
-      if (dummy.type === schema.type) {
+      if (dummy.type === type) {
         deficientDatas.push({
           key: jsonpath,
           data: dummy.data,
@@ -227,61 +449,112 @@ function getDataDeficientByEnum(schema, jsonpath, overrides = {}) {
 
 /**
  * Generates random objects of a schema with one of the key of object
- *    having a number out of the bounds, specified in schema.
+ *    having a number out of the bounds, or a number which isn't a multiple
+ *    of multipleOf, specified in schema.
  * @param {object} schema Specification of data
  * @param {string} jsonpath jsonpath of the key/field/object
  * @param {object} [overrides = {}] Keys and their overridden values.
  * @param {object} [options = {}] Optional Additional parameters.
  * @param {boolean=} options.checkMinimum Checks for schema.minimum and returns
- *    data with values less than schema.minimum.
+ *    data with values less than schema.minimum (or equal to an exclusive
+ *    minimum).
  * @param {boolean=} options.checkMaximum Checks for schema.maximum and returns
- *    data with values more than schema.minimum.
+ *    data with values more than schema.maximum (or equal to an exclusive
+ *    maximum).
+ * @param {boolean=} options.checkMultipleOf Checks for schema.multipleOf and
+ *    returns data with values which aren't a multiple of schema.multipleOf.
  * @return {array<object>} deficientData
  */
 function getDataDeficientByNumberLimit(schema, jsonpath, overrides = {},
     options = {}) {
   if (!schema) return [];
+  schema = mergeAllOf(schema);
   if (schema.oneOf) {
-    return getOneOfDeficientData(schema.oneOf, jsonpath,
+    return getOneOfDeficientData(schema, jsonpath,
         getDataDeficientByNumberLimit, overrides, options);
   }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByNumberLimit, overrides, options);
+  }
+  const type = getSchemaType(schema);
   let deficientDatas = [];
-  if (schema.type === DataType.ARRAY) {
+  if (type === DataType.ARRAY) {
     deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
         getDataDeficientByNumberLimit, overrides, options));
   }
-  if (schema.type === DataType.OBJECT) {
+  if (type === DataType.OBJECT) {
     deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
         getDataDeficientByNumberLimit, overrides, options));
   }
   if (overridden(jsonpath, overrides)) return deficientDatas;
 
-  if (schema.type === DataType.NUMBER || schema.type === DataType.INTEGER) {
+  if (type === DataType.NUMBER || type === DataType.INTEGER) {
     const deficientData = [];
-    if (options.checkMinimum && schema.minimum) {
+    const limits = getNumberLimits(schema);
+    const low = limits.minimum;
+    const high = limits.maximum;
+    /*
+      An exclusive limit is itself the deficient data, unless it's a decimal
+      limit of an integer.
+    */
+    const exclusiveLow = limits.exclusiveMinimum &&
+      (type === DataType.NUMBER || Number.isInteger(low));
+    const exclusiveHigh = limits.exclusiveMaximum &&
+      (type === DataType.NUMBER || Number.isInteger(high));
+    if (options.checkMinimum && low !== undefined) {
       deficientData.push({
         key: jsonpath,
-        data: schema.minimum - 1,
+        data: (exclusiveLow) ? low : Math.ceil(low) - 1,
         deficiency: {
           type: 'Number Range',
           details: {
-            minimumAllowed: schema.minimum,
+            minimumAllowed: low,
+            exclusiveMinimum: limits.exclusiveMinimum,
           },
         },
       });
     }
-    if (options.checkMaximum && schema.maximum) {
+    if (options.checkMaximum && high !== undefined) {
       deficientData.push({
         key: jsonpath,
-        data: schema.maximum + 1,
+        data: (exclusiveHigh) ? high : Math.floor(high) + 1,
         deficiency: {
           type: 'Number Range',
           details: {
-            maximumAllowed: schema.maximum,
+            maximumAllowed: high,
+            exclusiveMaximum: limits.exclusiveMaximum,
           },
         },
       });
     }
+    if (options.checkMultipleOf && schema.multipleOf) {
+      /*
+        Candidates are checked against the schema, so that the picked number
+        lies within the limits and isn't a multiple of schema.multipleOf.
+      */
+      const offset = (type === DataType.INTEGER) ? 1 : schema.multipleOf / 2;
+      const data = getMockData(schema, jsonpath);
+      const nonMultiple = [data + offset, data - offset, offset, -offset].find(
+          function(candidate) {
+            const errors =
+              validateDataAgainstSchema(candidate, schema, jsonpath);
+            return errors.length === 1 &&
+              errors[0].errorType === Error.MULTIPLE_OF;
+          });
+      if (nonMultiple !== undefined) {
+        deficientData.push({
+          key: jsonpath,
+          data: nonMultiple,
+          deficiency: {
+            type: 'Multiple Of',
+            details: {
+              multipleOf: schema.multipleOf,
+            },
+          },
+        });
+      }
+    }
     deficientDatas = deficientDatas.concat(deficientData);
   }
   return deficientDatas;
@@ -296,25 +569,33 @@ function getDataDeficientByNumberLimit(schema, jsonpath, overrides = {},
  */
 function getDataDeficientByOptionalKey(schema, jsonpath, overrides = {}) {
   if (!schema) return [];
+  schema = mergeAllOf(schema);
   if (schema.oneOf) {
-    return getOneOfDeficientData(schema.oneOf, jsonpath,
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByOptionalKey, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
         getDataDeficientByOptionalKey, overrides);
   }
+  const type = getSchemaType(schema);
   let deficientDatas = [];
-  if (schema.type === DataType.ARRAY) {
+  if (type === DataType.ARRAY) {
     deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
         getDataDeficientByOptionalKey, overrides));
   }
-  if (schema.type === DataType.OBJECT) {
+  if (type === DataType.OBJECT) {
     deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
         getDataDeficientByOptionalKey, overrides));
-    const keys = Object.keys(schema.properties);
-    const requiredKeys = schema.required || [];
+    const keys = getRequestKeys(schema);
+    const requiredKeys = getRequiredKeys(schema);
     keys.forEach(function(key) {
       if (!requiredKeys.includes(key) &&
           !overridden(`${jsonpath}.${key}`, overrides)) {
         const data = getMockData(schema, jsonpath, overrides);
         delete data[key];
+        // Object without the key should still comply with minProperties.
+        if (Object.keys(data).length < (schema.minProperties || 0)) return;
         deficientDatas.push({
           key: `${jsonpath}.${key}`,
           data,
@@ -328,6 +609,59 @@ function getDataDeficientByOptionalKey(schema, jsonpath, overrides = {}) {
   return deficientDatas;
 }
 
+/**
+ * Generates random objects of a schema with one of the key of object
+ *    having a null value.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @param {boolean=} options.nullable If true, nullable keys (Example:
+ *    nullable: true) have the null value, else non-nullable keys.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByNullValue(schema, jsonpath, overrides = {},
+    options = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByNullValue, overrides, options);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByNullValue, overrides, options);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByNullValue, overrides, options));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByNullValue, overrides, options));
+    const properties = schema.properties || {};
+    getRequestKeys(schema).forEach(function(key) {
+      if (isNullable(properties[key]) !== Boolean(options.nullable) ||
+          overridden(`${jsonpath}.${key}`, overrides)) return;
+      const data = getMockData(schema, jsonpath, overrides);
+      data[key] = null;
+      deficientDatas.push({
+        key: `${jsonpath}.${key}`,
+        data,
+        deficiency: {
+          type: 'Null Value',
+          details: {
+            nullable: Boolean(options.nullable),
+          },
+        },
+      });
+    });
+  }
+  return deficientDatas;
+}
+
 /**
  * Generates random objects of a schema leaving one of the required key.
  * @param {object} schema Specification of data
@@ -337,20 +671,26 @@ function getDataDeficientByOptionalKey(schema, jsonpath, overrides = {}) {
  */
 function getDataDeficientByRequiredKey(schema, jsonpath, overrides = {}) {
   if (!schema) return [];
+  schema = mergeAllOf(schema);
   if (schema.oneOf) {
-    return getOneOfDeficientData(schema.oneOf, jsonpath,
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByRequiredKey, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
         getDataDeficientByRequiredKey, overrides);
   }
+  const type = getSchemaType(schema);
   let deficientDatas = [];
-  if (schema.type === DataType.ARRAY) {
+  if (type === DataType.ARRAY) {
     deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
         getDataDeficientByRequiredKey, overrides));
   }
-  if (schema.type === DataType.OBJECT) {
+  if (type === DataType.OBJECT) {
     deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
         getDataDeficientByRequiredKey, overrides));
-    const keys = Object.keys(schema.properties);
-    const requiredKeys = schema.required || [];
+    const keys = Object.keys(schema.properties || {});
+    const requiredKeys = getRequiredKeys(schema);
     keys.forEach(function(key) {
       if (requiredKeys.includes(key) &&
           !overridden(`${jsonpath}.${key}`, overrides)) {
@@ -369,6 +709,106 @@ function getDataDeficientByRequiredKey(schema, jsonpath, overrides = {}) {
   return deficientDatas;
 }
 
+/**
+ * Generates random objects of a schema with one of the readOnly key of object
+ *    present. readOnly keys are not sent in requests.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByReadOnlyKey(schema, jsonpath, overrides = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByReadOnlyKey, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByReadOnlyKey, overrides);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByReadOnlyKey, overrides));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByReadOnlyKey, overrides));
+    const properties = schema.properties || {};
+    const requestKeys = getRequestKeys(schema);
+    Object.keys(properties).forEach(function(key) {
+      if (requestKeys.includes(key) ||
+          overridden(`${jsonpath}.${key}`, overrides)) return;
+      const data = getMockData(schema, jsonpath, overrides);
+      data[key] = getMockData(properties[key], `${jsonpath}.${key}`, overrides);
+      deficientDatas.push({
+        key: `${jsonpath}.${key}`,
+        data,
+        deficiency: {
+          type: 'Read Only Key Present',
+        },
+      });
+    });
+  }
+  return deficientDatas;
+}
+
+/**
+ * Generates random objects of a schema having a key which is not specified in
+ *    the properties, when additional properties are forbidden
+ *    (additionalProperties: false).
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByAdditionalProperty(schema, jsonpath,
+    overrides = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByAdditionalProperty, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByAdditionalProperty, overrides);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByAdditionalProperty, overrides));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByAdditionalProperty, overrides));
+    if (schema.additionalProperties === false &&
+        !overridden(jsonpath, overrides)) {
+      const properties = schema.properties || {};
+      let key = getRandomString(8);
+      while (properties[key]) key = getRandomString(8);
+      /* Room is left for the unexpected key, as per maxProperties. */
+      const data = (schema.maxProperties) ?
+        getMockData(Object.assign({}, schema,
+            {maxProperties: schema.maxProperties - 1}), jsonpath, overrides) :
+        getMockData(schema, jsonpath, overrides);
+      data[key] = getRandomString(8);
+      deficientDatas.push({
+        key: `${jsonpath}.${key}`,
+        data,
+        deficiency: {
+          type: 'Unexpected Property',
+        },
+      });
+    }
+  }
+  return deficientDatas;
+}
+
 /**
  * Generates random objects of a schema with one of the key of object
  *    having a string length out of the bounds, specified in schema.
@@ -385,22 +825,28 @@ function getDataDeficientByRequiredKey(schema, jsonpath, overrides = {}) {
 function getDataDeficientByStringLength(schema, jsonpath, overrides = {},
     options = {}) {
   if (!schema) return [];
+  schema = mergeAllOf(schema);
   if (schema.oneOf) {
-    return getOneOfDeficientData(schema.oneOf, jsonpath,
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByStringLength, overrides, options);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
         getDataDeficientByStringLength, overrides, options);
   }
+  const type = getSchemaType(schema);
   let deficientDatas = [];
-  if (schema.type === DataType.ARRAY) {
+  if (type === DataType.ARRAY) {
     deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
         getDataDeficientByStringLength, overrides, options));
   }
-  if (schema.type === DataType.OBJECT) {
+  if (type === DataType.OBJECT) {
     deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
         getDataDeficientByStringLength, overrides, options));
   }
   if (overridden(jsonpath, overrides)) return deficientDatas;
 
-  if (schema.type === DataType.STRING) {
+  if (type === DataType.STRING) {
     if (options.checkMinimumLength && schema.minLength) {
       deficientDatas.push({
         key: jsonpath,
@@ -429,17 +875,612 @@ function getDataDeficientByStringLength(schema, jsonpath, overrides = {},
   return deficientDatas;
 }
 
+/**
+ * Generates random objects of a schema with one of the key of object
+ *    having a string which violates the format, specified in schema.<br>
+ * Formats which don't restrict the string (binary, password), unsupported
+ *    formats and strings of an enum/const are skipped.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByFormat(schema, jsonpath, overrides = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByFormat, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByFormat, overrides);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByFormat, overrides));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByFormat, overrides));
+  }
+  if (overridden(jsonpath, overrides)) return deficientDatas;
+
+  if (type === DataType.STRING && MALFORMED[schema.format] &&
+      !schema.enum && schema.const === undefined) {
+    deficientDatas.push({
+      key: jsonpath,
+      data: MALFORMED[schema.format],
+      deficiency: {
+        type: 'Format',
+        details: {
+          format: schema.format,
+        },
+      },
+    });
+  }
+  return deficientDatas;
+}
+
+/**
+ * Returns a string which doesn't match a pattern of the schema, while
+ *    complying with its minLength and maxLength.<br>
+ * Candidates are the mutations (character substituted, inserted or deleted)
+ *    of a string matching the patterns (and of the string cut/padded to the
+ *    length limits). For a schema merged from allOf subschemas, the first
+ *    candidate which doesn't match one of the patterns, while matching the
+ *    rest of them, is picked.
+ * @param {object} schema String schema with a pattern.
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @return {(object|undefined)} {data, pattern} with the pattern not matched.
+ *    undefined, if a pattern is invalid or every candidate matches the
+ *    patterns (Example: '.*').
+ */
+function getPatternMismatch(schema, jsonpath) {
+  const patterns = getMergedValues(schema, 'pattern');
+  let regexes;
+  try {
+    regexes = patterns.map(function(pattern) {
+      return new RegExp(pattern);
+    });
+  } catch (err) {
+    return undefined;
+  }
+  const minLength = schema.minLength || 0;
+  const maxLength =
+    (schema.maxLength === undefined) ? Infinity : schema.maxLength;
+  const stringSchema = {type: DataType.STRING, pattern: schema.pattern};
+  if (schema[MERGED_VALUES]) {
+    stringSchema[MERGED_VALUES] = {pattern: patterns};
+  }
+  const data = String(getMockData(stringSchema, jsonpath));
+  const fittedData = data.padEnd(minLength, MUTATIONS[0]).slice(0, maxLength);
+
+  const candidates = [];
+  [data, fittedData].forEach(function(string) {
+    for (let index = 0; index <= string.length; index++) {
+      MUTATIONS.forEach(function(character) {
+        candidates.push(string.slice(0, index) + character +
+          string.slice(index + 1));
+        candidates.push(string.slice(0, index) + character +
+          string.slice(index));
+      });
+      candidates.push(string.slice(0, index) + string.slice(index + 1));
+    }
+  });
+  candidates.push('');
+  for (let index = 0; index < regexes.length; index++) {
+    const mismatch = candidates.find(function(candidate) {
+      return candidate.length >= minLength && candidate.length <= maxLength &&
+        regexes.every(function(regex, regexIndex) {
+          return regex.test(candidate) !== (regexIndex === index);
+        });
+    });
+    if (mismatch !== undefined) {
+      return {data: mismatch, pattern: patterns[index]};
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Generates random objects of a schema with one of the key of object
+ *    having a string which doesn't match the pattern, specified in schema.
+ *    <br>
+ * Pattern of a string having a format which restricts the string is skipped,
+ *    as the string is validated against its format.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByPattern(schema, jsonpath, overrides = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByPattern, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByPattern, overrides);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByPattern, overrides));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByPattern, overrides));
+  }
+  if (overridden(jsonpath, overrides)) return deficientDatas;
+
+  if (type === DataType.STRING && schema.pattern && !MALFORMED[schema.format] &&
+      !schema.enum && schema.const === undefined) {
+    const mismatch = getPatternMismatch(schema, jsonpath);
+    if (mismatch === undefined) return deficientDatas;
+    deficientDatas.push({
+      key: jsonpath,
+      data: mismatch.data,
+      deficiency: {
+        type: 'Pattern',
+        details: {
+          pattern: mismatch.pattern,
+        },
+      },
+    });
+  }
+  return deficientDatas;
+}
+
+/**
+ * Returns a random array of a schema, having a particular number of items.
+ * @param {object} schema Specification of array.
+ * @param {number} length Number of items.
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {(array|undefined)} undefined, if the array can't have the number
+ *    of items (Example: 'items: false' or overridden array).
+ */
+function getMockArrayOfLength(schema, length, jsonpath, overrides = {}) {
+  const data = getMockData(
+      Object.assign({}, schema, {minItems: length, maxItems: length}),
+      jsonpath, overrides);
+  if (!Array.isArray(data) || data.length < length) return undefined;
+  return data.slice(0, length);
+}
+
+/**
+ * Generates random objects of a schema with one of the key of object
+ *    having an array with number of items out of the bounds, specified in
+ *    schema.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {boolean=} options.checkMinimumItems Checks for schema.minItems and
+ *    returns arrays with items less than schema.minItems.
+ * @param {boolean=} options.checkMaximumItems Checks for schema.maxItems and
+ *    returns arrays with items more than schema.maxItems.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByArrayLength(schema, jsonpath, overrides = {},
+    options = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByArrayLength, overrides, options);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByArrayLength, overrides, options);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByArrayLength, overrides, options));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByArrayLength, overrides, options));
+  }
+  if (overridden(jsonpath, overrides)) return deficientDatas;
+
+  if (type === DataType.ARRAY) {
+    const lengths = [];
+    if (options.checkMinimumItems && schema.minItems) {
+      lengths.push({length: schema.minItems - 1,
+        details: {minimumItemsAllowed: schema.minItems}});
+    }
+    if (options.checkMaximumItems && schema.maxItems !== undefined) {
+      lengths.push({length: schema.maxItems + 1,
+        details: {maximumItemsAllowed: schema.maxItems}});
+    }
+    lengths.forEach(function({length, details}) {
+      const data = getMockArrayOfLength(schema, length, jsonpath, overrides);
+      if (!data) return;
+      deficientDatas.push({
+        key: jsonpath,
+        data,
+        deficiency: {
+          type: 'Array Length',
+          details,
+        },
+      });
+    });
+  }
+  return deficientDatas;
+}
+
+/**
+ * Generates random objects of a schema with one of the key of object
+ *    having an array with duplicate items, when schema.uniqueItems is true.
+ *    <br>
+ * Last item of the array is replaced by a copy of the first item after the
+ *    prefixItems (OAS 3.1), so that the duplicate items comply with
+ *    schema.items.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByUniqueItems(schema, jsonpath, overrides = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByUniqueItems, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByUniqueItems, overrides);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByUniqueItems, overrides));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByUniqueItems, overrides));
+  }
+  if (overridden(jsonpath, overrides)) return deficientDatas;
+
+  if (type === DataType.ARRAY && schema.uniqueItems === true) {
+    const index = (schema.prefixItems || []).length;
+    const length = Math.max(schema.minItems || 0, index + 2);
+    if (schema.maxItems !== undefined && length > schema.maxItems) {
+      return deficientDatas;
+    }
+    const data = getMockArrayOfLength(schema, length, jsonpath, overrides);
+    if (!data) return deficientDatas;
+    data[length - 1] = lodash.cloneDeep(data[index]);
+    deficientDatas.push({
+      key: jsonpath,
+      data,
+      deficiency: {
+        type: 'Duplicate Items',
+        details: {
+          duplicateItems: [index, length - 1],
+        },
+      },
+    });
+  }
+  return deficientDatas;
+}
+
+/**
+ * Generates random objects of a schema with one of the key of object
+ *    having an object with number of keys out of the bounds, specified in
+ *    schema.<br>
+ * Objects having less keys than minProperties keep the required keys, and
+ *    objects having more keys than maxProperties have additional keys, when
+ *    not enough keys are specified by schema.properties.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {boolean=} options.checkMinimumProperties Checks for
+ *    schema.minProperties and returns objects with keys less than
+ *    schema.minProperties.
+ * @param {boolean=} options.checkMaximumProperties Checks for
+ *    schema.maxProperties and returns objects with keys more than
+ *    schema.maxProperties.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByPropertyCount(schema, jsonpath, overrides = {},
+    options = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByPropertyCount, overrides, options);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByPropertyCount, overrides, options);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByPropertyCount, overrides, options));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByPropertyCount, overrides, options));
+  }
+  if (overridden(jsonpath, overrides)) return deficientDatas;
+
+  if (type === DataType.OBJECT) {
+    const counts = [];
+    if (options.checkMinimumProperties && schema.minProperties &&
+        getRequiredKeys(schema).length < schema.minProperties) {
+      counts.push({count: schema.minProperties - 1,
+        details: {minimumPropertiesAllowed: schema.minProperties}});
+    }
+    if (options.checkMaximumProperties && schema.maxProperties !== undefined &&
+        (schema.additionalProperties !== false ||
+          getRequestKeys(schema).length > schema.maxProperties)) {
+      counts.push({count: schema.maxProperties + 1,
+        details: {maximumPropertiesAllowed: schema.maxProperties}});
+    }
+    counts.forEach(function({count, details}) {
+      const data = getMockData(Object.assign({}, schema,
+          {minProperties: count, maxProperties: count}), jsonpath, overrides);
+      if (Object.keys(data).length !== count) return;
+      deficientDatas.push({
+        key: jsonpath,
+        data,
+        deficiency: {
+          type: 'Property Count',
+          details,
+        },
+      });
+    });
+  }
+  return deficientDatas;
+}
+
+/**
+ * Generates random objects of a schema with one of the key of object
+ *    having a value which complies with the schema specified by 'not'.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByNot(schema, jsonpath, overrides = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  if (schema.oneOf) {
+    return getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByNot, overrides);
+  }
+  if (schema.anyOf) {
+    return getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByNot, overrides);
+  }
+  const type = getSchemaType(schema);
+  let deficientDatas = [];
+  if (type === DataType.ARRAY) {
+    deficientDatas = deficientDatas.concat(getDeficientArrays(schema, jsonpath,
+        getDataDeficientByNot, overrides));
+  }
+  if (type === DataType.OBJECT) {
+    deficientDatas = deficientDatas.concat(getDeficientObjects(schema, jsonpath,
+        getDataDeficientByNot, overrides));
+  }
+  if (overridden(jsonpath, overrides)) return deficientDatas;
+
+  if (schema.not) {
+    /*
+      Data of the 'not' schema is generated with the constraints of the rest
+      of the schema, so that the data is deficient only due to the 'not'
+      schema. Example: {type: 'string', not: {enum: ['admin']}} generates
+      'admin'.
+    */
+    const baseSchema = Object.assign({}, schema);
+    delete baseSchema.not;
+    const data = getMockData(mergeSchemas(baseSchema, schema.not), jsonpath);
+    if (validateDataAgainstSchema(data, schema.not, jsonpath).length === 0) {
+      deficientDatas.push({
+        key: jsonpath,
+        data,
+        deficiency: {
+          type: 'Not',
+          details: {
+            notSchema: schema.not,
+          },
+        },
+      });
+    }
+  }
+  return deficientDatas;
+}
+
+/**
+ * Generates random objects of a oneOf/anyOf schema with a discriminator,
+ *    having a discriminator value which is not present in the discriminator
+ *    mapping, or a discriminator value which doesn't match the rest of the
+ *    object (Example: {petType: 'cat', bark: true}).
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByDiscriminator(schema, jsonpath, overrides = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  let deficientDatas = [];
+  if (schema.oneOf) {
+    deficientDatas = getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByDiscriminator, overrides);
+  } else if (schema.anyOf) {
+    deficientDatas = getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByDiscriminator, overrides);
+  } else {
+    const type = getSchemaType(schema);
+    if (type === DataType.ARRAY) {
+      deficientDatas = getDeficientArrays(schema, jsonpath,
+          getDataDeficientByDiscriminator, overrides);
+    }
+    if (type === DataType.OBJECT) {
+      deficientDatas = getDeficientObjects(schema, jsonpath,
+          getDataDeficientByDiscriminator, overrides);
+    }
+  }
+
+  const mapping = getDiscriminatorMapping(schema);
+  const discriminatorValues = Object.keys(mapping);
+  if (!discriminatorValues.length) return deficientDatas;
+  const propertyName = schema.discriminator.propertyName;
+  const key = `${jsonpath}.${propertyName}`;
+  if (overridden(jsonpath, overrides) || overridden(key, overrides)) {
+    return deficientDatas;
+  }
+
+  let unknownValue = getRandomString(10);
+  while (discriminatorValues.includes(unknownValue)) {
+    unknownValue = getRandomString(10);
+  }
+  const data = getMockData(schema, jsonpath, overrides);
+  if (getDataType(data) === DataType.OBJECT) {
+    data[propertyName] = unknownValue;
+    deficientDatas.push({
+      key,
+      data,
+      deficiency: {
+        type: 'Discriminator',
+        details: {
+          discriminatorValue: unknownValue,
+          allowedValues: discriminatorValues,
+        },
+      },
+    });
+  }
+
+  /*
+    Object of a subschema is sent with the discriminator value of the next
+    subschema, and is kept only if it doesn't comply with the subschema
+    chosen by its discriminator value.
+  */
+  const subschemas = schema.oneOf || schema.anyOf;
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.oneOf;
+  delete baseSchema.anyOf;
+  discriminatorValues.forEach(function(discriminatorValue) {
+    const index = (mapping[discriminatorValue] + 1) % subschemas.length;
+    if (index === mapping[discriminatorValue]) return;
+    const data = getMockData(mergeSchemas(baseSchema, subschemas[index]),
+        jsonpath, overrides);
+    if (getDataType(data) !== DataType.OBJECT) return;
+    data[propertyName] = discriminatorValue;
+    if (validateDataAgainstSchema(data, schema, jsonpath).length === 0) return;
+    deficientDatas.push({
+      key,
+      data,
+      deficiency: {
+        type: 'Discriminator',
+        details: {
+          discriminatorValue,
+          mismatchedSchema: subschemas[index],
+        },
+      },
+    });
+  });
+  return deficientDatas;
+}
+
+/**
+ * Generates random data of a oneOf schema which complies with more than one of
+ *    its subschemas (Example: an object having the keys of two subschemas).
+ * <br>
+ * Data is generated from each pair of subschemas merged together, and is kept
+ * only if it complies with both the subschemas. oneOf schemas with a
+ * discriminator are skipped, as the discriminator value resolves the subschema.
+ * @param {object} schema Specification of data
+ * @param {string} jsonpath jsonpath of the key/field.
+ * @param {object} [overrides = {}] Keys and their overridden values.
+ * @return {array<object>} deficientData
+ */
+function getDataDeficientByOneOf(schema, jsonpath, overrides = {}) {
+  if (!schema) return [];
+  schema = mergeAllOf(schema);
+  let deficientDatas = [];
+  if (schema.oneOf) {
+    deficientDatas = getOneOfDeficientData(schema, jsonpath,
+        getDataDeficientByOneOf, overrides);
+  } else if (schema.anyOf) {
+    deficientDatas = getAnyOfDeficientData(schema, jsonpath,
+        getDataDeficientByOneOf, overrides);
+  } else {
+    const type = getSchemaType(schema);
+    if (type === DataType.ARRAY) {
+      deficientDatas = getDeficientArrays(schema, jsonpath,
+          getDataDeficientByOneOf, overrides);
+    }
+    if (type === DataType.OBJECT) {
+      deficientDatas = getDeficientObjects(schema, jsonpath,
+          getDataDeficientByOneOf, overrides);
+    }
+  }
+  if (!schema.oneOf || schema.discriminator ||
+      overridden(jsonpath, overrides)) return deficientDatas;
+
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.oneOf;
+  const subschemas = schema.oneOf;
+  subschemas.forEach(function(subschema, index) {
+    for (let next = index + 1; next < subschemas.length; next++) {
+      const mergedSchema = mergeSchemas(baseSchema,
+          mergeSchemas(subschema, subschemas[next]));
+      const data = getMockData(mergedSchema, jsonpath, overrides);
+      const compliesWithBoth = [subschema, subschemas[next]].every(
+          function(matchedSchema) {
+            return validateDataAgainstSchema(
+                data, matchedSchema, jsonpath).length === 0;
+          });
+      if (!compliesWithBoth) continue;
+      deficientDatas.push({
+        key: jsonpath,
+        data,
+        deficiency: {
+          type: 'OneOf',
+          details: {
+            matchedSubschemas: [index, next],
+          },
+        },
+      });
+    }
+  });
+  return deficientDatas;
+}
+
 module.exports = {
+  getDataDeficientByAdditionalProperty,
+  getDataDeficientByArrayLength,
   getDataDeficientByDataType,
+  getDataDeficientByDiscriminator,
   getDataDeficientByEnum,
+  getDataDeficientByFormat,
+  getDataDeficientByNot,
+  getDataDeficientByNullValue,
   getDataDeficientByNumberLimit,
+  getDataDeficientByOneOf,
   getDataDeficientByOptionalKey,
+  getDataDeficientByPattern,
+  getDataDeficientByPropertyCount,
+  getDataDeficientByReadOnlyKey,
   getDataDeficientByRequiredKey,
   getDataDeficientByStringLength,
+  getDataDeficientByUniqueItems,
 };
 
-/*
-  [DEV] Future additions:
-    - getDataDeficientByFormat  (P2)
-    - getDataDeficientByPattern (P3)
-*/
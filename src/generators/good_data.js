@@ -23,11 +23,113 @@
 
 const RandExp = require('randexp');
 const faker = require('faker');
+const lodash = require('lodash');
+const {Buffer} = require('buffer');
 const {logger} = require('../log');
-const {SchemaFormat, DataType} = require('../constants');
+const {SchemaFormat, DataType, ParameterLocation, Error} =
+  require('../constants');
 const {JSONPath} = require('jsonpath-plus');
-const {getRandomNumber, getRandomString, buildError, overridden} =
-  require('../utils/app');
+const {
+  getRandomNumber,
+  getRandomString,
+  getRandomBinaryString,
+  buildError,
+  overridden,
+} = require('../utils/app');
+const {
+  getSchemaTypes,
+  getSchemaType,
+  getNumberLimits,
+  getDataType,
+  withType,
+  mergeSchemas,
+  mergeAllOf,
+  MERGED_VALUES,
+  getMergedValues,
+  getDiscriminatorValue,
+} = require('../utils/schema');
+const {validateDataAgainstSchema} = require('../validator');
+
+/*
+  Maximum number of attempts to generate data which doesn't comply with the
+  schema specified by 'not' (or which complies with all the allOf
+  subschemas, or with exactly one oneOf subschema, or which isn't a duplicate
+  of the other items of an array, or the other keys of an object).
+*/
+const MAX_ATTEMPTS = 10;
+
+/*
+  Datatypes of the data generated for a schema without a datatype.
+*/
+const UntypedDataTypes = [DataType.STRING, DataType.INTEGER, DataType.NUMBER,
+  DataType.BOOLEAN, DataType.OBJECT];
+
+/*
+  Number of keys generated for an object whose keys are specified by an
+  additionalProperties schema (map-style object).
+*/
+const ADDITIONAL_PROPERTIES_COUNT = 2;
+
+/*
+  Number of multiples of multipleOf, from which a number is picked beyond a
+  limit (or on either side of 0) when the schema doesn't specify the other
+  limit. Multiples of a decimal multipleOf up to Number.MAX_SAFE_INTEGER
+  would be out of the safe integer range.
+*/
+const DEFAULT_MULTIPLES_COUNT = 1000;
+
+/**
+ * Generates a random number within the limits (minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum) of the schema, which is a multiple of
+ * schema.multipleOf.<br>
+ * Numbers with a step (multipleOf, or 1 for integers) are picked from the
+ * multiples of the step lying within the limits. A number equal to an
+ * exclusive minimum is moved just above it.
+ * @param {object} schema Specification of Number.
+ * @param {string} jsonpath jsonpath of the Number Field.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {boolean=} options.returnInteger Returns an integer.
+ * @return {number} Random Number.
+ */
+function getMockNumeric(schema, jsonpath, options = {}) {
+  const limits = getNumberLimits(schema);
+  let low = limits.minimum;
+  let high = limits.maximum;
+  if (schema.multipleOf) {
+    const range = schema.multipleOf * DEFAULT_MULTIPLES_COUNT;
+    if (low === undefined && high === undefined) {
+      low = -range;
+      high = range;
+    } else if (low === undefined) {
+      low = high - range;
+    } else if (high === undefined) {
+      high = low + range;
+    }
+  }
+  low = (low === undefined) ? Number.MIN_SAFE_INTEGER : low;
+  high = (high === undefined) ? Number.MAX_SAFE_INTEGER : high;
+  const step = schema.multipleOf || ((options.returnInteger) ? 1 : 0);
+  if (!step) {
+    const result = low + Math.random() * (high - low);
+    return (limits.exclusiveMinimum && result === low) ?
+      low + Math.max(Math.abs(low), 1) * Number.EPSILON : result;
+  }
+
+  let lowMultiple = Math.ceil(low / step);
+  let highMultiple = Math.floor(high / step);
+  if (limits.exclusiveMinimum && lowMultiple * step === low) lowMultiple++;
+  if (limits.exclusiveMaximum && highMultiple * step === high) highMultiple--;
+  if (lowMultiple > highMultiple) {
+    logger.warn(buildError(Error.LIMITED_SUPPORT, null, jsonpath, {
+      multipleOf: schema.multipleOf,
+      minimum: limits.minimum,
+      maximum: limits.maximum,
+    }));
+    return low;
+  }
+  return step * (lowMultiple +
+    Math.floor(Math.random() * (highMultiple - lowMultiple + 1)));
+}
 
 /**
  * Generates a random integer that complies with schema.
@@ -40,9 +142,7 @@ function getMockInteger(schema, jsonpath, overrides = {}) {
   if (overridden(jsonpath, overrides)) {
     return JSONPath(jsonpath, overrides)[0];
   }
-  const low = schema.minimum;
-  const high = schema.maximum;
-  return getRandomNumber(low, high, {returnInteger: true});
+  return getMockNumeric(schema, jsonpath, {returnInteger: true});
 }
 
 /**
@@ -56,9 +156,46 @@ function getMockNumber(schema, jsonpath, overrides = {}) {
   if (overridden(jsonpath, overrides)) {
     return JSONPath(jsonpath, overrides)[0];
   }
-  const low = schema.minimum;
-  const high = schema.maximum;
-  return getRandomNumber(low, high);
+  return getMockNumeric(schema, jsonpath);
+}
+
+/**
+ * Generates a random string that complies with all the patterns and formats
+ * of a schema merged from allOf subschemas.<br>
+ * Strings are generated from each of the patterns, along with the strings
+ * joined (Example: 'ab' for the patterns '^a' and 'b$'), and the first of
+ * them which complies with the schema is picked. Strings are regenerated for
+ * a maximum of MAX_ATTEMPTS attempts.
+ * @param {object} schema Merged specification of String.
+ * @param {string} jsonpath jsonpath of the String Field.
+ * @return {string} Random String.
+ */
+function getMockStringOfMergedSchemas(schema, jsonpath) {
+  const patterns = getMergedValues(schema, 'pattern');
+  const singleValueSchema = Object.assign({}, schema);
+  delete singleValueSchema[MERGED_VALUES];
+  let candidates = [];
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    candidates = [getMockString(singleValueSchema, jsonpath)];
+    if (patterns.length > 1) {
+      candidates = patterns.map(function(pattern) {
+        return getMockString(
+            Object.assign({}, singleValueSchema, {pattern}), jsonpath);
+      });
+      candidates.push(candidates.join(''));
+    }
+    const mockString = candidates.find(function(candidate) {
+      return !validateDataAgainstSchema(candidate, schema, jsonpath).length;
+    });
+    if (mockString !== undefined) return mockString;
+  }
+  logger.warn(buildError(Error.LIMITED_SUPPORT, candidates[0], jsonpath, {
+    patterns: patterns.join(', '),
+    formats: getMergedValues(schema, 'format').join(', '),
+    msg: 'Failed to generate a string which complies with all the allOf ' +
+      'schemas.',
+  }));
+  return candidates[0];
 }
 
 /**
@@ -82,6 +219,12 @@ function getMockString(schema, jsonpath, overrides = {}) {
   if (overridden(jsonpath, overrides)) {
     return JSONPath(jsonpath, overrides)[0];
   }
+  if (getMergedValues(schema, 'pattern').length > 1 ||
+      getMergedValues(schema, 'format').length > 1) {
+    return getMockStringOfMergedSchemas(schema, jsonpath);
+  }
+  const low = schema.minLength || 1;
+  const high = schema.maxLength || low + 10;
   if (schema.format) {
     switch (schema.format) {
       case SchemaFormat.EMAIL:
@@ -94,13 +237,45 @@ function getMockString(schema, jsonpath, overrides = {}) {
         return faker.internet.ip();
       case SchemaFormat.IPV6:
         return faker.internet.ipv6();
-      default: {
+      /*
+        Binary strings are kept printable, as they may be sent in JSON, form
+        or XML request bodies. Files of a multipart form are replaced with
+        raw bytes while building the testsuite.
+      */
+      case SchemaFormat.BINARY:
+        return getRandomString(
+            getRandomNumber(low, high, {returnInteger: true}));
+      case SchemaFormat.BYTE:
+        return Buffer.from(getRandomBinaryString(
+            getRandomNumber(low, high, {returnInteger: true})), 'latin1')
+            .toString('base64');
+      /*
+        Dates and times are generated in UTC as per RFC 3339.
+        Example: '2020-07-17T10:20:30.123Z'.
+      */
+      case SchemaFormat.DATE:
+        return faker.date.past().toISOString().slice(0, 10);
+      case SchemaFormat.DATE_TIME:
+        return faker.date.past().toISOString();
+      case SchemaFormat.TIME:
+        return faker.date.past().toISOString().slice(11);
+      case SchemaFormat.HOSTNAME:
+        return faker.internet.domainName();
+      case SchemaFormat.URI_REFERENCE:
+        return `/${faker.lorem.slug()}?id=${faker.random.uuid()}`;
+      case SchemaFormat.IRI:
+        return `${faker.internet.url()}/${faker.lorem.slug()}`;
+      case SchemaFormat.PASSWORD:
+        break;
+      default:
+        /*
+          String of an unsupported format is generated as per the rest of the
+          schema (pattern, length).
+        */
         logger.warn(buildError(Error.LIMITED_SUPPORT, null, jsonpath, {
           format: schema.format,
-          supportedFormats: 'email, uuid, uri, ipv4/ipv6',
+          supportedFormats: Object.values(SchemaFormat).join(', '),
         }));
-        return '';
-      }
     }
   }
 
@@ -115,15 +290,17 @@ function getMockString(schema, jsonpath, overrides = {}) {
     }
   }
 
-  const low = schema.minLength || 1;
-  const high = schema.maxLength || low + 10;
-
   const lengthOfString = getRandomNumber(low, high, {returnInteger: true});
   return getRandomString(lengthOfString);
 }
 
 /**
- * Generates a random array with items that complies with schema.
+ * Generates a random array with items that complies with schema.<br>
+ * Items specified by prefixItems (OAS 3.1) are placed at the beginning of the
+ * array. Length of the array lies within minItems and maxItems (1 to 10
+ * items after the prefixItems, if not limited). If uniqueItems is true, an
+ * item equal to another item is regenerated, for a maximum of MAX_ATTEMPTS
+ * attempts.
  * @param {object} schema Specification of Array.
  * @param {string} jsonpath jsonpath of the Array Field.
  * @param {object} overrides Overridden Keys/fields with their values.
@@ -133,16 +310,77 @@ function getMockArray(schema, jsonpath, overrides = {}) {
   if (overridden(jsonpath, overrides)) {
     return JSONPath(jsonpath, overrides)[0];
   }
-  const mockArray = [];
-  const lengthOfMockArray = getRandomNumber(1, 10, {returnInteger: true});
-  for (let index = 0; index < lengthOfMockArray; index++) {
-    mockArray.push(getMockData(schema.items, jsonpath, overrides));
+  const prefixItems = schema.prefixItems || [];
+  const mockArray = prefixItems.map(function(itemSchema, index) {
+    return getMockData(itemSchema, `${jsonpath}[${index}]`, overrides);
+  });
+  if (schema.items === false || (prefixItems.length && !schema.items)) {
+    return mockArray;
+  }
+  let minItems = schema.minItems;
+  if (minItems === undefined) {
+    minItems = (schema.maxItems === undefined) ? prefixItems.length + 1 :
+      Math.min(prefixItems.length + 1, schema.maxItems);
+  }
+  const maxItems = (schema.maxItems === undefined) ?
+    Math.max(minItems, prefixItems.length + 10) : schema.maxItems;
+  /*
+    getRandomNumber() takes a limit of 0 as no limit, hence the length is
+    picked as an offset from minItems.
+  */
+  const lengthOfMockArray = minItems +
+    Math.floor(Math.random() * (maxItems - minItems + 1));
+  let duplicates = 0;
+  while (mockArray.length < lengthOfMockArray) {
+    const item = getMockData(schema.items, jsonpath, overrides);
+    const isDuplicate = schema.uniqueItems === true &&
+      mockArray.some(function(mockItem) {
+        return lodash.isEqual(mockItem, item);
+      });
+    if (!isDuplicate) {
+      mockArray.push(item);
+      duplicates = 0;
+    } else if (++duplicates === MAX_ATTEMPTS) {
+      logger.warn(buildError(Error.LIMITED_SUPPORT, mockArray, jsonpath, {
+        uniqueItems: schema.uniqueItems,
+        minItems: schema.minItems,
+        msg: 'Failed to generate unique items of the array.',
+      }));
+      return mockArray;
+    }
   }
   return mockArray;
 }
 
 /**
- * Generates a random object that complies with schema.
+ * Generates a random key of an object, which complies with
+ * schema.propertyNames and isn't a key of schema.properties or of the object.
+ * @param {object} schema Specification of Object.
+ * @param {object} mockObject Object generated so far.
+ * @param {string} jsonpath jsonpath of the Object.
+ * @return {(string|undefined)} Random Key (undefined, if a unique key isn't
+ *    generated for a maximum of MAX_ATTEMPTS attempts).
+ */
+function getMockPropertyName(schema, mockObject, jsonpath) {
+  const propertyNames = schema.propertyNames;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const key = (typeof(propertyNames) === DataType.OBJECT) ?
+      String(getMockData(
+          Object.assign({type: DataType.STRING}, propertyNames), jsonpath)) :
+      getRandomString(8);
+    if (mockObject[key] === undefined && !(schema.properties || {})[key]) {
+      return key;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Generates a random object that complies with schema.<br>
+ * Keys specified by an additionalProperties schema (map-style object) are
+ * generated as per propertyNames. Keys are added (or optional keys are left
+ * out), so that the number of keys lies within minProperties and
+ * maxProperties.
  * @param {object} schema Specification of Object.
  * @param {string} jsonpath jsonpath of the Object.
  * @param {object} overrides Overridden Keys/fields with their values.
@@ -153,15 +391,214 @@ function getMockObject(schema, jsonpath, overrides = {}) {
     return JSONPath(jsonpath, overrides)[0];
   }
   const mockObject = {};
-  const keys = Object.keys(schema.properties);
+  const keys = Object.keys(schema.properties || {});
   keys.forEach(function(key) {
     const keySchema = schema.properties[key];
+    // readOnly keys are not sent in requests, unless overridden.
+    if ((keySchema || {}).readOnly === true &&
+        !overridden(`${jsonpath}.${key}`, overrides)) return;
     mockObject[key] =
       getMockData(keySchema, `${jsonpath}.${key}`, overrides);
   });
+
+  /*
+    Values of the additional keys added for minProperties are random strings,
+    unless specified by an additionalProperties schema.
+  */
+  const additionalProperties = schema.additionalProperties;
+  const isMap = typeof(additionalProperties) === DataType.OBJECT &&
+    Object.keys(additionalProperties).length > 0;
+  const propertyCount = Object.keys(mockObject).length;
+  let additionalCount = (isMap) ? ADDITIONAL_PROPERTIES_COUNT : 0;
+  if (schema.minProperties !== undefined && additionalProperties !== false) {
+    additionalCount =
+      Math.max(additionalCount, schema.minProperties - propertyCount);
+  }
+  if (schema.maxProperties !== undefined) {
+    additionalCount = Math.min(additionalCount,
+        Math.max(schema.maxProperties - propertyCount, 0));
+  }
+  for (let index = 0; index < additionalCount; index++) {
+    const key = getMockPropertyName(schema, mockObject, jsonpath);
+    if (key === undefined) break;
+    mockObject[key] = (isMap) ?
+      getMockData(additionalProperties, `${jsonpath}.${key}`, overrides) :
+      getRandomString(8);
+  }
+
+  if (schema.maxProperties !== undefined) {
+    const required = schema.required || [];
+    Object.keys(mockObject).reverse().forEach(function(key) {
+      if (Object.keys(mockObject).length <= schema.maxProperties ||
+          required.includes(key) ||
+          overridden(`${jsonpath}.${key}`, overrides)) return;
+      delete mockObject[key];
+    });
+  }
+  const count = Object.keys(mockObject).length;
+  if ((schema.minProperties !== undefined && count < schema.minProperties) ||
+      (schema.maxProperties !== undefined && count > schema.maxProperties)) {
+    logger.warn(buildError(Error.LIMITED_SUPPORT, mockObject, jsonpath, {
+      minProperties: schema.minProperties,
+      maxProperties: schema.maxProperties,
+      msg: 'Failed to generate an object with the number of keys allowed.',
+    }));
+  }
   return mockObject;
 }
 
+/**
+ * Sets the discriminator property of the data generated from a subschema of
+ * a oneOf/anyOf schema, to the discriminator value of the subschema.
+ * @param {*} mockData Data generated from the subschema.
+ * @param {object} schema oneOf/anyOf schema.
+ * @param {number} index Index of the subschema.
+ * @param {string} jsonpath jsonpath of the Field/Key.
+ * @param {object} overrides Overridden Keys/fields with their values.
+ * @return {*} mockData
+ */
+function setDiscriminatorValue(mockData, schema, index, jsonpath,
+    overrides = {}) {
+  const discriminatorValue = getDiscriminatorValue(schema, index);
+  if (discriminatorValue === undefined ||
+      getDataType(mockData) !== DataType.OBJECT) return mockData;
+  const propertyName = schema.discriminator.propertyName;
+  if (!overridden(`${jsonpath}.${propertyName}`, overrides)) {
+    mockData[propertyName] = discriminatorValue;
+  }
+  return mockData;
+}
+
+/**
+ * Returns the candidates of data generated from a oneOf subschema, which may
+ * comply with only that subschema.<br>
+ * Numbers generated from a subschema of numbers are mostly integers, which
+ * comply with a subschema of integers as well (Example: {oneOf: [{type:
+ * 'integer'}, {type: 'number'}]}). Hence, decimals are added as candidates
+ * for such numbers.
+ * @param {*} mockData Data generated from the subschema.
+ * @param {object} subschema oneOf subschema.
+ * @param {string} jsonpath jsonpath of the Field/Key.
+ * @param {object} overrides Overridden Keys/fields with their values.
+ * @return {array} Candidates.
+ */
+function getOneOfCandidates(mockData, subschema, jsonpath, overrides = {}) {
+  const candidates = [mockData];
+  if (getDataType(mockData) !== DataType.INTEGER ||
+      overridden(jsonpath, overrides) ||
+      !getSchemaTypes(mergeAllOf(subschema)).includes(DataType.NUMBER)) {
+    return candidates;
+  }
+  return candidates.concat(mockData + 0.5, mockData - 0.5, 0.5, -0.5);
+}
+
+/**
+ * Generates a random data that complies with exactly one of the oneOf
+ * subschemas of the schema.<br>
+ * Data is generated from each of the subschemas in turn, starting from a
+ * random one, and is regenerated while it complies with other subschemas as
+ * well, for a maximum of MAX_ATTEMPTS attempts.
+ * @param {object} schema Specification of data.
+ * @param {string} jsonpath jsonpath of the Field/Key.
+ * @param {object} overrides Overridden Keys/fields with their values.
+ * @return {*} Random Data.
+ */
+function getMockOneOfData(schema, jsonpath, overrides = {}) {
+  const schemas = schema.oneOf;
+  const firstIndex = Math.floor(Math.random() * schemas.length);
+  let mockData;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const index = (firstIndex + attempt) % schemas.length;
+    mockData = setDiscriminatorValue(
+        getMockData(schemas[index], jsonpath, overrides),
+        schema, index, jsonpath, overrides);
+    const exclusiveData = getOneOfCandidates(
+        mockData, schemas[index], jsonpath, overrides).find(
+        function(candidate) {
+          return !validateDataAgainstSchema(candidate, schema, jsonpath).length;
+        });
+    if (exclusiveData !== undefined) return exclusiveData;
+  }
+  logger.warn(buildError(Error.LIMITED_SUPPORT, mockData, jsonpath, {
+    oneOf: schema.oneOf,
+    msg: 'Failed to generate data which complies with exactly one of the ' +
+      'oneOf schemas.',
+  }));
+  return mockData;
+}
+
+/**
+ * Generates a random data that complies with the schema, but not with the
+ * schema specified by 'not'.<br>
+ * Data is regenerated till it doesn't comply with the 'not' schema, for a
+ * maximum of MAX_ATTEMPTS attempts. Data of a schema without a datatype is
+ * generated for each of the datatypes in turn.
+ * Example: {not: {type: 'string'}} generates an integer.
+ * @param {object} schema Specification of data.
+ * @param {string} jsonpath jsonpath of the Field/Key.
+ * @param {object} overrides Overridden Keys/fields with their values.
+ * @return {*} Random Data.
+ */
+function getMockDataExcludingNot(schema, jsonpath, overrides = {}) {
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.not;
+  const candidateSchemas = (getSchemaTypes(baseSchema).length) ? [baseSchema] :
+    UntypedDataTypes.map(function(type) {
+      return withType(baseSchema, type);
+    });
+
+  let mockData;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const candidateSchema = candidateSchemas[attempt % candidateSchemas.length];
+    mockData = getMockData(candidateSchema, jsonpath, overrides);
+    if (validateDataAgainstSchema(mockData, schema.not, jsonpath).length) {
+      return mockData;
+    }
+  }
+  logger.warn(buildError(Error.LIMITED_SUPPORT, mockData, jsonpath, {
+    not: schema.not,
+    msg: 'Failed to generate data which does not comply with the not schema.',
+  }));
+  return mockData;
+}
+
+/**
+ * Generates a random data that complies with the if/then/else conditions
+ * (OAS 3.1) of the schema.<br>
+ * Data is generated from the schema, and then the keys specified by the
+ * 'then' schema (when data complies with the 'if' schema) or by the 'else'
+ * schema are regenerated.
+ * @param {object} schema Specification of data.
+ * @param {string} jsonpath jsonpath of the Field/Key.
+ * @param {object} overrides Overridden Keys/fields with their values.
+ * @return {*} Random Data.
+ */
+function getMockConditionalData(schema, jsonpath, overrides = {}) {
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.if;
+  delete baseSchema.then;
+  delete baseSchema.else;
+  const mockData = getMockData(baseSchema, jsonpath, overrides);
+  const conditionErrors =
+    validateDataAgainstSchema(mockData, schema.if, jsonpath);
+  const branchSchema = (conditionErrors.length) ? schema.else : schema.then;
+  if (!branchSchema) return mockData;
+
+  const mergedSchema = mergeSchemas(baseSchema, branchSchema);
+  if (getDataType(mockData) !== DataType.OBJECT || !branchSchema.properties) {
+    return getMockData(mergedSchema, jsonpath, overrides);
+  }
+  /*
+    Keys of the 'if' schema are left untouched, so that the data keeps
+    complying (or not complying) with the 'if' schema.
+  */
+  Object.keys(branchSchema.properties).forEach(function(key) {
+    mockData[key] = getMockData(mergedSchema.properties[key],
+        `${jsonpath}.${key}`, overrides);
+  });
+  return mockData;
+}
+
 /**
  * Generates a random data that complies with schema.<br>
  * Use case: generating random requestbody which complies with schema.
@@ -177,18 +614,67 @@ function getMockData(schema, jsonpath, overrides = {}) {
     return JSONPath(jsonpath, overrides)[0];
   }
 
+  /*
+    Subschemas of allOf are merged, as the data should comply with all of
+    them. Example: allOf: [BaseEntity, {properties: {...}}]
+  */
+  if (schema.allOf) {
+    return getMockData(mergeAllOf(schema), jsonpath, overrides);
+  }
+
   if (schema.oneOf) {
-    const schemas = schema.oneOf;
-    return getMockData(schemas[Math.floor(Math.random() * schemas.length)],
+    return getMockOneOfData(schema, jsonpath, overrides);
+  }
+
+  /*
+    Data complying with any one of the subschemas complies with anyOf.
+    Subschema is merged with the rest of the schema, as the data should
+    comply with both of them.
+  */
+  if (schema.anyOf) {
+    const schemas = schema.anyOf;
+    const baseSchema = Object.assign({}, schema);
+    delete baseSchema.anyOf;
+    const index = Math.floor(Math.random() * schemas.length);
+    const mockData = getMockData(mergeSchemas(baseSchema, schemas[index]),
         jsonpath, overrides);
+    return setDiscriminatorValue(mockData, schema, index, jsonpath, overrides);
+  }
+
+  if (schema.not) {
+    return getMockDataExcludingNot(schema, jsonpath, overrides);
+  }
+
+  if (schema.if) {
+    return getMockConditionalData(schema, jsonpath, overrides);
   }
 
+  if (schema.const !== undefined) return schema.const;
+
   if (schema.enum) {
     const items = schema.enum;
     return items[Math.floor(Math.random() * items.length)];
   }
 
-  switch (schema.type) {
+  /*
+    In OAS 3.1, schema can have multiple datatypes (Example: ['string',
+    'null']). Data is generated for the first datatype other than 'null'.
+  */
+  const type = getSchemaType(schema);
+  if (!type && getSchemaTypes(schema).includes(DataType.NULL)) return null;
+  if (Array.isArray(schema.type)) schema = withType(schema, type);
+
+  /*
+    Examples (OAS 3.1) of a primitive value are realistic values accepted by
+    the server, hence they are preferred over random values.
+  */
+  if (Array.isArray(schema.examples) && schema.examples.length &&
+      type !== DataType.ARRAY && type !== DataType.OBJECT) {
+    const examples = schema.examples;
+    return examples[Math.floor(Math.random() * examples.length)];
+  }
+
+  switch (type) {
     case DataType.BOOLEAN:
       return [true, false][Math.floor(Math.random() * 2)];
     case DataType.INTEGER:
@@ -211,28 +697,80 @@ function getMockData(schema, jsonpath, overrides = {}) {
 }
 
 /**
- * Generates a random header from the parameters provided.<br>
+ * Generates random values for the parameters of a particular location.<br>
  * There are many types of parameters supported by OAS 3.0 .<br>
- * Example: query params, path params, header params, cookie params.<br>
- * The scope of the functionality is limited to generating only header params.
+ * Example: query params, path params, header params, cookie params.
  * @param {array} parameters Parameter List.
- * @param {object} overrides Keys/fields of request headers and their
+ * @param {string} parameterLocation Location of the parameters to be
+ *  generated. (Example: 'path', 'header')
+ * @param {object} overrides Keys/fields of the parameters and their
  *  overridden values.
- * @return {object} Mock Headers.
+ * @return {object} Mock Parameters.
  */
-function getMockHeaders(parameters, overrides = {}) {
-  const mockHeaders = {};
+function getMockParameters(parameters, parameterLocation, overrides = {}) {
+  const mockParameters = {};
   parameters = parameters || [];
   parameters.forEach(function(parameter) {
-    if (parameter.in === 'header') {
-      mockHeaders[parameter.name] = getMockData(parameter.schema,
+    if (parameter.in === parameterLocation) {
+      mockParameters[parameter.name] = getMockData(parameter.schema,
           `$.${parameter.name}`, overrides);
     }
   });
-  return mockHeaders;
+  return mockParameters;
+}
+
+/**
+ * Generates a random header from the parameters provided.
+ * @param {array} parameters Parameter List.
+ * @param {object} overrides Keys/fields of request headers and their
+ *  overridden values.
+ * @return {object} Mock Headers.
+ */
+function getMockHeaders(parameters, overrides = {}) {
+  return getMockParameters(parameters, ParameterLocation.HEADER, overrides);
+}
+
+/**
+ * Generates random values for the path parameters from the parameters
+ * provided.
+ * @param {array} parameters Parameter List.
+ * @param {object} overrides Keys/fields of path parameters and their
+ *  overridden values.
+ * @return {object} Mock Path Parameters.
+ */
+function getMockPathParameters(parameters, overrides = {}) {
+  return getMockParameters(parameters, ParameterLocation.PATH, overrides);
+}
+
+/**
+ * Generates random values for the query parameters from the parameters
+ * provided.
+ * @param {array} parameters Parameter List.
+ * @param {object} overrides Keys/fields of query parameters and their
+ *  overridden values.
+ * @return {object} Mock Query Parameters.
+ */
+function getMockQueryParameters(parameters, overrides = {}) {
+  return getMockParameters(parameters, ParameterLocation.QUERY, overrides);
+}
+
+/**
+ * Generates random values for the cookies from the parameters provided.
+ * @param {array} parameters Parameter List.
+ * @param {object} overrides Keys/fields of request cookies and their
+ *  overridden values.
+ * @return {object} Mock Cookies.
+ */
+function getMockCookies(parameters, overrides = {}) {
+  return getMockParameters(parameters, ParameterLocation.COOKIE, overrides);
 }
 
 module.exports = {
+  getMockParameters,
   getMockHeaders,
+  getMockPathParameters,
+  getMockQueryParameters,
+  getMockCookies,
   getMockData,
+  setDiscriminatorValue,
 };
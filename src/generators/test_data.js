@@ -23,19 +23,63 @@
 
 const fs = require('fs');
 const lodash = require('lodash');
-const {getApiEndpoints, verifyApiEndpoints} = require('../utils/oas');
+const {getApiEndpoints, verifyApiEndpoints, getParameters} =
+  require('../utils/oas');
+const {getReceivedData, getReceivedRequestBody, isJSONMediaType} =
+  require('../utils/serialization');
+const {isXMLMediaType} = require('../utils/xml');
+const {getSchemaType, mergeAllOf} = require('../utils/schema');
+const {getRandomBinaryString, overridden} = require('../utils/app');
+const {validateDataAgainstSchema} = require('../validator');
 const {logger} = require('../log');
-const {DataType} = require('../constants');
-const {getMockData, getMockHeaders} = require('./good_data');
+const {DataType, HttpMethod, MediaType, ParameterLocation, SchemaFormat} =
+  require('../constants');
 const {
+  getMockData,
+  getMockHeaders,
+  getMockPathParameters,
+  getMockQueryParameters,
+  getMockCookies,
+} = require('./good_data');
+const {
+  getDataDeficientByAdditionalProperty,
+  getDataDeficientByArrayLength,
   getDataDeficientByDataType,
+  getDataDeficientByDiscriminator,
   getDataDeficientByEnum,
+  getDataDeficientByFormat,
+  getDataDeficientByNot,
+  getDataDeficientByNullValue,
   getDataDeficientByNumberLimit,
+  getDataDeficientByOneOf,
   getDataDeficientByOptionalKey,
+  getDataDeficientByPattern,
+  getDataDeficientByPropertyCount,
+  getDataDeficientByReadOnlyKey,
   getDataDeficientByRequiredKey,
   getDataDeficientByStringLength,
+  getDataDeficientByUniqueItems,
 } = require('./bad_data');
 
+/**
+ * Filters out the deficient data of a parameter which no longer has the
+ * deficiency, once serialized as per the style of the parameter.<br>
+ * Example: an array [1, 2, 3] of a string header parameter is sent as
+ * '1,2,3', which a server can't tell apart from a valid string.
+ * @param {object} parameter Parameter Object.
+ * @param {array<object>} deficientDatas
+ * @return {array<object>} deficientDatas
+ */
+function filterUndetectableDeficiencies(parameter, deficientDatas) {
+  return deficientDatas.filter(function(deficientData) {
+    const receivedData = getReceivedData(parameter, deficientData.data);
+    if (receivedData === undefined) return false;
+    const errors = validateDataAgainstSchema(receivedData, parameter.schema,
+        `$.${parameter.name}`);
+    return errors.length > 0;
+  });
+}
+
 /**
  * Generates positive test cases for the validation of request body.<br>
  * Positive testcases include test cases which on execution should get
@@ -45,20 +89,40 @@ const {
  *   testcase.
  * @param {object} overrides Keys/fields of request body and their
  *  overridden values.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {boolean=} options.partialUpdate Request body is a partial update of
+ *    a resource (Example: PATCH). Missing required keys are acceptable.
+ * @param {string=} options.mediaType Media type of request body.
  * @return {array<object>} Positive testcases.
  */
 function getPostitveTestCaseForRequestBody(
-    schema, extras = {}, overrides = {}) {
+    schema, extras = {}, overrides = {}, options = {}) {
   const dataDeficientByOptionalKey =
     getDataDeficientByOptionalKey(schema, '$', overrides);
+  /*
+    null values can't be sent in form, XML and plain text request bodies, as
+    they are serialized as empty strings.
+  */
+  const dataDeficientByNullValue =
+    (options.mediaType && !isJSONMediaType(options.mediaType)) ? [] :
+    getDataDeficientByNullValue(schema, '$', overrides, {nullable: true});
 
   let deficientDatas = [];
   deficientDatas = deficientDatas.concat(dataDeficientByOptionalKey);
+  deficientDatas = deficientDatas.concat(dataDeficientByNullValue);
+  if (options.partialUpdate) {
+    deficientDatas = deficientDatas.concat(
+        getDataDeficientByRequiredKey(schema, '$', overrides));
+  }
 
   const testCases = [];
   deficientDatas.forEach(function(deficientData) {
-    // To send an api request, the requestbody should be of object datatype.
-    if (typeof(deficientData.data) !== DataType.OBJECT) return;
+    /*
+      To send an api request, the requestbody should be of object datatype,
+      except for a plain text requestbody.
+    */
+    if (typeof(deficientData.data) !== DataType.OBJECT &&
+        options.mediaType !== MediaType.TEXT_PLAIN) return;
     const testCase = lodash.merge(deficientData, extras);
     testCases.push(testCase);
   });
@@ -74,102 +138,232 @@ function getPostitveTestCaseForRequestBody(
  *   testcase.
  * @param {object} overrides Keys/fields of request body and their
  *  overridden values.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {boolean=} options.partialUpdate Request body is a partial update of
+ *    a resource (Example: PATCH). Missing required keys are acceptable.
+ * @param {string=} options.mediaType Media type of request body.
+ * @param {object=} options.encoding Encoding objects of the properties of a
+ *    form request body.
+ * @param {boolean=} options.readOnlyTestCases Adds the testcases which send
+ *    readOnly keys of request body.
  * @return {array<object>} Negative testcases
  */
 function getNegativeTestCaseForRequestBody(
-    schema, extras = {}, overrides = {}) {
+    schema, extras = {}, overrides = {}, options = {}) {
   const dataDeficientByDataType = getDataDeficientByDataType(
       schema, '$', overrides);
   const dataDeficientByEnum = getDataDeficientByEnum(
       schema, '$', overrides);
+  const dataDeficientByFormat = getDataDeficientByFormat(
+      schema, '$', overrides);
+  const dataDeficientByDiscriminator = getDataDeficientByDiscriminator(
+      schema, '$', overrides);
+  const dataDeficientByAdditionalProperty =
+    getDataDeficientByAdditionalProperty(schema, '$', overrides);
+  const dataDeficientByNot = getDataDeficientByNot(
+      schema, '$', overrides);
+  const dataDeficientByOneOf = getDataDeficientByOneOf(
+      schema, '$', overrides);
+  const dataDeficientByNullValue = getDataDeficientByNullValue(
+      schema, '$', overrides, {nullable: false});
   const dataDeficientByNumberLimit = getDataDeficientByNumberLimit(
-      schema, '$', overrides, {checkMaximum: true, checkMinimum: true});
-  const dataDeficientByRequiredKey = getDataDeficientByRequiredKey(
+      schema, '$', overrides,
+      {checkMaximum: true, checkMinimum: true, checkMultipleOf: true});
+  const dataDeficientByPattern = getDataDeficientByPattern(
       schema, '$', overrides);
+  const dataDeficientByRequiredKey = (options.partialUpdate) ? [] :
+    getDataDeficientByRequiredKey(schema, '$', overrides);
+  const dataDeficientByReadOnlyKey = (!options.readOnlyTestCases) ? [] :
+    getDataDeficientByReadOnlyKey(schema, '$', overrides);
   const dataDeficientByStringLength = getDataDeficientByStringLength(
       schema, '$', overrides,
       {checkMinimumLength: true, checkMaximumLength: true});
+  const dataDeficientByArrayLength = getDataDeficientByArrayLength(
+      schema, '$', overrides,
+      {checkMinimumItems: true, checkMaximumItems: true});
+  const dataDeficientByUniqueItems = getDataDeficientByUniqueItems(
+      schema, '$', overrides);
+  const dataDeficientByPropertyCount = getDataDeficientByPropertyCount(
+      schema, '$', overrides,
+      {checkMinimumProperties: true, checkMaximumProperties: true});
 
   let deficientDatas = [];
   deficientDatas = deficientDatas.concat(dataDeficientByDataType);
   deficientDatas = deficientDatas.concat(dataDeficientByEnum);
+  deficientDatas = deficientDatas.concat(dataDeficientByFormat);
+  deficientDatas = deficientDatas.concat(dataDeficientByDiscriminator);
+  deficientDatas = deficientDatas.concat(dataDeficientByAdditionalProperty);
+  deficientDatas = deficientDatas.concat(dataDeficientByNot);
+  deficientDatas = deficientDatas.concat(dataDeficientByOneOf);
+  deficientDatas = deficientDatas.concat(dataDeficientByNullValue);
   deficientDatas = deficientDatas.concat(dataDeficientByNumberLimit);
+  deficientDatas = deficientDatas.concat(dataDeficientByPattern);
   deficientDatas = deficientDatas.concat(dataDeficientByRequiredKey);
+  deficientDatas = deficientDatas.concat(dataDeficientByReadOnlyKey);
   deficientDatas = deficientDatas.concat(dataDeficientByStringLength);
+  deficientDatas = deficientDatas.concat(dataDeficientByArrayLength);
+  deficientDatas = deficientDatas.concat(dataDeficientByUniqueItems);
+  deficientDatas = deficientDatas.concat(dataDeficientByPropertyCount);
+
+  /*
+    Values of form, XML and plain text request bodies are sent as strings, so
+    the deficiencies which a server can't detect after serialization are
+    filtered out.
+  */
+  if (options.mediaType && !isJSONMediaType(options.mediaType)) {
+    deficientDatas = deficientDatas.filter(function(deficientData) {
+      const receivedData = getReceivedRequestBody(deficientData.data, schema,
+          options.mediaType, options.encoding);
+      return validateDataAgainstSchema(receivedData, schema, '$',
+          {request: true}).length > 0;
+    });
+  }
 
   const testCases = [];
   deficientDatas.forEach(function(deficientData) {
-    // To send an api request, the requestbody should be of object datatype.
-    if (typeof(deficientData.data) !== DataType.OBJECT) return;
+    /*
+      To send an api request, the requestbody should be of object datatype,
+      except for a plain text requestbody.
+    */
+    if (typeof(deficientData.data) !== DataType.OBJECT &&
+        options.mediaType !== MediaType.TEXT_PLAIN) return;
     const testCase = lodash.merge(deficientData, extras);
     testCases.push(testCase);
   });
   return testCases;
 }
 
+/*
+  Keys of the testcases of parameters, for each location of the parameters.
+  getMockParameters generates the parameters of the location sent along with
+  the parameter under test, and nameKey tells which parameter is under test.
+  Path parameters are always required, hence they don't have the keys for
+  missing parameters.
+*/
+const ParameterTestCaseKeys = {
+  [ParameterLocation.HEADER]: {
+    getMockParameters: getMockHeaders,
+    nameKey: 'headerName',
+    missingOptionalKey: 'missingOptionalHeader',
+    missingRequiredKey: 'missingRequiredHeader',
+  },
+  [ParameterLocation.QUERY]: {
+    getMockParameters: getMockQueryParameters,
+    nameKey: 'queryParameterName',
+    missingOptionalKey: 'missingOptionalQueryParameter',
+    missingRequiredKey: 'missingRequiredQueryParameter',
+  },
+  [ParameterLocation.COOKIE]: {
+    getMockParameters: getMockCookies,
+    nameKey: 'cookieName',
+    missingOptionalKey: 'missingOptionalCookie',
+    missingRequiredKey: 'missingRequiredCookie',
+  },
+  [ParameterLocation.PATH]: {
+    getMockParameters: getMockPathParameters,
+    nameKey: 'pathParameterName',
+    /*
+      Server may not find the resource of a path with a deficient path
+      parameter.
+    */
+    expectedStatusCodes: ['400', '404'],
+  },
+};
+
 /**
- * Generates positive test cases for the validation of request header.<br>
+ * Replaces the data of a single parameter under test in the deficientDatas
+ * with all the parameters of its location.<br>
+ * In order to make an api request the other parameters of the location
+ * should be sent along with the parameter under test. So, we overwrite the
+ * deficientData with the parameters which contain the parameter under test.
+ * Also, we add an attribute (Example: headerName) that tells which parameter
+ * is under test.
+ * @param {array<object>} deficientDatas Deficient data of the parameter.
+ * @param {object} parameter Parameter under test.
+ * @param {object} parameters Parameter List.
+ * @param {object} overrides Keys and their overridden values.
+ * @return {array<object>} deficientDatas
+ */
+function setParameterData(deficientDatas, parameter, parameters, overrides) {
+  const testCaseKeys = ParameterTestCaseKeys[parameter.in];
+  deficientDatas.forEach(function(deficientData) {
+    const deficientParameters =
+      testCaseKeys.getMockParameters(parameters, overrides);
+    deficientParameters[parameter.name] = deficientData.data;
+    deficientData.data = deficientParameters;
+    deficientData[testCaseKeys.nameKey] = parameter.name;
+    if (testCaseKeys.expectedStatusCodes) {
+      deficientData.expectedStatusCodes = testCaseKeys.expectedStatusCodes;
+    }
+  });
+  return deficientDatas;
+}
+
+/**
+ * Returns the testcase of a parameter missing from the parameters of its
+ * location.
+ * @param {object} parameter Parameter left out.
+ * @param {object} parameters Parameter List.
+ * @param {object} overrides Keys and their overridden values.
+ * @return {object} deficientData
+ */
+function getMissingParameterData(parameter, parameters, overrides) {
+  const testCaseKeys = ParameterTestCaseKeys[parameter.in];
+  const deficientParameters =
+    testCaseKeys.getMockParameters(parameters, overrides);
+  delete deficientParameters[parameter.name];
+
+  const deficientData = {};
+  deficientData.key = `$.${parameter.name}`;
+  deficientData[testCaseKeys.nameKey] = parameter.name;
+  deficientData.data = deficientParameters;
+  const missingKey = (parameter.required === true) ?
+    testCaseKeys.missingRequiredKey : testCaseKeys.missingOptionalKey;
+  deficientData[missingKey] = parameter.name;
+  return deficientData;
+}
+
+/**
+ * Generates positive test cases for the validation of parameters of a
+ * location.<br>
  * Positive testcases include test cases which on execution should get
  * a 2xx http status code from the server.<br>
  * There are many types of parameters supported by OAS 3.0 .<br>
- * Example: query params, path params, header params, cookie params.<br>
- * The scope of the functionality is limited to only header parameters.
+ * Example: query params, path params, header params, cookie params.
  * @param {object} parameters Parameter List.
+ * @param {string} location Location of the parameters under test
+ *    (header, query, cookie).
  * @param {object} extras Extra keys/fields to be appended to the generated
  *   test case.
- * @param {object} overrides Keys/fields of request headers and their
+ * @param {object} overrides Keys/fields of the parameters and their
  *  overridden values.
  * @return {array<object>} Positive testcases
  */
-function getPostitveTestCaseForRequestHeader(
-    parameters, extras = {}, overrides = {}) {
-  let deficientDatasOfAllHeaders = [];
+function getPostitveTestCaseForParameters(
+    parameters, location, extras = {}, overrides = {}) {
+  let deficientDatasOfAllParameters = [];
   parameters = parameters || [];
   parameters.forEach(function(parameter) {
-    if (parameter.in !== 'header') return;
+    if (parameter.in !== location) return;
 
     const dataDeficientByOptionalKey = getDataDeficientByOptionalKey(
         parameter.schema, `$.${parameter.name}`, overrides);
 
-    let deficientDatas = [];
-    deficientDatas = deficientDatas.concat(dataDeficientByOptionalKey);
-
-    /*
-      deficientDatas contain data of a single header parameter under test.
-      In order to make an api request the other header parameters should be
-      sent along with the header under test.
-      So, we overwrite the deficientData with requestHeaders
-      which contains the header parameter under test.
-      Also, we add an attribute headerName that tells which header parameter is
-      under test.
-    */
-    deficientDatas.forEach(function(deficientData) {
-      const exampleRequestHeader = getMockHeaders(parameters, overrides);
-      const deficientRequestHeader = exampleRequestHeader;
-      deficientRequestHeader[parameter.name] = deficientData.data;
-      deficientData.data = deficientRequestHeader;
-      deficientData.headerName = parameter.name;
-    });
+    const deficientDatas = setParameterData(dataDeficientByOptionalKey,
+        parameter, parameters, overrides);
 
-    /* Testcase for "missing optional header". */
+    /* Testcase for "missing optional parameter". */
     if (parameter.required !== true) {
-      const exampleRequestHeader = getMockHeaders(parameters, overrides);
-      const deficientRequestHeader = exampleRequestHeader;
-      delete deficientRequestHeader[parameter.name];
-
-      const deficientData = {};
-      deficientData.headerName = parameter.name;
-      deficientData.data = deficientRequestHeader;
-      deficientData.missingOptionalHeader = parameter.name;
-      deficientDatas.push(deficientData);
+      deficientDatas.push(
+          getMissingParameterData(parameter, parameters, overrides));
     }
 
-    deficientDatasOfAllHeaders =
-      deficientDatasOfAllHeaders.concat(deficientDatas);
+    deficientDatasOfAllParameters =
+      deficientDatasOfAllParameters.concat(deficientDatas);
   });
 
   const testCases = [];
-  deficientDatasOfAllHeaders.forEach(function(deficientData) {
+  deficientDatasOfAllParameters.forEach(function(deficientData) {
     const testCase = lodash.merge(deficientData, extras);
     testCases.push(testCase);
   });
@@ -177,81 +371,90 @@ function getPostitveTestCaseForRequestHeader(
 }
 
 /**
- * Generates negative test cases for the validation of request header.<br>
+ * Generates negative test cases for the validation of parameters of a
+ * location.<br>
  * Negative testcases include test cases which on execution should get
- * a 4xx or 5xx http status code from the server.<br>
+ * a 4xx or 5xx http status code from the server (400 or 404 for path
+ * parameters).<br>
  * There are many types of parameters supported by OAS 3.0 .<br>
- * Example: query params, path params, header params, cookie params.<br>
- * The scope of the functionality is limited to only header parameters.
+ * Example: query params, path params, header params, cookie params.
  * @param {object} parameters Parameter List.
+ * @param {string} location Location of the parameters under test
+ *    (header, query, cookie, path).
  * @param {object} extras Extra keys/fields to be appended to the generated
  *   test case.
  * @param {object} overrides Keys and their overridden values.
  * @return {array<object>} Negative testcases.
  */
-function getNegativeTestCaseForRequestHeader(
-    parameters, extras = {}, overrides = {}) {
-  let deficientDatasOfAllHeaders = [];
+function getNegativeTestCaseForParameters(
+    parameters, location, extras = {}, overrides = {}) {
+  let deficientDatasOfAllParameters = [];
   parameters = parameters || [];
   parameters.forEach(function(parameter) {
-    if (parameter.in !== 'header') return;
+    if (parameter.in !== location) return;
 
     const dataDeficientByDataType = getDataDeficientByDataType(
         parameter.schema, `$.${parameter.name}`, overrides);
     const dataDeficientByEnum = getDataDeficientByEnum(
         parameter.schema, `$.${parameter.name}`, overrides);
+    const dataDeficientByFormat = getDataDeficientByFormat(
+        parameter.schema, `$.${parameter.name}`, overrides);
+    const dataDeficientByAdditionalProperty =
+      getDataDeficientByAdditionalProperty(
+          parameter.schema, `$.${parameter.name}`, overrides);
+    const dataDeficientByNot = getDataDeficientByNot(
+        parameter.schema, `$.${parameter.name}`, overrides);
+    const dataDeficientByOneOf = getDataDeficientByOneOf(
+        parameter.schema, `$.${parameter.name}`, overrides);
     const dataDeficientByRequiredKey = getDataDeficientByRequiredKey(
         parameter.schema, `$.${parameter.name}`, overrides);
     const dataDeficientByNumberLimit = getDataDeficientByNumberLimit(
         parameter.schema, `$.${parameter.name}`, overrides,
-        {checkMaximum: true, checkMinimum: true});
+        {checkMaximum: true, checkMinimum: true, checkMultipleOf: true});
+    const dataDeficientByPattern = getDataDeficientByPattern(
+        parameter.schema, `$.${parameter.name}`, overrides);
     const dataDeficientByStringLength = getDataDeficientByStringLength(
         parameter.schema, `$.${parameter.name}`, overrides,
         {checkMaximumLength: true, checkMinimumLength: true});
+    const dataDeficientByArrayLength = getDataDeficientByArrayLength(
+        parameter.schema, `$.${parameter.name}`, overrides,
+        {checkMinimumItems: true, checkMaximumItems: true});
+    const dataDeficientByUniqueItems = getDataDeficientByUniqueItems(
+        parameter.schema, `$.${parameter.name}`, overrides);
+    const dataDeficientByPropertyCount = getDataDeficientByPropertyCount(
+        parameter.schema, `$.${parameter.name}`, overrides,
+        {checkMinimumProperties: true, checkMaximumProperties: true});
 
     let deficientDatas = [];
     deficientDatas = deficientDatas.concat(dataDeficientByDataType);
     deficientDatas = deficientDatas.concat(dataDeficientByEnum);
+    deficientDatas = deficientDatas.concat(dataDeficientByFormat);
+    deficientDatas = deficientDatas.concat(dataDeficientByAdditionalProperty);
+    deficientDatas = deficientDatas.concat(dataDeficientByNot);
+    deficientDatas = deficientDatas.concat(dataDeficientByOneOf);
     deficientDatas = deficientDatas.concat(dataDeficientByNumberLimit);
+    deficientDatas = deficientDatas.concat(dataDeficientByPattern);
     deficientDatas = deficientDatas.concat(dataDeficientByRequiredKey);
     deficientDatas = deficientDatas.concat(dataDeficientByStringLength);
-
-    /*
-      deficientDatas contain data of a single header parameter under test.
-      In order to make an api request the other header parameters should be
-      sent along with the header under test.
-      So, we overwrite the deficientData with requestHeaders
-      which contains the header parameter under test.
-      Also, we add an attribute headerName that tells which header parameter is
-      under test.
-    */
-    deficientDatas.forEach(function(deficientData) {
-      const exampleRequestHeader = getMockHeaders(parameters, overrides);
-      const deficientRequestHeader = exampleRequestHeader;
-      deficientRequestHeader[parameter.name] = deficientData.data;
-      deficientData.data = deficientRequestHeader;
-      deficientData.headerName = parameter.name;
-    });
-
-    /* Testcase for "missing required header". */
-    if (parameter.required === true) {
-      const exampleRequestHeader = getMockHeaders(parameters, overrides);
-      const deficientRequestHeader = exampleRequestHeader;
-      delete deficientRequestHeader[parameter.name];
-
-      const deficientData = {};
-      deficientData.headerName = parameter.name;
-      deficientData.data = deficientRequestHeader;
-      deficientData.missingRequiredHeader = parameter.name;
-      deficientDatas.push(deficientData);
+    deficientDatas = deficientDatas.concat(dataDeficientByArrayLength);
+    deficientDatas = deficientDatas.concat(dataDeficientByUniqueItems);
+    deficientDatas = deficientDatas.concat(dataDeficientByPropertyCount);
+    deficientDatas = filterUndetectableDeficiencies(parameter, deficientDatas);
+    deficientDatas =
+      setParameterData(deficientDatas, parameter, parameters, overrides);
+
+    /* Testcase for "missing required parameter". */
+    if (parameter.required === true && location !== ParameterLocation.PATH) {
+      deficientDatas.push(
+          getMissingParameterData(parameter, parameters, overrides));
     }
 
-    deficientDatasOfAllHeaders =
-      deficientDatasOfAllHeaders.concat(deficientDatas);
+    deficientDatasOfAllParameters =
+      deficientDatasOfAllParameters.concat(deficientDatas);
   });
 
   const testCases = [];
-  deficientDatasOfAllHeaders.forEach(function(deficientData) {
+  deficientDatasOfAllParameters.forEach(function(deficientData) {
     const testCase = lodash.merge(deficientData, extras);
     testCases.push(testCase);
   });
@@ -259,13 +462,302 @@ function getNegativeTestCaseForRequestHeader(
 }
 
 /**
- * Generates testsuite for the oasDoc provided.
+ * Generates positive test cases for the validation of request header.<br>
+ * Positive testcases include test cases which on execution should get
+ * a 2xx http status code from the server.
+ * @param {object} parameters Parameter List.
+ * @param {object} extras Extra keys/fields to be appended to the generated
+ *   test case.
+ * @param {object} overrides Keys/fields of request headers and their
+ *  overridden values.
+ * @return {array<object>} Positive testcases
+ */
+function getPostitveTestCaseForRequestHeader(
+    parameters, extras = {}, overrides = {}) {
+  return getPostitveTestCaseForParameters(
+      parameters, ParameterLocation.HEADER, extras, overrides);
+}
+
+/**
+ * Generates negative test cases for the validation of request header.<br>
+ * Negative testcases include test cases which on execution should get
+ * a 4xx or 5xx http status code from the server.
+ * @param {object} parameters Parameter List.
+ * @param {object} extras Extra keys/fields to be appended to the generated
+ *   test case.
+ * @param {object} overrides Keys and their overridden values.
+ * @return {array<object>} Negative testcases.
+ */
+function getNegativeTestCaseForRequestHeader(
+    parameters, extras = {}, overrides = {}) {
+  return getNegativeTestCaseForParameters(
+      parameters, ParameterLocation.HEADER, extras, overrides);
+}
+
+/**
+ * Checks whether ATS can generate and send a request body of a media type.
+ * <br>
+ * Supported media types: JSON (including '+json' media types), url-encoded
+ * form, multipart form data, XML (including '+xml' media types) and
+ * 'text/plain' with a string schema.
+ * @param {string} mediaType
+ * @param {object} [schema = {}] Schema of the request body.
+ * @return {boolean}
+ */
+function isSupportedMediaType(mediaType, schema = {}) {
+  if (mediaType === MediaType.TEXT_PLAIN) {
+    return [undefined, DataType.STRING].includes(getSchemaType(schema));
+  }
+  return isJSONMediaType(mediaType) || isXMLMediaType(mediaType) ||
+    mediaType === MediaType.FORM_URLENCODED ||
+    mediaType === MediaType.MULTIPART_FORM_DATA;
+}
+
+/**
+ * Returns the request bodies of an operation, one for each supported media
+ * type, along with their JSON schema.<br>
+ * As per OAS 3.0, a request body is ignored for the httpMethods where the
+ * HTTP 1.1 specification (RFC7231) has not defined semantics for it.
+ * @param {object} apiSchema Operation object of the api endpoint.
+ * @param {string} path
+ * @param {string} httpMethod
+ * @return {array<{mediaType: string, schema: object, encoding: object,
+ *  required: boolean}>} requestBodies
+ */
+function getRequestBodies(apiSchema, path, httpMethod) {
+  if (!apiSchema.requestBody) return [];
+  const httpMethodsWithoutRequestBody =
+    [HttpMethod.GET, HttpMethod.HEAD, HttpMethod.DELETE, HttpMethod.TRACE];
+  if (httpMethodsWithoutRequestBody.includes(httpMethod)) {
+    logger.warn(`Ignoring request body of ${httpMethod.toUpperCase()} ` +
+      `${path}, as request body has no defined semantics for ` +
+      `${httpMethod.toUpperCase()} requests.`.yellow);
+    return [];
+  }
+  const content = apiSchema.requestBody.content || {};
+  const requestBodies = [];
+  Object.keys(content).forEach(function(mediaType) {
+    const {schema, encoding} = content[mediaType];
+    if (!isSupportedMediaType(mediaType, schema)) {
+      logger.warn(`Skipping '${mediaType}' request body tests for ` +
+        `${httpMethod.toUpperCase()} ${path}, as ATS supports only JSON, ` +
+        `form, XML and plain text (string schema) request body.`.yellow);
+      return;
+    }
+    requestBodies.push({
+      mediaType,
+      schema,
+      encoding: encoding || {},
+      required: apiSchema.requestBody.required === true,
+    });
+  });
+  return requestBodies;
+}
+
+/**
+ * Replaces the binary files of a multipart form request body with random
+ * bytes of the same length.<br>
+ * Binary strings are generated printable, as they may be sent in JSON, form
+ * or XML request bodies, while the files of a multipart form are sent as raw
+ * bytes. Overridden keys and the deficient key of a testcase are left
+ * untouched.
+ * @param {*} requestBody
+ * @param {object} schema Schema of request body.
+ * @param {object} overrides Keys/fields of request body and their
+ *  overridden values.
+ * @param {string=} deficientKey jsonpath of the deficient key of a testcase.
+ * @return {*} requestBody
+ */
+function setRawBinaryFiles(requestBody, schema, overrides = {}, deficientKey) {
+  if (!lodash.isPlainObject(requestBody)) return requestBody;
+  const properties = mergeAllOf(schema || {}).properties || {};
+  const isRawBinaryFile = function(value, propertySchema, jsonpath) {
+    return (propertySchema || {}).format === SchemaFormat.BINARY &&
+      typeof(value) === DataType.STRING && jsonpath !== deficientKey &&
+      !overridden(jsonpath, overrides);
+  };
+  Object.keys(properties).forEach(function(name) {
+    const value = requestBody[name];
+    const jsonpath = `$.${name}`;
+    if (isRawBinaryFile(value, properties[name], jsonpath)) {
+      requestBody[name] = getRandomBinaryString(value.length);
+    } else if (Array.isArray(value) && jsonpath !== deficientKey) {
+      requestBody[name] = value.map(function(item, index) {
+        return (isRawBinaryFile(item, properties[name].items,
+            `${jsonpath}[${index}]`)) ?
+          getRandomBinaryString(item.length) : item;
+      });
+    }
+  });
+  return requestBody;
+}
+
+/**
+ * Generates the apiTestSuite of an api endpoint for a request body of a
+ * particular media type.
+ * @param {object} oasDoc OAS 3.0 Document.
+ * @param {string} path
+ * @param {string} httpMethod
+ * @param {object=} requestBody Request body returned by getRequestBodies().
+ * @param {object} overrides Keys and their overridden values.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {boolean=} options.skipParameterTestCases Leaves out the testcases
+ *    of parameters.
+ * @param {boolean=} options.readOnlyTestCases Adds the testcases which send
+ *    readOnly keys of request body.
+ * @return {object} apiTestSuite
+ */
+function buildApiTestSuite(
+    oasDoc, path, httpMethod, requestBody, overrides, options = {}) {
+  const apiTestSuite = {};
+  apiTestSuite.apiEndpoint = {
+    path,
+    httpMethod,
+  };
+
+  const requestBodySchema = (requestBody) ? requestBody.schema : undefined;
+  /*
+    Media type of the request body is stored in the testsuite, to serialize
+    the request body during the phase of execution of test cases.
+  */
+  if (requestBody) apiTestSuite.mediaType = requestBody.mediaType;
+  const parameters = getParameters(oasDoc, path, httpMethod);
+  /*
+    Parameters are left out from the testcases, when they are already
+    tested in the apiTestSuite of another media type.
+  */
+  const parametersUnderTest =
+    (options.skipParameterTestCases) ? [] : parameters;
+  const partialUpdate = (httpMethod === HttpMethod.PATCH);
+
+  const apiEndpointOverrides = (overrides[path] || {})[httpMethod] || {};
+  const requestBodyOverrides = apiEndpointOverrides.requestBody || {};
+  const requestHeaderOverrides = apiEndpointOverrides.requestHeaders || {};
+  const pathParameterOverrides = apiEndpointOverrides.pathParameters || {};
+  const queryParameterOverrides =
+    apiEndpointOverrides.queryParameters || {};
+  const requestCookieOverrides = apiEndpointOverrides.requestCookies || {};
+
+  apiTestSuite.examples = {
+    requestBody: getMockData(requestBodySchema, '$', requestBodyOverrides),
+    requestHeader: getMockHeaders(parameters, requestHeaderOverrides),
+    pathParameters: getMockPathParameters(parameters, pathParameterOverrides),
+    queryParameters:
+      getMockQueryParameters(parameters, queryParameterOverrides),
+    requestCookies: getMockCookies(parameters, requestCookieOverrides),
+  };
+
+  let positiveTestCases = [];
+  /*
+    Below testcase corresponds to the testcase where both requestheader,
+    requestbody are equal to the example requestheader, example requestbody
+    respectively. Since, the example requestheader, example requestbody are
+    optimal, the testcase expects a success http status code on execution.
+  */
+  positiveTestCases.push({key: '$', deficiency: null});
+
+  positiveTestCases =
+    positiveTestCases.concat(getPostitveTestCaseForRequestBody(
+        requestBodySchema, {testForRequestBody: true}, requestBodyOverrides,
+        {
+          partialUpdate,
+          mediaType: (requestBody) ? requestBody.mediaType : undefined,
+        }));
+  positiveTestCases =
+    positiveTestCases.concat(getPostitveTestCaseForParameters(
+        parametersUnderTest, ParameterLocation.HEADER,
+        {testForRequestHeader: true}, requestHeaderOverrides));
+  positiveTestCases =
+    positiveTestCases.concat(getPostitveTestCaseForParameters(
+        parametersUnderTest, ParameterLocation.QUERY,
+        {testForQueryParameter: true}, queryParameterOverrides));
+  positiveTestCases =
+    positiveTestCases.concat(getPostitveTestCaseForParameters(
+        parametersUnderTest, ParameterLocation.COOKIE,
+        {testForRequestCookie: true}, requestCookieOverrides));
+
+  /*
+    Testcase for a "missing request body". Data of the testcase is left
+    undefined, hence no request body is sent on execution.
+  */
+  const missingRequestBodyTestCase = {
+    key: '$',
+    testForRequestBody: true,
+  };
+
+  let negativeTestCases = [];
+  negativeTestCases =
+    negativeTestCases.concat(getNegativeTestCaseForRequestBody(
+        requestBodySchema, {testForRequestBody: true}, requestBodyOverrides,
+        {
+          partialUpdate,
+          mediaType: (requestBody) ? requestBody.mediaType : undefined,
+          encoding: (requestBody) ? requestBody.encoding : undefined,
+          readOnlyTestCases: options.readOnlyTestCases,
+        }));
+  negativeTestCases =
+    negativeTestCases.concat(getNegativeTestCaseForParameters(
+        parametersUnderTest, ParameterLocation.HEADER,
+        {testForRequestHeader: true}, requestHeaderOverrides));
+  negativeTestCases =
+    negativeTestCases.concat(getNegativeTestCaseForParameters(
+        parametersUnderTest, ParameterLocation.PATH,
+        {testForPathParameter: true}, pathParameterOverrides));
+  negativeTestCases =
+    negativeTestCases.concat(getNegativeTestCaseForParameters(
+        parametersUnderTest, ParameterLocation.QUERY,
+        {testForQueryParameter: true}, queryParameterOverrides));
+  negativeTestCases =
+    negativeTestCases.concat(getNegativeTestCaseForParameters(
+        parametersUnderTest, ParameterLocation.COOKIE,
+        {testForRequestCookie: true}, requestCookieOverrides));
+
+  if (requestBody && requestBody.required) {
+    missingRequestBodyTestCase.deficiency = {
+      type: 'Required Request Body Missing',
+    };
+    negativeTestCases.push(missingRequestBodyTestCase);
+  } else if (requestBody) {
+    missingRequestBodyTestCase.deficiency = {
+      type: 'Optional Request Body Missing',
+    };
+    positiveTestCases.push(missingRequestBodyTestCase);
+  }
+
+  if (requestBody && requestBody.mediaType === MediaType.MULTIPART_FORM_DATA) {
+    setRawBinaryFiles(apiTestSuite.examples.requestBody, requestBodySchema,
+        requestBodyOverrides);
+    positiveTestCases.concat(negativeTestCases).forEach(function(testCase) {
+      if (!testCase.testForRequestBody) return;
+      setRawBinaryFiles(testCase.data, requestBodySchema, requestBodyOverrides,
+          testCase.key);
+    });
+  }
+
+  apiTestSuite.testCases = {
+    positiveTestCases,
+    negativeTestCases,
+  };
+  return apiTestSuite;
+}
+
+/**
+ * Generates testsuite for the oasDoc provided.<br>
+ * An api endpoint whose request body has multiple media types gets an
+ * apiTestSuite for each media type. Testcases of the parameters are added
+ * only to the first of them, as they don't depend on the media type.
  * @param {object} oasDoc OAS 3.0 Document.
  * @param {array<{httpMethod: string, path: string}>} apiEndpoints
  * @param {object} overrides Keys and their overridden values.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {array<string>=} options.mediaTypes Media types of request bodies to
+ *    be tested. Api endpoints whose request body has none of these media types
+ *    are left out.
+ * @param {boolean=} options.readOnlyTestCases Adds the testcases which send
+ *    readOnly keys of request body.
  * @return {object} testSuite
  */
-function buildTestSuite(oasDoc, apiEndpoints, overrides = {}) {
+function buildTestSuite(oasDoc, apiEndpoints, overrides = {}, options = {}) {
   const testSuite = {};
   testSuite.createdAtTimeStamp = new Date();
 
@@ -287,61 +779,36 @@ function buildTestSuite(oasDoc, apiEndpoints, overrides = {}) {
 
   apiEndpoints.forEach(function({path, httpMethod}) {
     const apiSchema = oasDoc.paths[path][httpMethod];
-    const apiTestSuite = {};
-    apiTestSuite.apiEndpoint = {
-      path,
-      httpMethod,
-    };
-
     /*
       OAS 3.0 supports multiple request body contents and media types like
       JSON, XML, form data, plain text.
-      Currently, we support only the JSON format.
+      Currently, we support JSON, url-encoded form, multipart form data, XML
+      and plain text.
     */
-
-    const requestBodySchema =
-      apiSchema.requestBody.content['application/json'].schema;
-    const parameters = apiSchema.parameters;
-
-    const apiEndpointOverrides = (overrides[path] || {})[httpMethod] || {};
-    const requestBodyOverrides = apiEndpointOverrides.requestBody || {};
-    const requestHeaderOverrides = apiEndpointOverrides.requestHeaders || {};
-
-    apiTestSuite.examples = {
-      requestBody: getMockData(requestBodySchema, '$', requestBodyOverrides),
-      requestHeader: getMockHeaders(parameters, requestHeaderOverrides),
-    };
-
-    let positiveTestCases = [];
-    /*
-      Below testcase corresponds to the testcase where both requestheader,
-      requestbody are equal to the example requestheader, example requestbody
-      respectively. Since, the example requestheader, example requestbody are
-      optimal, the testcase expects a success http status code on execution.
-    */
-    positiveTestCases.push({key: '$', deficiency: null});
-
-    positiveTestCases =
-      positiveTestCases.concat(getPostitveTestCaseForRequestBody(
-          requestBodySchema, {testForRequestBody: true}, requestBodyOverrides));
-    positiveTestCases =
-      positiveTestCases.concat(getPostitveTestCaseForRequestHeader(
-          parameters, {testForRequestHeader: true}, requestHeaderOverrides));
-
-    let negativeTestCases = [];
-    negativeTestCases =
-      negativeTestCases.concat(getNegativeTestCaseForRequestBody(
-          requestBodySchema, {testForRequestBody: true}, requestBodyOverrides));
-    negativeTestCases =
-      negativeTestCases.concat(getNegativeTestCaseForRequestHeader(
-          parameters, {testForRequestHeader: true}, requestHeaderOverrides));
-
-    apiTestSuite.testCases = {
-      positiveTestCases,
-      negativeTestCases,
-    };
-    logger.verbose(`TestSuite for ${httpMethod} ${path} created successfully.`);
-    apiTestSuites = apiTestSuites.concat(apiTestSuite);
+    let requestBodies = getRequestBodies(apiSchema, path, httpMethod);
+    if (options.mediaTypes && requestBodies.length) {
+      requestBodies = requestBodies.filter(function({mediaType}) {
+        return options.mediaTypes.includes(mediaType);
+      });
+      if (!requestBodies.length) {
+        logger.verbose(`Skipping ${httpMethod} ${path}, as its request ` +
+          `body has none of the media types to be tested.`);
+        return;
+      }
+    }
+    if (!requestBodies.length) requestBodies = [undefined];
+
+    requestBodies.forEach(function(requestBody, index) {
+      const apiTestSuite = buildApiTestSuite(oasDoc, path, httpMethod,
+          requestBody, overrides, {
+            skipParameterTestCases: index > 0,
+            readOnlyTestCases: options.readOnlyTestCases,
+          });
+      const mediaType = (requestBody) ? ` (${requestBody.mediaType})` : '';
+      logger.verbose(`TestSuite for ${httpMethod} ${path}${mediaType} ` +
+        `created successfully.`);
+      apiTestSuites = apiTestSuites.concat(apiTestSuite);
+    });
   });
   testSuite.apiTestSuites = apiTestSuites;
 
@@ -354,9 +821,14 @@ function buildTestSuite(oasDoc, apiEndpoints, overrides = {}) {
  * @param {object} oasDoc oas 3.0 document.
  * @param {string} testSuitePath path where the generated testsuite is saved
  * @param {object} overrides Keys and their overridden values.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {array<string>=} options.mediaTypes Media types of request bodies to
+ *    be tested.
+ * @param {boolean=} options.readOnlyTestCases Adds the testcases which send
+ *    readOnly keys of request body.
  */
-function createTestSuiteFile(oasDoc, testSuitePath, overrides) {
-  let testSuite = buildTestSuite(oasDoc, null, overrides);
+function createTestSuiteFile(oasDoc, testSuitePath, overrides, options = {}) {
+  let testSuite = buildTestSuite(oasDoc, null, overrides, options);
   testSuite = JSON.stringify(testSuite);
   try {
     fs.writeFileSync(testSuitePath, testSuite);
@@ -373,6 +845,8 @@ module.exports = {
   createTestSuiteFile,
   getPostitveTestCaseForRequestHeader,
   getNegativeTestCaseForRequestHeader,
+  getPostitveTestCaseForParameters,
+  getNegativeTestCaseForParameters,
   getPostitveTestCaseForRequestBody,
   getNegativeTestCaseForRequestBody,
 };
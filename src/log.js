@@ -28,6 +28,8 @@ const {combine} = format;
  * the level to 'verbose'.
  * Logging Levels: [error, warn, info, http, verbose, debug, silly]
  * Highest Priority = 'error', Lowest Priority = 'silly'.
+ * Messages which aren't strings (Example: errors built by buildError()) are
+ * logged as JSON.
  */
 const customLogger = createLogger({
   level: 'info',
@@ -35,7 +37,8 @@ const customLogger = createLogger({
       format.colorize(),
       format.simple(),
       format.printf(function(info) {
-        return `${info.message}`;
+        return (typeof(info.message) === 'string') ?
+          info.message : JSON.stringify(info.message);
       }),
   ),
   transports: [new transports.Console()],
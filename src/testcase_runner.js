@@ -24,6 +24,17 @@
 const colors = require('colors');
 const {validateDataAgainstSchema} = require('./validator');
 const {logger} = require('./log');
+const {HttpMethod, MediaType, Error} = require('./constants');
+const {buildError} = require('./utils/app');
+const {isXMLMediaType, parseXML} = require('./utils/xml');
+const {getParameters} = require('./utils/oas');
+const {
+  resolvePath,
+  buildQueryString,
+  buildRequestHeaders,
+  buildCookieHeader,
+  serializeRequestBody,
+} = require('./utils/serialization');
 const axios = require('axios');
 /*
   axios.all() method takes promises as an input, and returns a single promise as
@@ -36,6 +47,10 @@ const axios = require('axios');
 axios.defaults.validateStatus = null;
 axios.defaults.headers.post['Content-Type'] =
   'application/json';
+axios.defaults.headers.put['Content-Type'] =
+  'application/json';
+axios.defaults.headers.patch['Content-Type'] =
+  'application/json';
 
 const axiosRetry = require('axios-retry');
 axiosRetry(axios, {retries: 3, retryCondition: function(err) {
@@ -50,16 +65,41 @@ axiosRetry(axios, {retries: 3, retryCondition: function(err) {
  */
 function testCaseLog(testCase) {
   const PAD_LENGTH = 20;
+  if (testCase.missingOptionalHeader ||
+      testCase.missingOptionalQueryParameter ||
+      testCase.missingOptionalCookie) {
+    return '[Optional Parameter Check]'.padEnd(PAD_LENGTH).grey.bold;
+  }
+  if (testCase.missingRequiredHeader ||
+      testCase.missingRequiredQueryParameter ||
+      testCase.missingRequiredCookie) {
+    return '[Required Parameter Check]'.padEnd(PAD_LENGTH).grey.bold;
+  }
   if (!testCase.deficiency) {
     return '[Optimal Request Body/Header Check]'.padEnd(PAD_LENGTH).grey.bold;
   }
   const DeficiencyType = {
     dataType: 'DataType',
     enum: 'Enum',
+    const: 'Const',
+    nullValue: 'Null Value',
     numberRange: 'Number Range',
+    multipleOf: 'Multiple Of',
+    pattern: 'Pattern',
+    format: 'Format',
     optionalKey: 'Optional Key Missing',
     requiredKey: 'Required Key Missing',
+    readOnlyKey: 'Read Only Key Present',
+    unexpectedProperty: 'Unexpected Property',
     stringLength: 'String Length',
+    arrayLength: 'Array Length',
+    duplicateItems: 'Duplicate Items',
+    propertyCount: 'Property Count',
+    not: 'Not',
+    discriminator: 'Discriminator',
+    oneOf: 'OneOf',
+    optionalRequestBody: 'Optional Request Body Missing',
+    requiredRequestBody: 'Required Request Body Missing',
   };
   const details = testCase.deficiency.details || {};
   switch (testCase.deficiency.type) {
@@ -70,20 +110,73 @@ function testCaseLog(testCase) {
     case DeficiencyType.enum:
       return '[Enum Check]'.padEnd(PAD_LENGTH).grey.bold +
         ` enumList: ${details.enumList}`.grey;
+    case DeficiencyType.const:
+      return '[Const Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` const: ${JSON.stringify(details.constValue)}`.grey;
+    case DeficiencyType.nullValue:
+      return '[Null Value Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` nullable: ${details.nullable}`.grey;
     case DeficiencyType.numberRange:
       return '[Range Check]'.padEnd(PAD_LENGTH).grey.bold +
-      (details.minimumAllowed) ? `Minimum: ${details.minimumAllowed}`.grey: '' +
-      (details.maximumAllowed) ? `Maximum: ${details.maximumAllowed}`.grey: '';
+        ((details.minimumAllowed !== undefined) ?
+          ` Minimum: ${details.minimumAllowed}`.grey +
+          ((details.exclusiveMinimum) ? ' (exclusive)'.grey : '') : '') +
+        ((details.maximumAllowed !== undefined) ?
+          ` Maximum: ${details.maximumAllowed}`.grey +
+          ((details.exclusiveMaximum) ? ' (exclusive)'.grey : '') : '');
+    case DeficiencyType.multipleOf:
+      return '[Multiple Of Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` multipleOf: ${details.multipleOf}`.grey;
+    case DeficiencyType.pattern:
+      return '[Pattern Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` pattern: ${details.pattern}`.grey;
+    case DeficiencyType.format:
+      return '[Format Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` format: ${details.format}`.grey;
     case DeficiencyType.optionalKey:
       return '[Optional Key Check]'.padEnd(PAD_LENGTH).grey.bold;
     case DeficiencyType.requiredKey:
       return '[Required Key Check]'.padEnd(PAD_LENGTH).grey.bold;
+    case DeficiencyType.readOnlyKey:
+      return '[Read Only Key Check]'.padEnd(PAD_LENGTH).grey.bold;
+    case DeficiencyType.unexpectedProperty:
+      return '[Unexpected Property Check]'.padEnd(PAD_LENGTH).grey.bold;
     case DeficiencyType.stringLength:
       return '[String Length Check]'.padEnd(PAD_LENGTH).grey.bold +
         (details.minimumLengthAllowed) ?
         `MinLength: ${details.minimumLengthAllowed}`.grey : '' +
         (details.maximumLengthAllowed) ?
         `MaxLength: ${details.maximumLengthAllowed}`.grey: '';
+    case DeficiencyType.arrayLength:
+      return '[Array Length Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ((details.minimumItemsAllowed !== undefined) ?
+          ` MinItems: ${details.minimumItemsAllowed}`.grey : '') +
+        ((details.maximumItemsAllowed !== undefined) ?
+          ` MaxItems: ${details.maximumItemsAllowed}`.grey : '');
+    case DeficiencyType.duplicateItems:
+      return '[Unique Items Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` duplicateItems: ${details.duplicateItems}`.grey;
+    case DeficiencyType.propertyCount:
+      return '[Property Count Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ((details.minimumPropertiesAllowed !== undefined) ?
+          ` MinProperties: ${details.minimumPropertiesAllowed}`.grey : '') +
+        ((details.maximumPropertiesAllowed !== undefined) ?
+          ` MaxProperties: ${details.maximumPropertiesAllowed}`.grey : '');
+    case DeficiencyType.not:
+      return '[Not Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` not: ${JSON.stringify(details.notSchema)}`.grey;
+    case DeficiencyType.discriminator:
+      return '[Discriminator Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` discriminatorValue: ${details.discriminatorValue}`.grey +
+        ((details.allowedValues) ?
+          ` allowedValues: ${details.allowedValues}`.grey : '');
+    case DeficiencyType.oneOf:
+      return '[OneOf Check]'.padEnd(PAD_LENGTH).grey.bold +
+        ` matchedSubschemas: ${details.matchedSubschemas}`.grey;
+    case DeficiencyType.optionalRequestBody:
+      return '[Optional Request Body Check]'.padEnd(PAD_LENGTH).grey.bold;
+    case DeficiencyType.requiredRequestBody:
+      return '[Required Request Body Check]'.padEnd(PAD_LENGTH).grey.bold;
     default:
       return '';
   }
@@ -149,6 +242,49 @@ function displayTestResults(testResults, testVerdictCounter) {
   });
 }
 
+/**
+ * Returns the response body along with its schema, as per the media type of
+ * the response.<br>
+ * Media type is read from the 'Content-Type' response header. When the
+ * response object has no content for the media type, the 'application/json'
+ * content is used. XML response bodies are parsed into data as per their
+ * schema.
+ * @param {object} response
+ * @param {object} responseSchema Response object of the status code.
+ * @return {({data: *, schema: object, errors: array<object>}|undefined)}
+ *  Returns undefined, when the schema of the response body isn't provided.
+ */
+function getResponseBody(response, responseSchema) {
+  const content = (responseSchema || {}).content || {};
+  const mediaType = String((response.headers || {})['content-type'] ||
+    MediaType.JSON).split(';')[0].trim().toLowerCase();
+  const mediaTypeRange = mediaType.replace(/\/.*$/, '/*');
+  const contentMediaType = [mediaType, mediaTypeRange, '*/*', MediaType.JSON]
+      .find(function(contentMediaType) {
+        return content[contentMediaType] !== undefined;
+      });
+  if (!contentMediaType || !content[contentMediaType].schema) return undefined;
+
+  const schema = content[contentMediaType].schema;
+  let data = response.data;
+  let errors = [];
+  if (isXMLMediaType(mediaType) && typeof(data) === 'string') {
+    try {
+      data = parseXML(data, schema);
+    } catch (err) {
+      errors = buildError(Error.MALFORMED_DATA, data, '$', {
+        mediaType,
+        message: err.message,
+      });
+    }
+  } else if (mediaType === MediaType.TEXT_PLAIN &&
+      typeof(data) !== 'string') {
+    // axios parses a plain text response body which is a valid JSON.
+    data = JSON.stringify(data);
+  }
+  return {data, schema, errors};
+}
+
 /**
  * Builds test-results which includes details like testVerdicts, errors if any
  * from testcases and their corresponding responses.
@@ -156,20 +292,25 @@ function displayTestResults(testResults, testVerdictCounter) {
  * @param {array<object>} responses
  * @param {array<string>} expectedStatusCodes
  * @param {object} responseSchemas
+ * @param {string} httpMethod httpMethod of the api endpoint.
  * @return {array<object>}
  */
 function buildTestResults(testCases, responses, expectedStatusCodes,
-    responseSchemas) {
+    responseSchemas, httpMethod) {
   const testResults = [];
   for (let index = 0; index < responses.length; index++) {
     const testCase = testCases[index];
     const response = responses[index];
     const statusCode = response.status;
-    const responseBody = response.data;
     const responseHeaders = response.headers;
 
+    /*
+      Status codes expected by a testcase take precedence over the status
+      codes expected for the whole set of testcases.
+      Example: negative testcases of path parameters expect either 400 or 404.
+    */
     const statusCodes = {
-      expected: expectedStatusCodes,
+      expected: testCase.expectedStatusCodes || expectedStatusCodes,
       received: statusCode,
     };
 
@@ -181,6 +322,10 @@ function buildTestResults(testCases, responses, expectedStatusCodes,
         Expected Status Code: '2xx'
         initialTestVerdict = 'pass'
 
+        Recieved Staus Code: 403
+        Expected Status Codes: '400', '404'
+        initialTestVerdict = 'fail'
+
       Final Test Verdict takes care of the validation of responseBody and
       responseHeaders against their schema.
     */
@@ -189,9 +334,12 @@ function buildTestResults(testCases, responses, expectedStatusCodes,
       final: 'pass',
     };
 
-    testVerdict.initial = expectedStatusCodes.some(
+    testVerdict.initial = statusCodes.expected.some(
         function(expectedStatusCode) {
-          return (Math.trunc(statusCode/100) == expectedStatusCode[0][0]);
+          if (/^\dxx$/i.test(expectedStatusCode)) {
+            return (Math.trunc(statusCode/100) == expectedStatusCode[0]);
+          }
+          return (statusCode == expectedStatusCode);
         }) ? 'pass': 'fail';
 
 
@@ -209,18 +357,25 @@ function buildTestResults(testCases, responses, expectedStatusCodes,
       /*
         Validate the response body against the schema
         if provided in the oasDoc.
+        Response of a HEAD request never contains a body, hence skipped.
       */
-      try {
-        const responseSchema = responseSchemas[statusCode];
-        const responseBodySchema =
-          responseSchema.content['application/json'].schema;
-
-        errors.responseBody = errors.responseBody.concat(
-            validateDataAgainstSchema(responseBody, responseBodySchema, '$'));
-
-        if (errors.responseBody.length) testVerdict.final = 'fail';
-      } catch (err) {
+      if (httpMethod === HttpMethod.HEAD) {
         skipValidation.responseBody = true;
+      } else {
+        const responseBody =
+          getResponseBody(response, responseSchemas[statusCode]);
+        if (!responseBody) {
+          skipValidation.responseBody = true;
+        } else if (responseBody.errors.length) {
+          errors.responseBody = errors.responseBody.concat(responseBody.errors);
+          testVerdict.final = 'fail';
+        } else {
+          errors.responseBody = errors.responseBody.concat(
+              validateDataAgainstSchema(responseBody.data, responseBody.schema,
+                  '$', {response: true}));
+
+          if (errors.responseBody.length) testVerdict.final = 'fail';
+        }
       }
 
       /*
@@ -277,7 +432,23 @@ async function runTestCase(testCases, expectedStatusCodes,
   } = apiEndpoint;
   const exampleRequestBody = apiTestSuite.examples.requestBody;
   const exampleRequestHeaders = apiTestSuite.examples.requestHeader;
+  const examplePathParameters = apiTestSuite.examples.pathParameters || {};
+  const exampleQueryParameters = apiTestSuite.examples.queryParameters || {};
+  const exampleRequestCookies = apiTestSuite.examples.requestCookies || {};
   const responseSchemas = oasDoc.paths[path][httpMethod].responses;
+  /*
+    Values of the parameters are serialized as per the style/explode of
+    their parameter objects.
+  */
+  const parameters = getParameters(oasDoc, path, httpMethod);
+  /*
+    Request body is serialized as per its media type and the encoding objects
+    of its properties.
+  */
+  const mediaType = apiTestSuite.mediaType || MediaType.JSON;
+  const requestBodyContent =
+    ((oasDoc.paths[path][httpMethod].requestBody || {}).content || {})[
+        mediaType] || {};
 
   const requestPromises = [];
   for (const testCase of testCases) {
@@ -285,14 +456,31 @@ async function runTestCase(testCases, expectedStatusCodes,
       (testCase.testForRequestBody) ? testCase.data : exampleRequestBody;
     const requestHeaders =
       (testCase.testForRequestHeader) ? testCase.data: exampleRequestHeaders;
+    const pathParameters =
+      (testCase.testForPathParameter) ? testCase.data : examplePathParameters;
+    const queryParameters =
+      (testCase.testForQueryParameter) ? testCase.data : exampleQueryParameters;
+    const requestCookies =
+      (testCase.testForRequestCookie) ? testCase.data : exampleRequestCookies;
     // API Keys are sent along with the request headers.
-    Object.assign(requestHeaders, axiosConfig.apiKeys);
+    const headers = Object.assign({},
+        buildRequestHeaders(requestHeaders, parameters), axiosConfig.apiKeys);
+    // Cookies are sent through the 'Cookie' request header.
+    const cookieHeader = buildCookieHeader(requestCookies, parameters);
+    if (cookieHeader) headers['Cookie'] = cookieHeader;
+    const {data, contentType} = serializeRequestBody(requestBody, mediaType,
+        requestBodyContent.encoding, requestBodyContent.schema);
+    if (data !== undefined) headers['Content-Type'] = contentType;
     requestPromises.push(axios({
-      url: apiEndpoint.path,
+      url: resolvePath(path, pathParameters, parameters),
       baseURL: axiosConfig.baseURL,
       method: httpMethod,
-      headers: requestHeaders,
-      data: requestBody,
+      headers,
+      params: queryParameters,
+      paramsSerializer: function(queryParameters) {
+        return buildQueryString(queryParameters, parameters);
+      },
+      data,
       auth: axiosConfig.basicAuth || {},
       timeout: axiosConfig.timeout || 5000,
     }));
@@ -308,7 +496,7 @@ async function runTestCase(testCases, expectedStatusCodes,
       });
 
   const testResults = buildTestResults(testCases, responses,
-      expectedStatusCodes, responseSchemas);
+      expectedStatusCodes, responseSchemas, httpMethod);
   return testResults;
 }
 
@@ -333,6 +521,7 @@ process.on('message', async function(message) {
   /* Sends the computed results to parent process.*/
   process.send({
     apiEndpoint,
+    mediaType: apiTestSuite.mediaType,
     testResults,
   });
   /*
@@ -29,7 +29,7 @@ const {BaseConfig, prompt} = require('./cli/prompts');
 const {upsertConfig} = require('./utils/config');
 const {getApiEndpoints, verifyApiEndpoints, parseOASDoc} =
   require('./utils/oas');
-const {isValidJSONFile, getJSONData} = require('./utils/app');
+const {isValidFile, getFileData} = require('./utils/app');
 const {buildTestSuite} = require('./generators/test_data');
 const {getApiKeyList, isBasicAuthRequired} = require('./utils/auth');
 
@@ -59,9 +59,15 @@ const FileType = {
  * @param {number} timeout Maximum request-duration
  * @param {object} [overrides = {}] Keys and their overridden values.
  * @param {object} config config object
+ * @param {array<string>} mediaTypes Media types of request bodies to be tested.
+ * @param {boolean} readOnlyTestCases Adds the testcases which send readOnly
+ *    keys of request body, when the testsuite is built from an OAS document.
+ * @param {string} baseDir Directory from which the relative $refs of the OAS
+ *    document are resolved, when the testsuite is built from it.
  */
 async function loadTestParameters(testSuite, baseURL, apiEndpoints,
-    apiKeys = [], basicAuth, timeout, overrides = {}, config = {}) {
+    apiKeys = [], basicAuth, timeout, overrides = {}, config = {},
+    mediaTypes, readOnlyTestCases = false, baseDir) {
   /*
     newConfigs contains configs/credentials that are prompted and received from
     the user as they are necessary for the execution of testsuite.
@@ -71,8 +77,8 @@ async function loadTestParameters(testSuite, baseURL, apiEndpoints,
   const newConfigs = {};
   const testParams = {};
 
-  if (config.testSuitePath && isValidJSONFile(config.testSuitePath)) {
-    testParams.testSuite = getJSONData(config.testSuitePath);
+  if (config.testSuitePath && isValidFile(config.testSuitePath)) {
+    testParams.testSuite = getFileData(config.testSuitePath);
     logger.verbose('TestSuite uploaded successfully from config.'.magenta);
   }
   testParams.testSuite = testSuite || testParams.testSuite;
@@ -83,8 +89,8 @@ async function loadTestParameters(testSuite, baseURL, apiEndpoints,
     switch (response.fileType) {
       case FileType.OAS_DOC: {
         const response = await prompt([BaseConfig.oasPath]);
-        let oasDoc = getJSONData(response.oasPath);
-        oasDoc = await parseOASDoc(oasDoc);
+        let oasDoc = getFileData(response.oasPath);
+        oasDoc = await parseOASDoc(oasDoc, {path: response.oasPath, baseDir});
         if (!oasDoc) {
           const errorObject = {
             'Error Type': 'OAS Doc Parse Fail',
@@ -92,7 +98,9 @@ async function loadTestParameters(testSuite, baseURL, apiEndpoints,
           };
           throw errorObject;
         }
-        testParams.testSuite = buildTestSuite(oasDoc, apiEndpoints, overrides);
+        mediaTypes = mediaTypes || config.mediaTypes;
+        testParams.testSuite = buildTestSuite(oasDoc, apiEndpoints, overrides,
+            {mediaTypes, readOnlyTestCases});
         const defualtTestSuitePath = os.homedir() +
             snakeCase(`/testsuite ${new Date().toDateString()}`);
         /*
@@ -105,13 +113,16 @@ async function loadTestParameters(testSuite, baseURL, apiEndpoints,
         await generateTestSuite({
           oaspath: response.oasPath,
           testsuitepath: defualtTestSuitePath,
+          readonlytests: readOnlyTestCases,
+          mediatypes: (mediaTypes) ? JSON.stringify(mediaTypes) : undefined,
+          basedir: baseDir,
         });
         newConfigs.testSuitePath = defualtTestSuitePath;
         break;
       }
       case FileType.TESTSUITE_FILE: {
         const response = await prompt([BaseConfig.testSuitePath]);
-        testParams.testSuite = getJSONData(response.testSuitePath);
+        testParams.testSuite = getFileData(response.testSuitePath);
         logger.verbose('TestSuite uploaded successfully.'.magenta);
         newConfigs.testSuitePath = response.testSuitePath;
         break;
@@ -197,6 +208,12 @@ async function loadTestParameters(testSuite, baseURL, apiEndpoints,
 
   testParams.timeout = timeout || config.timeout;
 
+  /*
+    When media types are not provided, apiTestSuites of all the media types
+    are tested.
+  */
+  testParams.mediaTypesToTest = mediaTypes || config.mediaTypes;
+
   if (!lodash.isEmpty(newConfigs)) {
     await addConfigs(newConfigs, config);
   }
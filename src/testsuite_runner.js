@@ -64,6 +64,73 @@ function displayTimeTaken(startTime, endTime) {
   logger.info('time taken: '.grey + `${millisecond} ms`);
 }
 
+/**
+ * Checks if the testcase tests a parameter of the api endpoint.
+ * @param {object} testCase
+ * @return {boolean}
+ */
+function isParameterTestCase(testCase) {
+  return testCase.testForRequestHeader === true ||
+    testCase.testForPathParameter === true ||
+    testCase.testForQueryParameter === true ||
+    testCase.testForRequestCookie === true;
+}
+
+/**
+ * Filters the apiTestSuites by the media types of their request bodies.<br>
+ * Testcases of the parameters are carried only by the first apiTestSuite of
+ * an api endpoint. When that apiTestSuite is filtered out, its parameter
+ * testcases are moved to the first apiTestSuite of the api endpoint that
+ * is tested.
+ * @param {array<object>} apiTestSuites
+ * @param {array<string>=} mediaTypesToTest When not provided, apiTestSuites
+ *    of all the media types are tested.
+ * @return {array<object>} apiTestSuites to be tested.
+ */
+function filterApiTestSuitesByMediaType(apiTestSuites, mediaTypesToTest) {
+  if (!mediaTypesToTest) return apiTestSuites;
+
+  const droppedParameterTestCases = [];
+  const apiTestSuitesToTest = [];
+  apiTestSuites.forEach(function(apiTestSuite) {
+    const {positiveTestCases, negativeTestCases} = apiTestSuite.testCases;
+    const isOfSameApiEndpoint = function(item) {
+      return equals(item.apiEndpoint, apiTestSuite.apiEndpoint);
+    };
+    /*
+      apiTestSuites of api endpoints without a request body don't have a
+      media type, and are tested irrespective of the media types asked.
+    */
+    if (apiTestSuite.mediaType &&
+      !mediaTypesToTest.includes(apiTestSuite.mediaType)) {
+      droppedParameterTestCases.push({
+        apiEndpoint: apiTestSuite.apiEndpoint,
+        positiveTestCases: positiveTestCases.filter(isParameterTestCase),
+        negativeTestCases: negativeTestCases.filter(isParameterTestCase),
+      });
+      return;
+    }
+    if (apiTestSuitesToTest.some(isOfSameApiEndpoint)) {
+      apiTestSuitesToTest.push(apiTestSuite);
+      return;
+    }
+    /*
+      First tested apiTestSuite of the api endpoint carries the parameter
+      testcases of the apiTestSuites left out before it.
+    */
+    const testCases = {positiveTestCases, negativeTestCases};
+    droppedParameterTestCases.filter(isOfSameApiEndpoint)
+        .forEach(function(dropped) {
+          testCases.positiveTestCases =
+            testCases.positiveTestCases.concat(dropped.positiveTestCases);
+          testCases.negativeTestCases =
+            testCases.negativeTestCases.concat(dropped.negativeTestCases);
+        });
+    apiTestSuitesToTest.push(Object.assign({}, apiTestSuite, {testCases}));
+  });
+  return apiTestSuitesToTest;
+}
+
 /**
  * Unloads the test paramters loaded by loadTestParameters() and runs
  * testcases against api endpoints of user's interest
@@ -77,8 +144,16 @@ async function runTestSuite() {
     basicAuth,
     apiKeys,
     timeout,
+    mediaTypesToTest,
   } = testParams;
-  const apiTestSuites = testSuite.apiTestSuites;
+  const apiTestSuites = testSuite.apiTestSuites.filter(function(apiTestSuite) {
+    // Check if the apiEndpoint is being asked to test by the user.
+    return apiEndpointsToTest.some(function(apiEndpointToTest) {
+      return equals(apiTestSuite.apiEndpoint, apiEndpointToTest);
+    });
+  });
+  const apiTestSuitesToTest =
+    filterApiTestSuitesByMediaType(apiTestSuites, mediaTypesToTest);
 
   resetTestVerdictCounter();
 
@@ -88,26 +163,9 @@ async function runTestSuite() {
     activeChildProcesses - number of child processes that will be created and
     be in active state.
   */
-  let activeChildProcesses = 0;
-  for (const apiTestSuite of apiTestSuites) {
-    const {apiEndpoint} = apiTestSuite;
-
-    // Check if the apiEndpoint is being asked to test by the user.
-    const toBeTested = apiEndpointsToTest.some(function(apiEndpointToTest) {
-      return equals(apiEndpoint, apiEndpointToTest);
-    });
-    activeChildProcesses += (toBeTested)? 1 : 0;
-  }
-
-  for (const apiTestSuite of apiTestSuites) {
-    const {apiEndpoint} = apiTestSuite;
-
-    // Check if the apiEndpoint is being asked to test by the user.
-    const toBeTested = apiEndpointsToTest.some(function(apiEndpointToTest) {
-      return equals(apiEndpoint, apiEndpointToTest);
-    });
-    if (!toBeTested) return;
+  let activeChildProcesses = apiTestSuitesToTest.length;
 
+  for (const apiTestSuite of apiTestSuitesToTest) {
     const childProcess = fork('./src/testcase_runner.js');
     childProcess.send({
       baseURL,
@@ -118,11 +176,12 @@ async function runTestSuite() {
       oasDoc: testSuite.oasDoc,
     });
     childProcess.on('message', function(message) {
-      const {apiEndpoint, testResults} = message;
+      const {apiEndpoint, mediaType, testResults} = message;
 
       logger.info('\nTest Results for  '.grey.bold +
         `${apiEndpoint.httpMethod.toUpperCase()} `.cyan +
-        `${baseURL}${apiEndpoint.path}`.cyan);
+        `${baseURL}${apiEndpoint.path}`.cyan +
+        ((mediaType) ? ` [${mediaType}]`.grey : ''));
       displayTestResults(testResults, testVerdictCounter);
 
       activeChildProcesses--;
@@ -148,5 +207,6 @@ async function runTestSuite() {
 }
 
 module.exports = {
+  filterApiTestSuitesByMediaType,
   runTestSuite,
 };
@@ -23,7 +23,15 @@
 
 const {JSONPath} = require('jsonpath-plus');
 const fs = require('fs');
+const pathModule = require('path');
+const yaml = require('js-yaml');
+const crypto = require('crypto');
 const {logger} = require('../log');
+const {DataType} = require('../constants');
+const {getSchemaType} = require('./schema');
+
+/* Extensions of YAML files. */
+const YAMLExtensions = ['.yaml', '.yml'];
 
 /**
  * Generates and returns a random number(integer/float) within the limits set.
@@ -57,6 +65,18 @@ function getRandomString(length) {
   return result;
 }
 
+/**
+ * Generates and returns a string of random bytes of a particular length.<br>
+ * Each character of the string represents a byte (latin1), so that the
+ * binary content can be stored in a JSON document and converted back into
+ * bytes through Buffer.from(string, 'latin1').
+ * @param {number} length Number of bytes.
+ * @return {string} Random Binary String.
+ */
+function getRandomBinaryString(length) {
+  return crypto.randomBytes(length).toString('latin1');
+}
+
 /**
  * Returns a string with lowercase string with underscores between words.
  * @param {string} sentence
@@ -85,15 +105,62 @@ function overridden(jsonpath, overrides = {}) {
 }
 
 /**
- * Checks whether the file in the provided path is a valid JSON file.
- * @param {string} path path of JSON file
+ * Parses the content of a JSON/YAML file.<br>
+ * Files with '.yaml'/'.yml' extension are parsed as YAML and files with
+ * '.json' extension as JSON. Format of the rest of the files is detected
+ * from their content.
+ * @param {string} content Content of the file.
+ * @param {string} path Path of the file.
+ * @return {object}
+ * @throws {Error} When the content is not a valid JSON/YAML object.
+ */
+function parseFileContent(content, path) {
+  const extension = pathModule.extname(path).toLowerCase();
+  let data;
+  if (YAMLExtensions.includes(extension)) {
+    data = yaml.safeLoad(content);
+  } else if (extension === '.json') {
+    data = JSON.parse(content);
+  } else {
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      data = yaml.safeLoad(content);
+    }
+  }
+  /*
+    Plain text is a valid YAML scalar, hence the files which don't contain an
+    object are rejected.
+  */
+  if (data === null || typeof(data) !== DataType.OBJECT) {
+    throw new Error(`${path} does not contain a JSON/YAML object.`);
+  }
+  return data;
+}
+
+/**
+ * Converts data into the content of a JSON/YAML file.<br>
+ * Files with '.yaml'/'.yml' extension are saved in YAML format, rest of the
+ * files in JSON format.
+ * @param {object} data
+ * @param {string} path Path of the file.
+ * @return {string} content
+ */
+function stringifyFileContent(data, path) {
+  const extension = pathModule.extname(path).toLowerCase();
+  return (YAMLExtensions.includes(extension)) ?
+    yaml.safeDump(data, {skipInvalid: true}) : JSON.stringify(data);
+}
+
+/**
+ * Checks whether the file in the provided path is a valid JSON/YAML file.
+ * @param {string} path path of JSON/YAML file
  * @return {boolean}
  */
-function isValidJSONFile(path) {
+function isValidFile(path) {
   let isValid = true;
   try {
-    const jsonObject = fs.readFileSync(path, 'utf8');
-    JSON.parse(jsonObject);
+    parseFileContent(fs.readFileSync(path, 'utf8'), path);
   } catch (err) {
     isValid = false;
   }
@@ -101,13 +168,12 @@ function isValidJSONFile(path) {
 }
 
 /**
- * Returns parsed JSON data present in the the path provided.
- * @param {string} path path of JSON file
+ * Returns parsed JSON/YAML data present in the the path provided.
+ * @param {string} path path of JSON/YAML file
  * @return {object}
  */
-function getJSONData(path) {
-  const jsonObject = fs.readFileSync(path, 'utf8');
-  return JSON.parse(jsonObject);
+function getFileData(path) {
+  return parseFileContent(fs.readFileSync(path, 'utf8'), path);
 }
 
 /**
@@ -117,8 +183,8 @@ function getJSONData(path) {
  * @return {object} file
  */
 function readFile(path, fileName) {
-  if (isValidJSONFile(path)) {
-    const file = getJSONData(path);
+  if (isValidFile(path)) {
+    const file = getFileData(path);
     logger.verbose(
         `Uploaded ${fileName} successfully from ${path}.`.magenta);
     return file;
@@ -128,6 +194,30 @@ function readFile(path, fileName) {
   }
 }
 
+/**
+ * Converts a string into the datatype specified in the schema, the way a
+ * server reads a serialized value. Strings which can't be converted are
+ * returned as is.
+ * @param {string} value
+ * @param {object} schema Specification of the value.
+ * @return {*}
+ */
+function parseString(value, schema = {}) {
+  switch (getSchemaType(schema)) {
+    case DataType.INTEGER:
+      return (/^-?\d+$/.test(value)) ? Number(value) : value;
+    case DataType.NUMBER:
+      return (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value)) ?
+        Number(value) : value;
+    case DataType.BOOLEAN:
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
 /**
  * Builds an error object with necessary details.
  * @param {string} errorType Classification of Error.(example:'Data Type Error')
@@ -148,10 +238,13 @@ function buildError(errorType, data, jsonpath, additionalErrorDetails = {}) {
 module.exports = {
   getRandomNumber,
   getRandomString,
+  getRandomBinaryString,
   snakeCase,
   overridden,
   readFile,
-  isValidJSONFile,
-  getJSONData,
+  isValidFile,
+  getFileData,
+  stringifyFileContent,
+  parseString,
   buildError,
 };
@@ -21,7 +21,11 @@
 
 const fs = require('fs');
 const {logger} = require('../log');
-const {isValidJSONFile, getJSONData} = require('../utils/app');
+const {
+  isValidFile,
+  getFileData,
+  stringifyFileContent,
+} = require('../utils/app');
 
 /**
  * Builds a config object with provided information.
@@ -31,10 +35,11 @@ const {isValidJSONFile, getJSONData} = require('../utils/app');
  * @param {array<{name:string, value: string}>} apiKeys
  * @param {object} basicAuth
  * @param {number} timeout Maximum request-duration
+ * @param {array<string>} mediaTypes Media types of request bodies to be tested.
  * @return {object} config
  */
 function buildConfig(testSuitePath, baseURL, apiEndpoints, apiKeys,
-    basicAuth, timeout) {
+    basicAuth, timeout, mediaTypes) {
   const config = {};
   config.testSuitePath = testSuitePath;
   config.baseURL = baseURL;
@@ -43,6 +48,7 @@ function buildConfig(testSuitePath, baseURL, apiEndpoints, apiKeys,
   config.apiKeys = apiKeys;
   config.basicAuth = basicAuth;
   config.timeout = timeout;
+  config.mediaTypes = mediaTypes;
   return config;
 }
 
@@ -52,8 +58,8 @@ function buildConfig(testSuitePath, baseURL, apiEndpoints, apiKeys,
  * @return {object} config
  */
 function getConfig(configPath) {
-  if (isValidJSONFile(configPath)) {
-    return getJSONData(configPath);
+  if (isValidFile(configPath)) {
+    return getFileData(configPath);
   } else {
     logger.error(`Failed to upload config file from ${configPath}`.red);
     return null;
@@ -68,7 +74,8 @@ function getConfig(configPath) {
  */
 function upsertConfig(config, configPath) {
   try {
-    fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+    fs.writeFileSync(configPath, stringifyFileContent(config, configPath),
+        'utf8');
     logger.verbose(
         `\nConfig file updated/created at (${configPath})\n`.magenta);
   } catch (err) {
@@ -0,0 +1,201 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/** @module utils/format */
+/**
+ * @fileoverview Contains functions which validate strings against the
+ * formats whose syntax is defined by RFCs (RFC 3339, RFC 4648, RFC 1123,
+ * RFC 3986 and RFC 3987).
+ */
+
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_REGEX =
+  /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|([+-])(\d{2}):(\d{2}))$/;
+const BASE64_REGEX =
+  /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const HOSTNAME_LABEL_REGEX = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+/*
+  Components of a URI reference, as per the regular expression of
+  RFC 3986 (Appendix B).
+*/
+const URI_REFERENCE_REGEX =
+  /^(?:([^:/?#]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/;
+const SCHEME_REGEX = /^[A-Za-z][A-Za-z0-9+.-]*$/;
+const PORT_REGEX = /^\d*$/;
+const IP_LITERAL_REGEX = /^\[[0-9A-Fa-f:.]+\]$|^\[v[0-9A-Fa-f]+\.[^\]]+\]$/;
+
+/*
+  Characters (excluding the percent-encoded ones) allowed in the components
+  of a URI. Characters of an IRI additionally include the non-ASCII
+  characters (ucschar) of RFC 3987.
+*/
+const UNRESERVED = 'A-Za-z0-9\\-._~';
+const SUB_DELIMS = '!$&\'()*+,;=';
+const UCSCHAR = '\\u00A0-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFEF' +
+  '\\u{10000}-\\u{EFFFD}';
+const IPRIVATE = '\\uE000-\\uF8FF\\u{F0000}-\\u{FFFFD}\\u{100000}-\\u{10FFFD}';
+
+/**
+ * Returns the number of days in a month of a year.
+ * @param {number} year
+ * @param {number} month 1 - 12.
+ * @return {number}
+ */
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Returns true, if the string is a full-date of RFC 3339.
+ * Example: '2020-02-29'.
+ * @param {string} data
+ * @return {boolean}
+ */
+function isDate(data) {
+  const match = DATE_REGEX.exec(data);
+  if (!match) return false;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  return month >= 1 && month <= 12 && day >= 1 &&
+    day <= getDaysInMonth(year, month);
+}
+
+/**
+ * Returns true, if the string is a full-time (time with a time offset) of
+ * RFC 3339. Example: '23:59:60Z' (leap second), '08:30:00.5+05:30'.
+ * @param {string} data
+ * @return {boolean}
+ */
+function isTime(data) {
+  const match = TIME_REGEX.exec(data);
+  if (!match) return false;
+  const [hour, minute, second] = match.slice(1, 4).map(Number);
+  if (hour > 23 || minute > 59 || second > 60) return false;
+  if (match[6]) {
+    const [offsetHour, offsetMinute] = match.slice(7, 9).map(Number);
+    if (offsetHour > 23 || offsetMinute > 59) return false;
+  }
+  return true;
+}
+
+/**
+ * Returns true, if the string is a date-time of RFC 3339.
+ * Example: '2020-07-17T10:20:30.123Z'.
+ * @param {string} data
+ * @return {boolean}
+ */
+function isDateTime(data) {
+  const parts = data.split(/[Tt]/);
+  return parts.length === 2 && isDate(parts[0]) && isTime(parts[1]);
+}
+
+/**
+ * Returns true, if the string is base64 encoded (RFC 4648).
+ * @param {string} data
+ * @return {boolean}
+ */
+function isByte(data) {
+  return BASE64_REGEX.test(data);
+}
+
+/**
+ * Returns true, if the string is a hostname of RFC 1123.
+ * Example: 'api.example.com', 'localhost'.
+ * @param {string} data
+ * @return {boolean}
+ */
+function isHostname(data) {
+  const hostname = data.replace(/\.$/, '');
+  if (!hostname.length || hostname.length > 253) return false;
+  return hostname.split('.').every(function(label) {
+    return HOSTNAME_LABEL_REGEX.test(label);
+  });
+}
+
+/**
+ * Returns a regex which matches a component of a URI/IRI, made of the
+ * allowed characters and percent-encoded octets.
+ * @param {string} characters Allowed characters (character class).
+ * @return {RegExp}
+ */
+function buildComponentRegex(characters) {
+  return new RegExp(`^(?:[${characters}]|%[0-9A-Fa-f]{2})*$`, 'u');
+}
+
+/**
+ * Returns true, if the string is a URI reference of RFC 3986 (or an IRI
+ * reference of RFC 3987). Example: '/pets/1?limit=10#name'.
+ * @param {string} data
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @param {boolean=} options.iri Non-ASCII characters are allowed.
+ * @param {boolean=} options.absolute Scheme is required.
+ * @return {boolean}
+ */
+function isURIReference(data, options = {}) {
+  const ucschar = (options.iri) ? UCSCHAR : '';
+  const pchar = `${UNRESERVED}${ucschar}${SUB_DELIMS}:@`;
+  const authorityRegex = buildComponentRegex(`${UNRESERVED}${ucschar}` +
+    `${SUB_DELIMS}`);
+  const pathRegex = buildComponentRegex(`${pchar}/`);
+  const queryRegex = buildComponentRegex(`${pchar}/?` +
+    ((options.iri) ? IPRIVATE : ''));
+  const fragmentRegex = buildComponentRegex(`${pchar}/?`);
+
+  const match = URI_REFERENCE_REGEX.exec(data);
+  if (!match) return false;
+  const [, scheme, authority, path, query, fragment] = match;
+  if (scheme !== undefined && !SCHEME_REGEX.test(scheme)) return false;
+  if (scheme === undefined && options.absolute) return false;
+  if (authority !== undefined) {
+    const userInfoEnd = authority.lastIndexOf('@');
+    const userInfo = authority.slice(0, Math.max(userInfoEnd, 0));
+    const hostPort = authority.slice(userInfoEnd + 1);
+    const portStart = hostPort.lastIndexOf(':');
+    const host = (portStart > hostPort.lastIndexOf(']')) ?
+      hostPort.slice(0, portStart) : hostPort;
+    const port = (host === hostPort) ? '' : hostPort.slice(portStart + 1);
+    if (!buildComponentRegex(`${UNRESERVED}${ucschar}${SUB_DELIMS}:`)
+        .test(userInfo)) return false;
+    if (!IP_LITERAL_REGEX.test(host) && !authorityRegex.test(host)) {
+      return false;
+    }
+    if (!PORT_REGEX.test(port)) return false;
+  }
+  return pathRegex.test(path) &&
+    (query === undefined || queryRegex.test(query)) &&
+    (fragment === undefined || fragmentRegex.test(fragment));
+}
+
+/**
+ * Returns true, if the string is an IRI (absolute IRI with an optional
+ * fragment) of RFC 3987. Example: 'https://例え.jp/ペット'.
+ * @param {string} data
+ * @return {boolean}
+ */
+function isIRI(data) {
+  return isURIReference(data, {iri: true, absolute: true});
+}
+
+module.exports = {
+  isDate,
+  isTime,
+  isDateTime,
+  isByte,
+  isHostname,
+  isURIReference,
+  isIRI,
+};
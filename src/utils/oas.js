@@ -22,19 +22,28 @@
 const {logger} = require('../log');
 // eslint-disable-next-line no-unused-vars
 const colors = require('colors');
+const pathModule = require('path');
 const SwaggerParser = require('@apidevtools/swagger-parser');
+const $RefParser = require('json-schema-ref-parser');
+const {DataType, HttpMethod} = require('../constants');
+const {isSwaggerDoc, convertSwaggerDoc} = require('./swagger');
+const {RESOLVED_MAPPING} = require('./schema');
 
 /**
- * Returns an array of all possible api Endpoints.
+ * Returns an array of all possible api Endpoints.<br>
+ * Keys of a path item which are not operations (Example: summary,
+ * parameters, servers) are left out.
  * @param {object} oasDoc OAS 3.0 Document.
  * @return {array<{path: string, httpMethod: string}>} apiEndpoints
  */
 function getApiEndpoints(oasDoc) {
   const apiEndpoints = [];
   const paths = Object.keys(oasDoc.paths) || [];
+  const supportedHttpMethods = Object.values(HttpMethod);
   paths.forEach(function(path) {
     const httpMethods = Object.keys(oasDoc.paths[path]);
     httpMethods.forEach(function(httpMethod) {
+      if (!supportedHttpMethods.includes(httpMethod)) return;
       apiEndpoints.push({
         path,
         httpMethod,
@@ -45,41 +54,201 @@ function getApiEndpoints(oasDoc) {
 }
 
 /**
- * Verifies whether all the apiEndpoints are of 'post' httpMethod.
- * In case, if there are apiEndpoints which are not of 'post' httpMethod,
+ * Verifies whether all the apiEndpoints have a httpMethod defined by OAS 3.0.
+ * In case, if there are apiEndpoints with an unknown httpMethod,
  * it will warn the user through logs and skip the apiEndpoint for testing.
  * @param {array<{httpMethod: string, path: string}>} apiEndpoints
  */
 function verifyApiEndpoints(apiEndpoints) {
-  const skipApiEndpoints = [];
-  apiEndpoints.forEach(function({path, httpMethod}, index) {
-    if (httpMethod !== 'post') {
-      skipApiEndpoints.push({path, httpMethod});
+  const supportedHttpMethods = Object.values(HttpMethod);
+  const skipApiEndpoints = apiEndpoints.filter(function({httpMethod}) {
+    return !supportedHttpMethods.includes(httpMethod);
+  });
+  /*
+    apiEndpoints is modified in place, as the callers hold a reference to it.
+    Iterating in reverse keeps the indices valid while splicing.
+  */
+  for (let index = apiEndpoints.length - 1; index >= 0; index--) {
+    if (skipApiEndpoints.includes(apiEndpoints[index])) {
       apiEndpoints.splice(index, 1);
     }
-  });
+  }
   if (skipApiEndpoints.length) {
     skipApiEndpoints.forEach(function({path, httpMethod}) {
       logger.warn(`Skipping tests for `.red +
-        ` httpMethod: ${httpMethod.toUpperCase()}, path: ${path}`.red);
+        ` httpMethod: ${String(httpMethod).toUpperCase()}, path: ${path}`.red);
     });
-    logger.warn('ATS supports only POST requests.'.gray.bold);
+    logger.warn(('ATS supports only the following httpMethods: ' +
+      supportedHttpMethods.join(', ')).gray.bold);
   }
 }
 
+/**
+ * Returns the parameters of an operation.<br>
+ * Parameters defined at the path item level are applicable to all the
+ * operations under the path. They can be overridden at the operation level,
+ * but cannot be removed there. A unique parameter is defined by a
+ * combination of its name and location.
+ * @param {object} oasDoc OAS 3.0 Document.
+ * @param {string} path
+ * @param {string} httpMethod
+ * @return {array<object>} parameters
+ */
+function getParameters(oasDoc, path, httpMethod) {
+  const pathItem = oasDoc.paths[path] || {};
+  const operationParameters = (pathItem[httpMethod] || {}).parameters || [];
+  const pathParameters = (pathItem.parameters || []).filter(
+      function(pathParameter) {
+        return !operationParameters.some(function(operationParameter) {
+          return operationParameter.name === pathParameter.name &&
+            operationParameter.in === pathParameter.in;
+        });
+      });
+  return pathParameters.concat(operationParameters);
+}
+
+/**
+ * Returns the value present at the JSON pointer of a local $ref.
+ * Example: '#/components/schemas/Dog'.
+ * @param {object} oasDoc OAS Document.
+ * @param {string} ref
+ * @return {*}
+ */
+function resolveLocalRef(oasDoc, ref) {
+  if (!ref.startsWith('#/')) return undefined;
+  return ref.slice(2).split('/').reduce(function(value, token) {
+    if (value == null) return undefined;
+    return value[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }, oasDoc);
+}
+
+/**
+ * Resolves the discriminator values of the oneOf/anyOf schemas of a
+ * de-referenced OAS document into the indices of their subschemas.<br>
+ * Subschemas are identified by the schemas referred in the discriminator
+ * mapping. A subschema which is not present in the mapping is identified by
+ * its name in the schema components (implicit mapping).<br>
+ * Resolved mapping is stored in the discriminator object, as the names of the
+ * subschemas are lost once the document is de-referenced.
+ * @param {object} oasDoc De-referenced OAS Document.
+ */
+function resolveDiscriminators(oasDoc) {
+  const componentSchemas = (oasDoc.components || {}).schemas || {};
+  const schemaNames = new Map();
+  Object.keys(componentSchemas).forEach(function(name) {
+    schemaNames.set(componentSchemas[name], name);
+  });
+
+  // Schemas of a de-referenced document can be circular.
+  const visited = new Set();
+  const visit = function(value) {
+    if (!value || typeof(value) !== DataType.OBJECT || visited.has(value)) {
+      return;
+    }
+    visited.add(value);
+    const subschemas = value.oneOf || value.anyOf;
+    if (value.discriminator && Array.isArray(subschemas)) {
+      const mapping = value.discriminator.mapping || {};
+      const resolvedMapping = {};
+      Object.keys(mapping).forEach(function(discriminatorValue) {
+        const ref = (mapping[discriminatorValue].includes('#')) ?
+          mapping[discriminatorValue] :
+          `#/components/schemas/${mapping[discriminatorValue]}`;
+        const index = subschemas.indexOf(resolveLocalRef(oasDoc, ref));
+        if (index !== -1) resolvedMapping[discriminatorValue] = index;
+      });
+      const mappedIndices = Object.values(resolvedMapping);
+      subschemas.forEach(function(subschema, index) {
+        if (mappedIndices.includes(index) || !schemaNames.has(subschema)) {
+          return;
+        }
+        resolvedMapping[schemaNames.get(subschema)] = index;
+      });
+      value.discriminator[RESOLVED_MAPPING] = resolvedMapping;
+    }
+    Object.values(value).forEach(visit);
+  };
+  visit(oasDoc.paths);
+  visit(oasDoc.components);
+}
+
+/**
+ * Returns true, if the document is an OAS 3.1 document.
+ * @param {object} oasDoc OAS Document.
+ * @return {boolean}
+ */
+function isOAS31Doc(oasDoc) {
+  return /^3\.1\.\d+$/.test(String((oasDoc || {}).openapi));
+}
+
+/**
+ * Resolves all the $ref pointers of the OAS 3.1 document.<br>
+ * SwaggerParser validates only OAS 3.0 documents, hence OAS 3.1 documents are
+ * just checked for the fields required by the app.
+ * @param {string} basePath Path of the OAS 3.1 Document.
+ * @param {object} oasDoc OAS 3.1 Document.
+ * @return {object} de-referenced OAS 3.1 Document.
+ */
+async function dereferenceOAS31Doc(basePath, oasDoc) {
+  if (!oasDoc.info || !oasDoc.paths) {
+    throw new SyntaxError('OAS 3.1 Document should have info and paths.');
+  }
+  return (basePath) ?
+    await $RefParser.dereference(basePath, oasDoc, {}) :
+    await $RefParser.dereference(oasDoc);
+}
+
 /**
  * Validates the OAS 3.0 document and resolves all the $ref pointers and
- * returns a de-referenced OAS 3.0 Documentation.
+ * returns a de-referenced OAS 3.0 Documentation.<br>
+ * OAS 3.1 documents are de-referenced without being validated.<br>
+ * Swagger 2.0 documents are converted into OAS 3.0 documents before being
+ * validated.<br>
+ * Relative external $ref pointers (Example: './schemas/pet.yaml#/Pet') are
+ * resolved from the location of the OAS 3.0 document, or from the base
+ * directory when provided.
  * @param {object} oasDoc OAS 3.0 Document.
+ * @param {object} [options = {}] Optional Additional parameters.
+ * @param {string=} options.path Path of the OAS 3.0 Document.
+ * @param {string=} options.baseDir Directory from which the relative $ref
+ *    pointers are resolved.
  * @return {object} parsed OAS 3.0 Document.
  */
-async function parseOASDoc(oasDoc) {
+async function parseOASDoc(oasDoc, options = {}) {
+  if (isSwaggerDoc(oasDoc)) {
+    oasDoc = convertSwaggerDoc(oasDoc);
+    logger.verbose('Swagger 2.0 Document converted to OAS 3.0.'.magenta);
+  }
+  let basePath = options.path;
+  if (options.baseDir) {
+    basePath = pathModule.join(options.baseDir,
+        pathModule.basename(options.path || 'openapi.json'));
+  }
+  if (basePath) basePath = pathModule.resolve(basePath);
+  const version = (isOAS31Doc(oasDoc)) ? '3.1' : '3.0';
   try {
-    const parsedOASDoc = await SwaggerParser.validate(oasDoc);
-    logger.verbose('OAS 3.0 Document parsed successfully.'.magenta);
+    let parsedOASDoc;
+    if (version === '3.1') {
+      parsedOASDoc = await dereferenceOAS31Doc(basePath, oasDoc);
+    } else {
+      /*
+        SwaggerParser uses the oasDoc instead of reading the file in basePath,
+        only when the options are passed along with them.
+      */
+      parsedOASDoc = (basePath) ?
+        await SwaggerParser.validate(basePath, oasDoc, {}) :
+        await SwaggerParser.validate(oasDoc);
+    }
+    resolveDiscriminators(parsedOASDoc);
+    logger.verbose(`OAS ${version} Document parsed successfully.`.magenta);
     return parsedOASDoc;
   } catch (err) {
-    logger.error('OAS 3.0 Document Parse Failed!! '.red);
+    /*
+      Message of the error names the file and the pointer of a broken $ref.
+      Example: Error resolving $ref pointer "/specs/pet.yaml#/Pet".
+    */
+    logger.error(`OAS ${version} Document Parse Failed!! `.red +
+      `${err.message}`.red);
     return null;
   }
 }
@@ -87,5 +256,7 @@ async function parseOASDoc(oasDoc) {
 module.exports = {
   getApiEndpoints,
   verifyApiEndpoints,
+  getParameters,
+  isOAS31Doc,
   parseOASDoc,
 };
@@ -0,0 +1,407 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/** @module utils/schema */
+/**
+ * @fileoverview Contains util functions scoped to the schema objects of
+ * OAS 3.0/3.1 documents.
+ */
+
+const {DataType} = require('../constants');
+
+/*
+  Keywords which specify the lower/upper limit of data. Stricter limit is
+  picked while merging schemas.
+*/
+const LowerLimits = ['minLength', 'minItems', 'minProperties'];
+const UpperLimits = ['maxLength', 'maxItems', 'maxProperties'];
+
+/*
+  Keywords of number limits, which are merged as per getNumberLimits() to
+  respect the exclusive limits of both the schemas.
+*/
+const NumberLimits =
+  ['minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum'];
+
+/*
+  Keywords whose values can't be combined into a single value. The values of
+  all the merged schemas are kept in MERGED_VALUES (Example: {pattern: ['^a',
+  'b$']}), and data complying with the merged schema complies with each of
+  them.
+*/
+const MergedKeywords = ['pattern', 'format'];
+
+/*
+  Key of the merged schema which holds the values of MergedKeywords of all
+  the merged schemas.
+*/
+const MERGED_VALUES = 'x-ats-merged-values';
+
+/*
+  Key of the discriminator object which holds the discriminator values and
+  the indices of their subschemas, resolved while parsing the OAS document.
+*/
+const RESOLVED_MAPPING = 'x-ats-resolved-mapping';
+
+/**
+ * Returns the datatypes allowed by a schema.<br>
+ * In OAS 3.1, schema.type can be an array of datatypes
+ * (Example: ['string', 'null']). Datatype of a schema without a type is
+ * inferred from its const/enum values or its keywords.
+ * @param {object} schema Specification of data.
+ * @return {array<string>} datatypes
+ */
+function getSchemaTypes(schema) {
+  if (!schema) return [];
+  if (schema.allOf) return getSchemaTypes(mergeAllOf(schema));
+  if (Array.isArray(schema.type)) return schema.type;
+  if (schema.type) return [schema.type];
+  if (schema.const !== undefined) return [getDataType(schema.const)];
+  if (schema.enum && schema.enum.length) {
+    return [getDataType(schema.enum[0])];
+  }
+  if (schema.properties) return [DataType.OBJECT];
+  if (schema.items || schema.prefixItems) return [DataType.ARRAY];
+  return [];
+}
+
+/**
+ * Returns the datatype of a schema, leaving out the 'null' datatype of OAS 3.1.
+ * <br>
+ * Example: 'string' for the schema {type: ['string', 'null']}.
+ * @param {object} schema Specification of data.
+ * @return {string} datatype
+ */
+function getSchemaType(schema) {
+  return getSchemaTypes(schema).find(function(type) {
+    return type !== DataType.NULL;
+  });
+}
+
+/**
+ * Returns true, if null is a valid value of the schema.<br>
+ * Example: {type: 'string', nullable: true} (OAS 3.0) and
+ * {type: ['string', 'null']} (OAS 3.1).
+ * @param {object} schema Specification of data.
+ * @return {boolean}
+ */
+function isNullable(schema) {
+  if (!schema) return false;
+  schema = mergeAllOf(schema);
+  return schema.nullable === true ||
+    getSchemaTypes(schema).includes(DataType.NULL);
+}
+
+/**
+ * Returns the lower and upper limits of a number schema.<br>
+ * In OAS 3.0, exclusiveMinimum/exclusiveMaximum are booleans which make
+ * minimum/maximum exclusive. In OAS 3.1, they are numbers which are the
+ * exclusive limits themselves, and the stricter one of minimum and
+ * exclusiveMinimum (maximum and exclusiveMaximum) is the limit.<br>
+ * Example: {minimum: 1, exclusiveMinimum: false, maximum: 10,
+ * exclusiveMaximum: true} for both {minimum: 1, maximum: 10,
+ * exclusiveMaximum: true} (OAS 3.0) and {minimum: 1, exclusiveMaximum: 10}
+ * (OAS 3.1).
+ * @param {object} schema Specification of number.
+ * @return {object} limits (minimum/maximum are undefined, if not limited).
+ */
+function getNumberLimits(schema) {
+  const limits = {
+    minimum: schema.minimum,
+    exclusiveMinimum: schema.exclusiveMinimum === true &&
+      schema.minimum !== undefined,
+    maximum: schema.maximum,
+    exclusiveMaximum: schema.exclusiveMaximum === true &&
+      schema.maximum !== undefined,
+  };
+  if (typeof(schema.exclusiveMinimum) === DataType.NUMBER &&
+      (limits.minimum === undefined ||
+        schema.exclusiveMinimum >= limits.minimum)) {
+    limits.minimum = schema.exclusiveMinimum;
+    limits.exclusiveMinimum = true;
+  }
+  if (typeof(schema.exclusiveMaximum) === DataType.NUMBER &&
+      (limits.maximum === undefined ||
+        schema.exclusiveMaximum <= limits.maximum)) {
+    limits.maximum = schema.exclusiveMaximum;
+    limits.exclusiveMaximum = true;
+  }
+  return limits;
+}
+
+/**
+ * Returns the datatype (as defined by OAS) of the data.
+ * @param {*} data
+ * @return {string} datatype
+ */
+function getDataType(data) {
+  if (data === null) return DataType.NULL;
+  if (Array.isArray(data)) return DataType.ARRAY;
+  if (typeof(data) === DataType.NUMBER) {
+    return (Number.isInteger(data)) ? DataType.INTEGER : DataType.NUMBER;
+  }
+  return typeof(data);
+}
+
+/**
+ * Returns the schema with a single datatype picked from the datatypes of an
+ * OAS 3.1 schema.
+ * @param {object} schema Specification of data.
+ * @param {string} type Datatype to be picked.
+ * @return {object} schema
+ */
+function withType(schema, type) {
+  return Object.assign({}, schema, {type});
+}
+
+/**
+ * Returns the values of a keyword of all the schemas merged into the schema.
+ * @param {object} schema
+ * @param {string} keyword One of MergedKeywords (Example: 'pattern').
+ * @return {array} Values of the keyword ([] if the keyword is absent).
+ */
+function getMergedValues(schema, keyword) {
+  const mergedValues = (schema[MERGED_VALUES] || {})[keyword];
+  if (mergedValues) return mergedValues;
+  return (schema[keyword] === undefined) ? [] : [schema[keyword]];
+}
+
+/**
+ * Returns the least common multiple of two numbers.<br>
+ * Decimals are scaled to integers before computing the multiple
+ * (Example: 0.3 for 0.1 and 0.15).
+ * @param {number} a
+ * @param {number} b
+ * @return {number} Least common multiple.
+ */
+function getLeastCommonMultiple(a, b) {
+  const decimals = Math.max(...[a, b].map(function(number) {
+    return (String(number).split('.')[1] || '').length;
+  }));
+  const scale = Math.pow(10, decimals);
+  const x = Math.round(a * scale);
+  const y = Math.round(b * scale);
+  let gcd = x;
+  let remainder = y;
+  while (remainder) {
+    [gcd, remainder] = [remainder, gcd % remainder];
+  }
+  return (x / gcd * y) / scale;
+}
+
+/**
+ * Merges the number limits of the schemas into the merged schema, picking
+ * the stricter limit. An exclusive limit is stricter than an inclusive limit
+ * of the same value.
+ * @param {object} mergedSchema
+ * @param {object} target
+ * @param {object} source
+ */
+function mergeNumberLimits(mergedSchema, target, source) {
+  const targetLimits = getNumberLimits(target);
+  const sourceLimits = getNumberLimits(source);
+  NumberLimits.forEach(function(key) {
+    delete mergedSchema[key];
+  });
+  let {minimum, exclusiveMinimum, maximum, exclusiveMaximum} = targetLimits;
+  if (minimum === undefined || sourceLimits.minimum > minimum) {
+    minimum = sourceLimits.minimum;
+    exclusiveMinimum = sourceLimits.exclusiveMinimum;
+  } else if (sourceLimits.minimum === minimum) {
+    exclusiveMinimum = exclusiveMinimum || sourceLimits.exclusiveMinimum;
+  }
+  if (maximum === undefined || sourceLimits.maximum < maximum) {
+    maximum = sourceLimits.maximum;
+    exclusiveMaximum = sourceLimits.exclusiveMaximum;
+  } else if (sourceLimits.maximum === maximum) {
+    exclusiveMaximum = exclusiveMaximum || sourceLimits.exclusiveMaximum;
+  }
+  if (minimum !== undefined) {
+    mergedSchema.minimum = minimum;
+    if (exclusiveMinimum) mergedSchema.exclusiveMinimum = true;
+  }
+  if (maximum !== undefined) {
+    mergedSchema.maximum = maximum;
+    if (exclusiveMaximum) mergedSchema.exclusiveMaximum = true;
+  }
+}
+
+/**
+ * Merges the source schema into the target schema, so that data complying
+ * with the merged schema complies with both the schemas.<br>
+ * Properties present in both the schemas are merged, required keys are
+ * combined and the stricter limits (Example: higher minimum, lower maxLength,
+ * exclusive limits) are picked. multipleOf is the least common multiple of
+ * both, and additionalProperties/propertyNames/items schemas are merged.
+ * Values of MergedKeywords (pattern, format) of both the schemas are kept in
+ * MERGED_VALUES. Rest of the keywords of the source schema override the ones
+ * of the target schema.
+ * @param {object} target
+ * @param {object} source
+ * @return {object} Merged schema.
+ */
+function mergeSchemas(target, source) {
+  target = mergeAllOf(target || {});
+  source = mergeAllOf(source || {});
+  const mergedSchema = Object.assign({}, target, source);
+  if (target.type === DataType.INTEGER && source.type === DataType.NUMBER) {
+    mergedSchema.type = DataType.INTEGER;
+  }
+  if (target.properties && source.properties) {
+    mergedSchema.properties =
+      Object.assign({}, target.properties, source.properties);
+    Object.keys(source.properties).forEach(function(key) {
+      if (!target.properties[key]) return;
+      mergedSchema.properties[key] =
+        mergeSchemas(target.properties[key], source.properties[key]);
+    });
+  }
+  if (target.items && source.items) {
+    mergedSchema.items = mergeSchemas(target.items, source.items);
+  }
+  if (target.required || source.required) {
+    mergedSchema.required = Array.from(new Set(
+        (target.required || []).concat(source.required || [])));
+  }
+  LowerLimits.forEach(function(key) {
+    if (target[key] !== undefined && source[key] !== undefined) {
+      mergedSchema[key] = Math.max(target[key], source[key]);
+    }
+  });
+  UpperLimits.forEach(function(key) {
+    if (target[key] !== undefined && source[key] !== undefined) {
+      mergedSchema[key] = Math.min(target[key], source[key]);
+    }
+  });
+  const hasNumberLimits = function(schema) {
+    return NumberLimits.some(function(key) {
+      return schema[key] !== undefined;
+    });
+  };
+  if (hasNumberLimits(target) && hasNumberLimits(source)) {
+    mergeNumberLimits(mergedSchema, target, source);
+  }
+  if (target.multipleOf && source.multipleOf) {
+    mergedSchema.multipleOf =
+      getLeastCommonMultiple(target.multipleOf, source.multipleOf);
+  }
+  if (target.uniqueItems || source.uniqueItems) {
+    mergedSchema.uniqueItems = true;
+  }
+  ['additionalProperties', 'propertyNames'].forEach(function(key) {
+    if (target[key] === undefined || target[key] === true) return;
+    if (source[key] === undefined || source[key] === true) {
+      mergedSchema[key] = target[key];
+    } else if (target[key] === false || source[key] === false) {
+      mergedSchema[key] = false;
+    } else {
+      mergedSchema[key] = mergeSchemas(target[key], source[key]);
+    }
+  });
+  if (target.enum && source.enum) {
+    mergedSchema.enum = target.enum.filter(function(value) {
+      return source.enum.includes(value);
+    });
+  }
+  delete mergedSchema[MERGED_VALUES];
+  MergedKeywords.forEach(function(keyword) {
+    const values = Array.from(new Set(getMergedValues(target, keyword)
+        .concat(getMergedValues(source, keyword))));
+    if (!values.length) return;
+    /*
+      Value of the first schema stays as the value of the keyword, for the
+      functions which consider a single value.
+    */
+    mergedSchema[keyword] = values[0];
+    if (values.length > 1) {
+      mergedSchema[MERGED_VALUES] = mergedSchema[MERGED_VALUES] || {};
+      mergedSchema[MERGED_VALUES][keyword] = values;
+    }
+  });
+  return mergedSchema;
+}
+
+/**
+ * Returns the schema with its allOf subschemas merged into it.<br>
+ * Example: {allOf: [{$ref: BaseEntity}, {properties: {...}}]} is merged into a
+ * single object schema with the properties of both the subschemas.
+ * @param {object} schema Specification of data.
+ * @return {object} Merged schema.
+ */
+function mergeAllOf(schema) {
+  if (!schema || !schema.allOf) return schema;
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.allOf;
+  return schema.allOf.reduce(function(mergedSchema, subschema) {
+    return mergeSchemas(mergedSchema, subschema);
+  }, baseSchema);
+}
+
+/**
+ * Returns the discriminator values of a oneOf/anyOf schema mapped to the
+ * indices of their subschemas.<br>
+ * Mapping resolved while parsing the OAS document is used when present.
+ * Else, discriminator value of a subschema is taken from the const/single
+ * enum value of its discriminator property.
+ * @param {object} schema oneOf/anyOf schema with a discriminator.
+ * @return {object} Example: {dog: 0, cat: 1}
+ */
+function getDiscriminatorMapping(schema) {
+  const discriminator = (schema || {}).discriminator;
+  const subschemas = schema.oneOf || schema.anyOf;
+  if (!discriminator || !subschemas) return {};
+  if (discriminator[RESOLVED_MAPPING]) return discriminator[RESOLVED_MAPPING];
+
+  const mapping = {};
+  subschemas.forEach(function(subschema, index) {
+    const properties = (mergeAllOf(subschema) || {}).properties || {};
+    const propertySchema = properties[discriminator.propertyName] || {};
+    if (propertySchema.const !== undefined) {
+      mapping[propertySchema.const] = index;
+    } else if ((propertySchema.enum || []).length === 1) {
+      mapping[propertySchema.enum[0]] = index;
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Returns the discriminator value of a subschema of a oneOf/anyOf schema.
+ * @param {object} schema oneOf/anyOf schema with a discriminator.
+ * @param {number} index Index of the subschema.
+ * @return {(string|undefined)} discriminator value
+ */
+function getDiscriminatorValue(schema, index) {
+  const mapping = getDiscriminatorMapping(schema);
+  return Object.keys(mapping).find(function(value) {
+    return mapping[value] === index;
+  });
+}
+
+module.exports = {
+  getSchemaTypes,
+  getSchemaType,
+  isNullable,
+  getNumberLimits,
+  getDataType,
+  withType,
+  mergeSchemas,
+  mergeAllOf,
+  MERGED_VALUES,
+  getMergedValues,
+  RESOLVED_MAPPING,
+  getDiscriminatorMapping,
+  getDiscriminatorValue,
+};
@@ -0,0 +1,598 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module utils/serialization */
+/**
+ * @fileoverview Contains functions that serialize the values of path, query,
+ * header and cookie parameters as per the style/explode rules of OAS 3.0,
+ * and request bodies as per their media type and encoding.
+ * @see https://swagger.io/docs/specification/serialization/
+ */
+
+const {
+  DataType,
+  MediaType,
+  ParameterLocation,
+  ParameterStyle,
+  SchemaFormat,
+} = require('../constants');
+const {Buffer} = require('buffer');
+const {getRandomString, parseString} = require('./app');
+const {isXMLMediaType, serializeXML, parseXML} = require('./xml');
+const {getSchemaType, mergeAllOf} = require('./schema');
+
+/* Default style of a parameter, when "parameter.style" is not specified. */
+const DefaultStyle = {
+  [ParameterLocation.PATH]: ParameterStyle.SIMPLE,
+  [ParameterLocation.QUERY]: ParameterStyle.FORM,
+  [ParameterLocation.HEADER]: ParameterStyle.SIMPLE,
+  [ParameterLocation.COOKIE]: ParameterStyle.FORM,
+};
+
+/*
+  Format of the base64-encoded files of a multipart request body (See
+  "Considerations for File Uploads" of OAS 3.0). Such parts are sent as
+  'application/octet-stream', like the binary files.
+*/
+const BASE64_FORMAT = 'base64';
+
+/**
+ * Returns the style and explode of a parameter.<br>
+ * When not specified, explode defaults to true for 'form' style and false
+ * for the rest of the styles.
+ * @param {object} parameter Parameter Object.
+ * @return {{style: string, explode: boolean}}
+ */
+function getStyle(parameter) {
+  const style = parameter.style || DefaultStyle[parameter.in];
+  const explode = (parameter.explode !== undefined) ?
+    parameter.explode : (style === ParameterStyle.FORM);
+  return {style, explode};
+}
+
+/**
+ * Checks whether the value is a non-array object.
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof(value) === DataType.OBJECT &&
+    !Array.isArray(value);
+}
+
+/**
+ * Converts a primitive value into a string. Nested arrays/objects are
+ * converted into JSON strings, as OAS 3.0 styles don't define their
+ * serialization.
+ * @param {*} value
+ * @return {string}
+ */
+function stringify(value) {
+  if (value == null) return '';
+  if (typeof(value) === DataType.OBJECT) return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Returns a function which percent-encodes the names and values of a
+ * parameter, as per its location.<br>
+ * Header values are sent as is. Query parameters with "allowReserved" keep
+ * the reserved characters (RFC3986) unencoded.
+ * @param {object} parameter Parameter Object.
+ * @return {function(string): string} encoder
+ */
+function getEncoder(parameter) {
+  if (parameter.in === ParameterLocation.HEADER) {
+    return function(value) {
+      return value;
+    };
+  }
+  if (parameter.in === ParameterLocation.QUERY && parameter.allowReserved) {
+    return function(value) {
+      return encodeURIComponent(value).replace(
+          /%(3A|2F|3F|23|5B|5D|40|21|24|26|27|28|29|2A|2B|2C|3B|3D)/gi,
+          decodeURIComponent);
+    };
+  }
+  return encodeURIComponent;
+}
+
+/**
+ * Serializes the value of a parameter as per its style and explode.<br>
+ * Example: ({name: 'id', in: 'query', style: 'form', explode: true}, [3, 4])
+ * returns 'id=3&id=4'.<br>
+ * Values of the 'simple' and 'label', 'matrix' styles don't carry the
+ * name of the parameter, whereas the values of rest of the styles carry it.
+ * @param {object} parameter Parameter Object.
+ * @param {*} value Value of the parameter.
+ * @return {string} Serialized value.
+ */
+function serializeParameter(parameter, value) {
+  const {style, explode} = getStyle(parameter);
+  const encode = getEncoder(parameter);
+  const name = encode(parameter.name);
+  /*
+    Pairs of form style parameters are separated by '&' in a query string,
+    and by '; ' in a 'Cookie' request header.
+  */
+  const pairSeparator =
+    (parameter.in === ParameterLocation.COOKIE) ? '; ' : '&';
+
+  let items;
+  let entries;
+  if (Array.isArray(value)) {
+    items = value.map(function(item) {
+      return encode(stringify(item));
+    });
+  } else if (isPlainObject(value)) {
+    entries = Object.keys(value).map(function(key) {
+      return [encode(key), encode(stringify(value[key]))];
+    });
+    /* Non-exploded objects are serialized as a list of keys and values. */
+    items = entries.reduce(function(flatEntries, entry) {
+      return flatEntries.concat(entry);
+    }, []);
+  } else {
+    items = [encode(stringify(value))];
+  }
+  const isObject = (entries !== undefined);
+  const isPrimitive = !isObject && !Array.isArray(value);
+
+  switch (style) {
+    case ParameterStyle.MATRIX:
+      if (isPrimitive) {
+        return (items[0] === '') ? `;${name}` : `;${name}=${items[0]}`;
+      }
+      if (!explode) return `;${name}=${items.join(',')}`;
+      if (isObject) {
+        return entries.map(function([key, item]) {
+          return `;${key}=${item}`;
+        }).join('');
+      }
+      return items.map(function(item) {
+        return `;${name}=${item}`;
+      }).join('');
+    case ParameterStyle.LABEL:
+      if (explode && isObject) {
+        return entries.map(function([key, item]) {
+          return `.${key}=${item}`;
+        }).join('');
+      }
+      return '.' + items.join((explode) ? '.' : ',');
+    case ParameterStyle.SPACE_DELIMITED:
+    case ParameterStyle.PIPE_DELIMITED:
+      if (!isPrimitive && !explode) {
+        const delimiter =
+          (style === ParameterStyle.SPACE_DELIMITED) ? '%20' : '|';
+        return `${name}=${items.join(delimiter)}`;
+      }
+      // Exploded values are serialized same as the 'form' style.
+      return serializeParameter(
+          Object.assign({}, parameter, {style: ParameterStyle.FORM}), value);
+    case ParameterStyle.DEEP_OBJECT:
+      if (isObject) {
+        return entries.map(function([key, item]) {
+          return `${name}%5B${key}%5D=${item}`;
+        }).join(pairSeparator);
+      }
+      return serializeParameter(
+          Object.assign({}, parameter, {style: ParameterStyle.FORM}), value);
+    case ParameterStyle.FORM:
+      if (isPrimitive || !explode) return `${name}=${items.join(',')}`;
+      if (isObject) {
+        return entries.map(function([key, item]) {
+          return `${key}=${item}`;
+        }).join(pairSeparator);
+      }
+      return items.map(function(item) {
+        return `${name}=${item}`;
+      }).join(pairSeparator);
+    case ParameterStyle.SIMPLE:
+    default:
+      if (explode && isObject) {
+        return entries.map(function([key, item]) {
+          return `${key}=${item}`;
+        }).join(',');
+      }
+      return items.join(',');
+  }
+}
+
+/**
+ * Returns the parameter object of a parameter from the list of parameters.
+ * When the parameter is not found, a parameter object with default style is
+ * returned.
+ * @param {array<object>} parameters Parameter List.
+ * @param {string} name Name of the parameter.
+ * @param {string} parameterLocation Location of the parameter.
+ * @return {object} Parameter Object.
+ */
+function findParameter(parameters, name, parameterLocation) {
+  const parameter = (parameters || []).find(function(parameter) {
+    return parameter.name === name && parameter.in === parameterLocation;
+  });
+  return parameter || {name, in: parameterLocation};
+}
+
+/**
+ * Substitutes the serialized values of path parameters in a templated path.
+ * <br>
+ * Example: ('/pet/{petId}', {petId: 10}) returns '/pet/10'.
+ * @param {string} path Templated path of the api endpoint.
+ * @param {object} [pathParameters = {}] Path parameters and their values.
+ * @param {array<object>} [parameters = []] Parameter List.
+ * @return {string} path
+ */
+function resolvePath(path, pathParameters = {}, parameters = []) {
+  return path.replace(/{([^}]+)}/g, function(template, name) {
+    if (pathParameters[name] === undefined) return template;
+    const parameter = findParameter(parameters, name, ParameterLocation.PATH);
+    return serializeParameter(parameter, pathParameters[name]);
+  });
+}
+
+/**
+ * Builds the query string from the serialized values of query parameters.
+ * Parameters with undefined values are left out.<br>
+ * Example: ({status: ['sold', 'pending'], limit: 5}) returns
+ * 'status=sold&status=pending&limit=5'.
+ * @param {object} [queryParameters = {}] Query parameters and their values.
+ * @param {array<object>} [parameters = []] Parameter List.
+ * @return {string} queryString
+ */
+function buildQueryString(queryParameters = {}, parameters = []) {
+  return Object.keys(queryParameters).filter(function(name) {
+    return queryParameters[name] !== undefined;
+  }).map(function(name) {
+    const parameter = findParameter(parameters, name, ParameterLocation.QUERY);
+    return serializeParameter(parameter, queryParameters[name]);
+  }).join('&');
+}
+
+/**
+ * Builds the request headers with serialized values of header parameters.
+ * Headers with undefined values are left out.
+ * @param {object} [requestHeaders = {}] Header parameters and their values.
+ * @param {array<object>} [parameters = []] Parameter List.
+ * @return {object} Request headers.
+ */
+function buildRequestHeaders(requestHeaders = {}, parameters = []) {
+  const headers = {};
+  Object.keys(requestHeaders).forEach(function(name) {
+    if (requestHeaders[name] === undefined) return;
+    const parameter = findParameter(parameters, name, ParameterLocation.HEADER);
+    headers[name] = serializeParameter(parameter, requestHeaders[name]);
+  });
+  return headers;
+}
+
+/**
+ * Builds the value of 'Cookie' request header from the serialized values of
+ * cookies. Cookies with undefined values are left out.<br>
+ * Example: ({sessionId: 'abc', ids: [1, 2]}) returns
+ * 'sessionId=abc; ids=1; ids=2'.
+ * @param {object} [cookies = {}] Cookies and their values.
+ * @param {array<object>} [parameters = []] Parameter List.
+ * @return {string} cookieHeader
+ */
+function buildCookieHeader(cookies = {}, parameters = []) {
+  return Object.keys(cookies).filter(function(name) {
+    return cookies[name] !== undefined;
+  }).map(function(name) {
+    const parameter = findParameter(parameters, name, ParameterLocation.COOKIE);
+    return serializeParameter(parameter, cookies[name]);
+  }).join('; ');
+}
+
+/**
+ * Returns the data that a server receives for a parameter, when the value is
+ * serialized as per the style of the parameter and read back as per the
+ * schema of the parameter.<br>
+ * Serialization of a parameter is lossy. Example: a server can't
+ * differentiate between the string 'true' and the boolean true.<br>
+ * Returns undefined when the parameter itself is lost on serialization.
+ * Example: an object serialized in 'form' style with explode carries only
+ * its keys, but not the name of the parameter.
+ * @param {object} parameter Parameter Object.
+ * @param {*} value Value of the parameter.
+ * @return {*} Received data.
+ */
+function getReceivedData(parameter, value) {
+  if (value == null) return value;
+  const schema = parameter.schema || {};
+  const {style, explode} = getStyle(parameter);
+  const type = getSchemaType(schema);
+
+  if (isPlainObject(value)) {
+    if (type === DataType.OBJECT) {
+      const receivedObject = {};
+      Object.keys(value).forEach(function(key) {
+        receivedObject[key] = parseString(stringify(value[key]),
+            (schema.properties || {})[key]);
+      });
+      return receivedObject;
+    }
+    if (explode && (style === ParameterStyle.FORM ||
+        style === ParameterStyle.DEEP_OBJECT)) {
+      return undefined;
+    }
+  }
+
+  let items;
+  if (Array.isArray(value)) {
+    items = value.map(stringify);
+  } else if (isPlainObject(value)) {
+    items = Object.keys(value).reduce(function(flatEntries, key) {
+      return flatEntries.concat([key, stringify(value[key])]);
+    }, []);
+  } else {
+    items = [stringify(value)];
+  }
+
+  if (type === DataType.ARRAY) {
+    return items.map(function(item) {
+      return parseString(item, schema.items);
+    });
+  }
+  // Multiple values of an exploded 'form' style parameter.
+  if (Array.isArray(value) && value.length > 1 && explode &&
+      style === ParameterStyle.FORM) {
+    return items;
+  }
+  return parseString(items.join(','), schema);
+}
+
+/**
+ * Checks whether the media type carries JSON.<br>
+ * Example: 'application/json', 'application/vnd.api+json'.
+ * @param {string} mediaType
+ * @return {boolean}
+ */
+function isJSONMediaType(mediaType) {
+  return /^[^;]*[/+]json\s*(;|$)/i.test(mediaType || '');
+}
+
+/**
+ * Returns a parameter object that describes the serialization of a property
+ * of a form request body, as per its encoding object.<br>
+ * Properties of a form request body are serialized the same way as the query
+ * parameters. When not specified, 'form' style with explode is used.
+ * @param {string} name Name of the property.
+ * @param {object} schema Schema of the property.
+ * @param {object} [encoding = {}] Encoding object of the property.
+ * @return {object} Parameter Object.
+ */
+function getPropertyParameter(name, schema, encoding = {}) {
+  return {
+    name,
+    in: ParameterLocation.QUERY,
+    schema,
+    style: encoding.style,
+    explode: encoding.explode,
+    allowReserved: encoding.allowReserved,
+  };
+}
+
+/**
+ * Checks whether a property of a form request body is sent as a JSON string,
+ * as per the contentType of its encoding object.
+ * @param {object} [encoding = {}] Encoding object of the property.
+ * @return {boolean}
+ */
+function isJSONEncoded(encoding = {}) {
+  return /json/i.test(encoding.contentType || '');
+}
+
+/**
+ * Serializes a request body into 'application/x-www-form-urlencoded' format.
+ * <br>
+ * Example: ({name: 'doggie', tags: ['a', 'b']}) returns
+ * 'name=doggie&tags=a&tags=b'.
+ * @param {object} requestBody
+ * @param {object} [encodings = {}] Encoding objects of the properties.
+ * @return {string} Serialized request body.
+ */
+function buildFormUrlEncoded(requestBody, encodings = {}) {
+  return Object.keys(requestBody).filter(function(name) {
+    return requestBody[name] !== undefined;
+  }).map(function(name) {
+    const encoding = encodings[name] || {};
+    const value = (isJSONEncoded(encoding)) ?
+      JSON.stringify(requestBody[name]) : requestBody[name];
+    return serializeParameter(
+        getPropertyParameter(name, {}, encoding), value);
+  }).join('&');
+}
+
+/**
+ * Returns the default content type of a part of a multipart request body, as
+ * per the schema of the part.
+ * @param {*} value Value of the part.
+ * @param {object} [schema = {}] Schema of the part.
+ * @return {string} Content Type.
+ */
+function getDefaultPartContentType(value, schema = {}) {
+  if (schema.format === SchemaFormat.BINARY ||
+      schema.format === BASE64_FORMAT) {
+    return MediaType.OCTET_STREAM;
+  }
+  if (value !== null && typeof(value) === DataType.OBJECT) {
+    return MediaType.JSON;
+  }
+  return MediaType.TEXT_PLAIN;
+}
+
+/**
+ * Serializes a request body into 'multipart/form-data' format.<br>
+ * Each property is sent as a separate part, and an array is sent as multiple
+ * parts of the same name. Binary properties are sent as files.
+ * @param {object} requestBody
+ * @param {object} [encodings = {}] Encoding objects of the properties.
+ * @param {object} [schema = {}] Schema of the request body.
+ * @return {{data: Buffer, boundary: string}}
+ */
+function buildMultipartFormData(requestBody, encodings = {}, schema = {}) {
+  const boundary = `----ATSFormBoundary${getRandomString(16)}`;
+  const properties = mergeAllOf(schema).properties || {};
+  const chunks = [];
+
+  Object.keys(requestBody).forEach(function(name) {
+    if (requestBody[name] === undefined) return;
+    const encoding = encodings[name] || {};
+    let propertySchema = properties[name] || {};
+    let values = [requestBody[name]];
+    if (Array.isArray(requestBody[name]) && !isJSONEncoded(encoding)) {
+      values = requestBody[name];
+      propertySchema = propertySchema.items || {};
+    }
+
+    values.forEach(function(value) {
+      /*
+        contentType of an encoding object may hold a list of content types,
+        the first one is used.
+      */
+      const contentType = (encoding.contentType) ?
+        encoding.contentType.split(',')[0].trim() :
+        getDefaultPartContentType(value, propertySchema);
+      const isFile = (propertySchema.format === SchemaFormat.BINARY);
+      let disposition = `form-data; name="${name}"`;
+      if (isFile) disposition += `; filename="${name}"`;
+
+      let body;
+      if (isFile) {
+        body = Buffer.from(String(value), 'latin1');
+      } else if (value !== null && typeof(value) === DataType.OBJECT) {
+        body = Buffer.from(JSON.stringify(value));
+      } else {
+        body = Buffer.from(stringify(value));
+      }
+      chunks.push(Buffer.from(`--${boundary}\r\n` +
+        `Content-Disposition: ${disposition}\r\n` +
+        `Content-Type: ${contentType}\r\n\r\n`));
+      chunks.push(body);
+      chunks.push(Buffer.from('\r\n'));
+    });
+  });
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return {data: Buffer.concat(chunks), boundary};
+}
+
+/**
+ * Serializes a request body as per its media type and the encoding objects
+ * of its properties, and returns the serialized data along with the value of
+ * the 'Content-Type' request header.<br>
+ * Request bodies of 'application/json' media type are sent as is.
+ * @param {*} requestBody
+ * @param {string} [mediaType = 'application/json'] Media type of request body.
+ * @param {object} [encodings = {}] Encoding objects of the properties.
+ * @param {object} [schema = {}] Schema of the request body.
+ * @return {{data: *, contentType: string}}
+ */
+function serializeRequestBody(requestBody, mediaType = MediaType.JSON,
+    encodings = {}, schema = {}) {
+  if (requestBody === undefined) {
+    return {data: requestBody, contentType: mediaType};
+  }
+  if (isXMLMediaType(mediaType)) {
+    return {data: serializeXML(requestBody, schema), contentType: mediaType};
+  }
+  if (mediaType === MediaType.TEXT_PLAIN) {
+    return {data: stringify(requestBody), contentType: mediaType};
+  }
+  if (!isPlainObject(requestBody)) {
+    return {data: requestBody, contentType: mediaType};
+  }
+  switch (mediaType) {
+    case MediaType.FORM_URLENCODED:
+      return {
+        data: buildFormUrlEncoded(requestBody, encodings),
+        contentType: mediaType,
+      };
+    case MediaType.MULTIPART_FORM_DATA: {
+      const {data, boundary} =
+        buildMultipartFormData(requestBody, encodings, schema);
+      return {data, contentType: `${mediaType}; boundary=${boundary}`};
+    }
+    default:
+      return {data: requestBody, contentType: mediaType};
+  }
+}
+
+/**
+ * Returns the data that a server receives for a request body, when the
+ * request body is serialized as per its media type and read back as per its
+ * schema.<br>
+ * Serialization of form, XML and plain text request bodies is lossy, same as
+ * the serialization of parameters. Example: a server can't differentiate
+ * between the string '12' and the integer 12 of an
+ * 'application/x-www-form-urlencoded' request body.
+ * <br>
+ * Properties lost on serialization are left out.
+ * @param {*} requestBody
+ * @param {object} [schema = {}] Schema of the request body.
+ * @param {string} [mediaType = 'application/json'] Media type of request body.
+ * @param {object} [encodings = {}] Encoding objects of the properties.
+ * @return {*} Received request body.
+ */
+function getReceivedRequestBody(requestBody, schema = {},
+    mediaType = MediaType.JSON, encodings = {}) {
+  if (requestBody === undefined) return requestBody;
+  if (isXMLMediaType(mediaType)) {
+    return parseXML(serializeXML(requestBody, schema), schema);
+  }
+  if (mediaType === MediaType.TEXT_PLAIN) return stringify(requestBody);
+  const isFormMediaType = (mediaType === MediaType.FORM_URLENCODED ||
+    mediaType === MediaType.MULTIPART_FORM_DATA);
+  if (!isFormMediaType || !isPlainObject(requestBody)) return requestBody;
+
+  const mergedSchema = mergeAllOf(schema);
+  const properties = mergedSchema.properties || {};
+  // Keys which are not specified in properties are read as per
+  // additionalProperties.
+  const additionalProperties =
+    (isPlainObject(mergedSchema.additionalProperties)) ?
+      mergedSchema.additionalProperties : undefined;
+  const receivedRequestBody = {};
+  Object.keys(requestBody).forEach(function(name) {
+    const value = requestBody[name];
+    const encoding = encodings[name] || {};
+    // JSON parts and objects sent as a part are read back as is.
+    if (isJSONEncoded(encoding) || (mediaType ===
+        MediaType.MULTIPART_FORM_DATA && isPlainObject(value))) {
+      receivedRequestBody[name] = value;
+      return;
+    }
+    // null is sent as an empty string.
+    const receivedData = getReceivedData(
+        getPropertyParameter(name, properties[name] || additionalProperties,
+            encoding), (value === null) ? '' : value);
+    if (receivedData !== undefined) receivedRequestBody[name] = receivedData;
+  });
+  return receivedRequestBody;
+}
+
+module.exports = {
+  isJSONMediaType,
+  getStyle,
+  serializeParameter,
+  resolvePath,
+  buildQueryString,
+  buildRequestHeaders,
+  buildCookieHeader,
+  getReceivedData,
+  serializeRequestBody,
+  getReceivedRequestBody,
+};
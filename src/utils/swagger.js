@@ -0,0 +1,511 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/** @module utils/swagger */
+/**
+ * @fileoverview Contains functions which convert a Swagger 2.0 document into
+ * an OAS 3.0 document.
+ */
+
+const {
+  DataType,
+  HttpMethod,
+  MediaType,
+  ParameterLocation,
+  ParameterStyle,
+  SchemaFormat,
+} = require('../constants');
+
+const OAS_VERSION = '3.0.3';
+const SWAGGER_FILE_TYPE = 'file';
+
+/*
+  Keys of a Swagger 2.0 non-body parameter (and its items) which are moved to
+  the schema of the parameter in OAS 3.0.
+*/
+const SchemaKeys = ['type', 'format', 'items', 'default', 'maximum',
+  'exclusiveMaximum', 'minimum', 'exclusiveMinimum', 'maxLength', 'minLength',
+  'pattern', 'maxItems', 'minItems', 'uniqueItems', 'enum', 'multipleOf'];
+
+/*
+  Internal $ref pointers of Swagger 2.0 and their location in OAS 3.0.
+*/
+const RefPrefixes = {
+  '#/definitions/': '#/components/schemas/',
+  '#/parameters/': '#/components/parameters/',
+  '#/responses/': '#/components/responses/',
+};
+
+/**
+ * Returns true, if the document is a Swagger 2.0 document.
+ * @param {object} doc
+ * @return {boolean}
+ */
+function isSwaggerDoc(doc) {
+  return String((doc || {}).swagger) === '2.0';
+}
+
+/**
+ * Returns the OAS 3.0 location of a Swagger 2.0 $ref pointer.
+ * @param {string} ref
+ * @return {string}
+ */
+function convertRef(ref) {
+  const prefix = Object.keys(RefPrefixes).find(function(prefix) {
+    return ref.startsWith(prefix);
+  });
+  return (prefix) ? RefPrefixes[prefix] + ref.slice(prefix.length) : ref;
+}
+
+/**
+ * Copies the specification extensions (keys starting with 'x-') of the
+ * source object to the target object.
+ * @param {object} target
+ * @param {object} source
+ * @return {object} target
+ */
+function copyExtensions(target, source) {
+  Object.keys(source).forEach(function(key) {
+    if (key.startsWith('x-')) target[key] = source[key];
+  });
+  return target;
+}
+
+/**
+ * Converts a Swagger 2.0 schema object into an OAS 3.0 schema object.<br>
+ * Swagger 2.0 specific keywords are replaced. Example: 'x-nullable' is
+ * replaced by 'nullable', 'file' type by a 'binary' string.
+ * @param {object} schema Swagger 2.0 schema.
+ * @return {object} OAS 3.0 schema.
+ */
+function convertSchema(schema) {
+  if (!schema || typeof(schema) !== DataType.OBJECT) return schema;
+  if (Array.isArray(schema)) return schema.map(convertSchema);
+
+  const convertedSchema = {};
+  Object.keys(schema).forEach(function(key) {
+    const value = schema[key];
+    switch (key) {
+      case '$ref':
+        convertedSchema.$ref = convertRef(value);
+        break;
+      case 'x-nullable':
+        convertedSchema.nullable = value;
+        break;
+      case 'discriminator':
+        convertedSchema.discriminator = (typeof(value) === DataType.STRING) ?
+          {propertyName: value} : value;
+        break;
+      case 'properties':
+        convertedSchema.properties = {};
+        Object.keys(value).forEach(function(name) {
+          convertedSchema.properties[name] = convertSchema(value[name]);
+        });
+        break;
+      case 'items':
+      case 'additionalProperties':
+      case 'not':
+      case 'allOf':
+      case 'anyOf':
+      case 'oneOf':
+        convertedSchema[key] = convertSchema(value);
+        break;
+      default:
+        convertedSchema[key] = value;
+    }
+  });
+  if (convertedSchema.type === SWAGGER_FILE_TYPE) {
+    convertedSchema.type = DataType.STRING;
+    convertedSchema.format = SchemaFormat.BINARY;
+  }
+  return convertedSchema;
+}
+
+/**
+ * Builds the schema of a Swagger 2.0 non-body parameter or of the items of
+ * the parameter.
+ * @param {object} parameter Swagger 2.0 parameter / items object.
+ * @return {object} OAS 3.0 schema.
+ */
+function getParameterSchema(parameter) {
+  const schema = {};
+  SchemaKeys.forEach(function(key) {
+    if (parameter[key] === undefined) return;
+    schema[key] = (key === 'items') ?
+      getParameterSchema(parameter.items) : parameter[key];
+  });
+  return convertSchema(schema);
+}
+
+/**
+ * Returns the style and explode of an array parameter, as per its Swagger 2.0
+ * collectionFormat. Default collectionFormat is 'csv'.
+ * @param {object} parameter Swagger 2.0 parameter.
+ * @return {{style: string, explode: boolean}}
+ */
+function getParameterStyle(parameter) {
+  const collectionFormat = parameter.collectionFormat || 'csv';
+  const isQueryParameter = parameter.in === ParameterLocation.QUERY ||
+    parameter.in === 'formData';
+  switch (collectionFormat) {
+    case 'multi':
+      return {style: ParameterStyle.FORM, explode: true};
+    case 'ssv':
+      return {style: ParameterStyle.SPACE_DELIMITED, explode: false};
+    case 'pipes':
+      return {style: ParameterStyle.PIPE_DELIMITED, explode: false};
+    default:
+      return {
+        style: (isQueryParameter) ? ParameterStyle.FORM : ParameterStyle.SIMPLE,
+        explode: false,
+      };
+  }
+}
+
+/**
+ * Converts a Swagger 2.0 non-body parameter into an OAS 3.0 parameter.
+ * @param {object} parameter Swagger 2.0 parameter.
+ * @return {object} OAS 3.0 parameter.
+ */
+function convertParameter(parameter) {
+  if (parameter.$ref) return {$ref: convertRef(parameter.$ref)};
+  const convertedParameter = {
+    name: parameter.name,
+    in: parameter.in,
+  };
+  ['description', 'required', 'allowEmptyValue'].forEach(function(key) {
+    if (parameter[key] !== undefined) convertedParameter[key] = parameter[key];
+  });
+  convertedParameter.schema = getParameterSchema(parameter);
+  if (parameter.type === DataType.ARRAY) {
+    Object.assign(convertedParameter, getParameterStyle(parameter));
+  }
+  return copyExtensions(convertedParameter, parameter);
+}
+
+/**
+ * Converts the body parameter of a Swagger 2.0 operation into an OAS 3.0
+ * request body.
+ * @param {object} parameter Swagger 2.0 body parameter.
+ * @param {array<string>} consumes Media types consumed by the operation.
+ * @return {object} OAS 3.0 request body.
+ */
+function convertBodyParameter(parameter, consumes) {
+  const requestBody = {content: {}};
+  if (parameter.description) requestBody.description = parameter.description;
+  if (parameter.required) requestBody.required = true;
+  /*
+    Form media types are used by the formData parameters, and a body
+    parameter can't be sent along with formData parameters.
+  */
+  let mediaTypes = consumes.filter(function(mediaType) {
+    return mediaType !== MediaType.FORM_URLENCODED &&
+      mediaType !== MediaType.MULTIPART_FORM_DATA;
+  });
+  if (!mediaTypes.length) mediaTypes = [MediaType.JSON];
+  mediaTypes.forEach(function(mediaType) {
+    requestBody.content[mediaType] = {schema: convertSchema(parameter.schema)};
+  });
+  return copyExtensions(requestBody, parameter);
+}
+
+/**
+ * Converts the formData parameters of a Swagger 2.0 operation into an OAS 3.0
+ * form request body.<br>
+ * Request body is a multipart form, if the operation consumes
+ * 'multipart/form-data' or has a file parameter. Else, it is an url-encoded
+ * form.
+ * @param {array<object>} parameters Swagger 2.0 formData parameters.
+ * @param {array<string>} consumes Media types consumed by the operation.
+ * @return {object} OAS 3.0 request body.
+ */
+function convertFormDataParameters(parameters, consumes) {
+  const schema = {type: DataType.OBJECT, properties: {}};
+  const required = [];
+  const encoding = {};
+  parameters.forEach(function(parameter) {
+    schema.properties[parameter.name] = getParameterSchema(parameter);
+    if (parameter.description) {
+      schema.properties[parameter.name].description = parameter.description;
+    }
+    if (parameter.required) required.push(parameter.name);
+    if (parameter.type === DataType.ARRAY) {
+      encoding[parameter.name] = getParameterStyle(parameter);
+    }
+  });
+  if (required.length) schema.required = required;
+
+  const hasFileParameter = parameters.some(function(parameter) {
+    return parameter.type === SWAGGER_FILE_TYPE;
+  });
+  let mediaTypes = consumes.filter(function(mediaType) {
+    return mediaType === MediaType.FORM_URLENCODED ||
+      mediaType === MediaType.MULTIPART_FORM_DATA;
+  });
+  if (hasFileParameter) {
+    mediaTypes = [MediaType.MULTIPART_FORM_DATA];
+  } else if (!mediaTypes.length) {
+    mediaTypes = [MediaType.FORM_URLENCODED];
+  }
+
+  const requestBody = {content: {}};
+  if (required.length) requestBody.required = true;
+  mediaTypes.forEach(function(mediaType) {
+    requestBody.content[mediaType] = {schema};
+    if (Object.keys(encoding).length) {
+      requestBody.content[mediaType].encoding = encoding;
+    }
+  });
+  return requestBody;
+}
+
+/**
+ * Converts a Swagger 2.0 response object into an OAS 3.0 response object.
+ * @param {object} response Swagger 2.0 response.
+ * @param {array<string>} produces Media types produced by the operation.
+ * @return {object} OAS 3.0 response.
+ */
+function convertResponse(response, produces) {
+  if (response.$ref) return {$ref: convertRef(response.$ref)};
+  const convertedResponse = {description: response.description || ''};
+  if (response.headers) {
+    convertedResponse.headers = {};
+    Object.keys(response.headers).forEach(function(name) {
+      const header = response.headers[name];
+      convertedResponse.headers[name] = {schema: getParameterSchema(header)};
+      if (header.description) {
+        convertedResponse.headers[name].description = header.description;
+      }
+    });
+  }
+  if (response.schema) {
+    const examples = response.examples || {};
+    convertedResponse.content = {};
+    produces.forEach(function(mediaType) {
+      convertedResponse.content[mediaType] =
+        {schema: convertSchema(response.schema)};
+      if (examples[mediaType] !== undefined) {
+        convertedResponse.content[mediaType].example = examples[mediaType];
+      }
+    });
+  }
+  return copyExtensions(convertedResponse, response);
+}
+
+/**
+ * Converts a Swagger 2.0 security scheme into an OAS 3.0 security scheme.
+ * @param {object} securityScheme Swagger 2.0 security scheme.
+ * @return {object} OAS 3.0 security scheme.
+ */
+function convertSecurityScheme(securityScheme) {
+  const convertedSecurityScheme = {};
+  if (securityScheme.description) {
+    convertedSecurityScheme.description = securityScheme.description;
+  }
+  switch (securityScheme.type) {
+    case 'basic':
+      Object.assign(convertedSecurityScheme, {type: 'http', scheme: 'basic'});
+      break;
+    case 'apiKey':
+      Object.assign(convertedSecurityScheme, {
+        type: 'apiKey',
+        name: securityScheme.name,
+        in: securityScheme.in,
+      });
+      break;
+    case 'oauth2': {
+      const flow = {scopes: securityScheme.scopes || {}};
+      if (securityScheme.authorizationUrl) {
+        flow.authorizationUrl = securityScheme.authorizationUrl;
+      }
+      if (securityScheme.tokenUrl) flow.tokenUrl = securityScheme.tokenUrl;
+      const flowNames = {
+        implicit: 'implicit',
+        password: 'password',
+        application: 'clientCredentials',
+        accessCode: 'authorizationCode',
+      };
+      convertedSecurityScheme.type = 'oauth2';
+      convertedSecurityScheme.flows = {[flowNames[securityScheme.flow]]: flow};
+      break;
+    }
+    default:
+      Object.assign(convertedSecurityScheme, securityScheme);
+  }
+  return copyExtensions(convertedSecurityScheme, securityScheme);
+}
+
+/**
+ * Returns the servers of the Swagger 2.0 document built from its host,
+ * basePath and schemes.
+ * @param {object} swaggerDoc Swagger 2.0 Document.
+ * @return {array<{url: string}>} servers
+ */
+function getServers(swaggerDoc) {
+  const basePath = swaggerDoc.basePath || '';
+  if (!swaggerDoc.host) return (basePath) ? [{url: basePath}] : [];
+  const schemes = swaggerDoc.schemes || ['https'];
+  return schemes.map(function(scheme) {
+    return {url: `${scheme}://${swaggerDoc.host}${basePath}`};
+  });
+}
+
+/**
+ * Converts a Swagger 2.0 operation into an OAS 3.0 operation.<br>
+ * Body and formData parameters (including the ones defined at the path item
+ * level) are converted into the request body of the operation.
+ * @param {object} operation Swagger 2.0 operation.
+ * @param {array<object>} pathParameters Parameters of the path item.
+ * @param {object} swaggerDoc Swagger 2.0 Document.
+ * @return {object} OAS 3.0 operation.
+ */
+function convertOperation(operation, pathParameters, swaggerDoc) {
+  const consumes = operation.consumes || swaggerDoc.consumes ||
+    [MediaType.JSON];
+  const produces = operation.produces || swaggerDoc.produces ||
+    [MediaType.JSON];
+  const globalParameters = swaggerDoc.parameters || {};
+  const resolveParameter = function(parameter) {
+    if (!parameter.$ref || !parameter.$ref.startsWith('#/parameters/')) {
+      return parameter;
+    }
+    return globalParameters[parameter.$ref.slice('#/parameters/'.length)] ||
+      parameter;
+  };
+
+  const convertedOperation = {};
+  Object.keys(operation).forEach(function(key) {
+    if (['parameters', 'responses', 'consumes', 'produces', 'schemes']
+        .includes(key)) return;
+    convertedOperation[key] = operation[key];
+  });
+
+  /*
+    Parameters of an operation override the parameters of the path item
+    having the same name and location.
+  */
+  const operationParameters = operation.parameters || [];
+  const parameters = pathParameters.filter(function(pathParameter) {
+    const {name, in: location} = resolveParameter(pathParameter);
+    return !operationParameters.some(function(operationParameter) {
+      const resolvedParameter = resolveParameter(operationParameter);
+      return resolvedParameter.name === name &&
+        resolvedParameter.in === location;
+    });
+  }).concat(operationParameters);
+
+  const formDataParameters = [];
+  const convertedParameters = [];
+  parameters.forEach(function(parameter) {
+    const resolvedParameter = resolveParameter(parameter);
+    if (resolvedParameter.in === 'body') {
+      convertedOperation.requestBody =
+        convertBodyParameter(resolvedParameter, consumes);
+    } else if (resolvedParameter.in === 'formData') {
+      formDataParameters.push(resolvedParameter);
+    } else {
+      convertedParameters.push(convertParameter(parameter));
+    }
+  });
+  if (convertedParameters.length) {
+    convertedOperation.parameters = convertedParameters;
+  }
+  if (formDataParameters.length) {
+    convertedOperation.requestBody =
+      convertFormDataParameters(formDataParameters, consumes);
+  }
+
+  convertedOperation.responses = {};
+  Object.keys(operation.responses || {}).forEach(function(statusCode) {
+    const response = operation.responses[statusCode];
+    convertedOperation.responses[statusCode] = (statusCode.startsWith('x-')) ?
+      response : convertResponse(response, produces);
+  });
+  return convertedOperation;
+}
+
+/**
+ * Converts a Swagger 2.0 document into an OAS 3.0 document.<br>
+ * Internal $ref pointers are moved to the components of the OAS 3.0
+ * document. Example: '#/definitions/Pet' is replaced by
+ * '#/components/schemas/Pet'.
+ * @param {object} swaggerDoc Swagger 2.0 Document.
+ * @return {object} OAS 3.0 Document.
+ */
+function convertSwaggerDoc(swaggerDoc) {
+  const oasDoc = {openapi: OAS_VERSION, info: swaggerDoc.info};
+  const servers = getServers(swaggerDoc);
+  if (servers.length) oasDoc.servers = servers;
+  ['tags', 'security', 'externalDocs'].forEach(function(key) {
+    if (swaggerDoc[key] !== undefined) oasDoc[key] = swaggerDoc[key];
+  });
+
+  const supportedHttpMethods = Object.values(HttpMethod);
+  oasDoc.paths = {};
+  Object.keys(swaggerDoc.paths || {}).forEach(function(path) {
+    const pathItem = swaggerDoc.paths[path];
+    const pathParameters = pathItem.parameters || [];
+    const convertedPathItem = {};
+    Object.keys(pathItem).forEach(function(key) {
+      if (supportedHttpMethods.includes(key)) {
+        convertedPathItem[key] =
+          convertOperation(pathItem[key], pathParameters, swaggerDoc);
+      } else if (key !== 'parameters') {
+        convertedPathItem[key] = pathItem[key];
+      }
+    });
+    oasDoc.paths[path] = convertedPathItem;
+  });
+
+  const components = {};
+  const definitions = swaggerDoc.definitions || {};
+  if (Object.keys(definitions).length) {
+    components.schemas = {};
+    Object.keys(definitions).forEach(function(name) {
+      components.schemas[name] = convertSchema(definitions[name]);
+    });
+  }
+  /*
+    Body and formData parameters are a part of the request body in OAS 3.0,
+    hence they are inlined in the operations instead of being a component.
+  */
+  const globalParameters = swaggerDoc.parameters || {};
+  Object.keys(globalParameters).forEach(function(name) {
+    const parameter = globalParameters[name];
+    if (parameter.in === 'body' || parameter.in === 'formData') return;
+    components.parameters = components.parameters || {};
+    components.parameters[name] = convertParameter(parameter);
+  });
+  const globalResponses = swaggerDoc.responses || {};
+  Object.keys(globalResponses).forEach(function(name) {
+    components.responses = components.responses || {};
+    components.responses[name] = convertResponse(globalResponses[name],
+        swaggerDoc.produces || [MediaType.JSON]);
+  });
+  const securityDefinitions = swaggerDoc.securityDefinitions || {};
+  Object.keys(securityDefinitions).forEach(function(name) {
+    components.securitySchemes = components.securitySchemes || {};
+    components.securitySchemes[name] =
+      convertSecurityScheme(securityDefinitions[name]);
+  });
+  if (Object.keys(components).length) oasDoc.components = components;
+
+  return copyExtensions(oasDoc, swaggerDoc);
+}
+
+module.exports = {
+  isSwaggerDoc,
+  convertSwaggerDoc,
+};
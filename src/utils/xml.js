@@ -0,0 +1,430 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module utils/xml */
+/**
+ * @fileoverview Contains functions that serialize data into XML and parse
+ * XML back into data, as per the XML Object (name, attribute, wrapped,
+ * namespace, prefix) of the schemas in OAS 3.0.
+ * @see https://swagger.io/docs/specification/data-models/representing-xml/
+ */
+
+const {DataType} = require('../constants');
+const {parseString} = require('./app');
+const {getSchemaType, mergeAllOf} = require('./schema');
+
+/* Name of the root element, when the schema doesn't specify one. */
+const DEFAULT_ROOT_NAME = 'root';
+
+const XMLEntities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;',
+};
+
+/**
+ * Checks whether the media type carries XML.<br>
+ * Example: 'application/xml', 'text/xml', 'application/atom+xml'.
+ * @param {string} mediaType
+ * @return {boolean}
+ */
+function isXMLMediaType(mediaType) {
+  return /^[^;]*[/+]xml\s*(;|$)/i.test(mediaType || '');
+}
+
+/**
+ * Escapes the characters which have a special meaning in XML.
+ * @param {*} value
+ * @return {string}
+ */
+function escapeXML(value) {
+  return String(value).replace(/[&<>"']/g, function(character) {
+    return XMLEntities[character];
+  });
+}
+
+/**
+ * Replaces the entity and character references of XML with the characters
+ * they refer to.
+ * @param {string} text
+ * @return {string}
+ */
+function unescapeXML(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi,
+      function(reference, entity) {
+        if (entity[0] === '#') {
+          return String.fromCodePoint((entity[1].toLowerCase() === 'x') ?
+            parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return Object.keys(XMLEntities).find(function(character) {
+          return XMLEntities[character] === reference.toLowerCase();
+        });
+      });
+}
+
+/**
+ * Returns the name of the XML element/attribute of a schema.
+ * @param {object} schema
+ * @param {string} defaultName Name used when "xml.name" is not specified.
+ * @return {string}
+ */
+function getXMLName(schema, defaultName) {
+  return ((schema || {}).xml || {}).name || defaultName;
+}
+
+/**
+ * Returns the name of an element along with its prefix, and the namespace
+ * declaration of the element.
+ * @param {string} name
+ * @param {object} [xml = {}] XML Object of the schema.
+ * @return {{qualifiedName: string, namespace: string}}
+ */
+function getQualifiedName(name, xml = {}) {
+  const qualifiedName = (xml.prefix) ? `${xml.prefix}:${name}` : name;
+  let namespace = '';
+  if (xml.namespace) {
+    const attribute = (xml.prefix) ? `xmlns:${xml.prefix}` : 'xmlns';
+    namespace = ` ${attribute}="${escapeXML(xml.namespace)}"`;
+  }
+  return {qualifiedName, namespace};
+}
+
+/**
+ * Checks whether the value is a non-array object.
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof(value) === DataType.OBJECT &&
+    !Array.isArray(value);
+}
+
+/**
+ * Builds the XML element(s) of a value as per its schema.<br>
+ * Items of an array are sent as sibling elements, unless the array is
+ * wrapped.
+ * @param {*} value
+ * @param {object} schema Schema of the value.
+ * @param {string} name Default name of the element.
+ * @return {string} XML
+ */
+function buildElement(value, schema, name) {
+  schema = mergeAllOf(schema || {});
+  const xml = schema.xml || {};
+
+  if (Array.isArray(value)) {
+    const itemSchema = schema.items || {};
+    const itemName = getXMLName(itemSchema, name);
+    const items = value.map(function(item) {
+      return buildElement(item, itemSchema, itemName);
+    }).join('');
+    if (!xml.wrapped) return items;
+    const {qualifiedName, namespace} =
+      getQualifiedName(getXMLName(schema, name), xml);
+    return `<${qualifiedName}${namespace}>${items}</${qualifiedName}>`;
+  }
+
+  const {qualifiedName, namespace} =
+    getQualifiedName(getXMLName(schema, name), xml);
+  if (value === null || value === undefined) {
+    return `<${qualifiedName}${namespace}/>`;
+  }
+  if (!isPlainObject(value)) {
+    return `<${qualifiedName}${namespace}>${escapeXML(value)}` +
+      `</${qualifiedName}>`;
+  }
+
+  const properties = schema.properties || {};
+  let attributes = '';
+  let children = '';
+  Object.keys(value).forEach(function(key) {
+    if (value[key] === undefined) return;
+    const propertySchema = properties[key] || {};
+    const propertyXML = propertySchema.xml || {};
+    if (propertyXML.attribute && typeof(value[key]) !== DataType.OBJECT) {
+      const attribute =
+        getQualifiedName(getXMLName(propertySchema, key), propertyXML);
+      attributes += ` ${attribute.qualifiedName}="${escapeXML(value[key])}"`;
+      return;
+    }
+    children += buildElement(value[key], propertySchema, key);
+  });
+  return `<${qualifiedName}${namespace}${attributes}>${children}` +
+    `</${qualifiedName}>`;
+}
+
+/**
+ * Serializes data into an XML document as per the XML Object of its schema.
+ * <br>
+ * Example: ({id: 1, tags: ['a']}, {xml: {name: 'Pet'}}) returns
+ * '<?xml version="1.0" encoding="UTF-8"?><Pet><id>1</id><tags>a</tags></Pet>'.
+ * @param {*} data
+ * @param {object} [schema = {}] Schema of the data.
+ * @param {string} [rootName = 'root'] Name of the root element, used when
+ *  the schema doesn't specify one.
+ * @return {string} XML document.
+ */
+function serializeXML(data, schema = {}, rootName = DEFAULT_ROOT_NAME) {
+  let element;
+  if (Array.isArray(data)) {
+    /* An XML document has a single root element, so arrays are wrapped. */
+    const xml = Object.assign({}, schema.xml, {wrapped: true});
+    element = buildElement(data, Object.assign({}, schema, {xml}), rootName);
+  } else {
+    element = buildElement(data, schema, rootName);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>${element}`;
+}
+
+/**
+ * Parses an XML document into a tree of elements.<br>
+ * Processing instructions, comments and document type declarations are
+ * skipped.
+ * @param {string} xmlString XML document.
+ * @return {{name: string, attributes: object, children: array<object>,
+ *  text: string}} Root element.
+ * @throws {Error} On a malformed XML document.
+ */
+function parseXMLDocument(xmlString) {
+  let index = 0;
+
+  const fail = function(message) {
+    throw new Error(`Malformed XML at position ${index}: ${message}`);
+  };
+
+  const skipMarkup = function() {
+    const markups = [['<?', '?>'], ['<!--', '-->'], ['<!', '>']];
+    for (const [start, end] of markups) {
+      if (xmlString.startsWith(start, index) &&
+          !xmlString.startsWith('<![CDATA[', index)) {
+        const endIndex = xmlString.indexOf(end, index + start.length);
+        if (endIndex === -1) fail(`missing '${end}'`);
+        index = endIndex + end.length;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const parseElement = function() {
+    const tag = /^<([^\s/>]+)/.exec(xmlString.slice(index));
+    if (!tag) fail('expected an element');
+    const element = {name: tag[1], attributes: {}, children: [], text: ''};
+    index += tag[0].length;
+
+    const attributePattern = /^\s+([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/;
+    let attribute;
+    while ((attribute = attributePattern.exec(xmlString.slice(index)))) {
+      element.attributes[attribute[1]] =
+        unescapeXML((attribute[3] !== undefined) ? attribute[3] : attribute[4]);
+      index += attribute[0].length;
+    }
+    const tagEnd = /^\s*(\/?)>/.exec(xmlString.slice(index));
+    if (!tagEnd) fail(`unterminated tag <${element.name}>`);
+    index += tagEnd[0].length;
+    if (tagEnd[1]) return element;
+
+    while (index < xmlString.length) {
+      if (xmlString.startsWith('</', index)) {
+        const closingTag = /^<\/([^\s>]+)\s*>/.exec(xmlString.slice(index));
+        if (!closingTag || closingTag[1] !== element.name) {
+          fail(`expected </${element.name}>`);
+        }
+        index += closingTag[0].length;
+        return element;
+      }
+      if (xmlString.startsWith('<![CDATA[', index)) {
+        const endIndex = xmlString.indexOf(']]>', index);
+        if (endIndex === -1) fail('missing \']]>\'');
+        element.text += xmlString.slice(index + 9, endIndex);
+        index = endIndex + 3;
+      } else if (xmlString[index] === '<') {
+        if (!skipMarkup()) element.children.push(parseElement());
+      } else {
+        const endIndex = xmlString.indexOf('<', index);
+        if (endIndex === -1) break;
+        element.text += unescapeXML(xmlString.slice(index, endIndex));
+        index = endIndex;
+      }
+    }
+    return fail(`missing </${element.name}>`);
+  };
+
+  while (index < xmlString.length) {
+    const whitespace = /^\s+/.exec(xmlString.slice(index));
+    if (whitespace) index += whitespace[0].length;
+    if (!skipMarkup()) break;
+  }
+  const root = parseElement();
+  if (xmlString.slice(index).replace(/<!--[\s\S]*?-->/g, '').trim()) {
+    fail('unexpected content after the root element');
+  }
+  return root;
+}
+
+/**
+ * Returns the name of an element/attribute without its prefix.
+ * @param {string} name
+ * @return {string}
+ */
+function getLocalName(name) {
+  return name.split(':').pop();
+}
+
+/**
+ * Returns the child elements of an element with a particular name.
+ * @param {object} element
+ * @param {string} name
+ * @return {array<object>}
+ */
+function getChildren(element, name) {
+  return element.children.filter(function(child) {
+    return getLocalName(child.name) === name;
+  });
+}
+
+/**
+ * Converts an element into data without a schema. Elements without child
+ * elements and attributes are converted into their text, repeated child
+ * elements into arrays.
+ * @param {object} element
+ * @return {*}
+ */
+function elementToUntypedData(element) {
+  const attributeNames = Object.keys(element.attributes).filter(
+      function(name) {
+        return !/^xmlns(:|$)/.test(name);
+      });
+  if (!element.children.length && !attributeNames.length) {
+    return element.text;
+  }
+  const data = {};
+  attributeNames.forEach(function(name) {
+    data[getLocalName(name)] = element.attributes[name];
+  });
+  element.children.forEach(function(child) {
+    const name = getLocalName(child.name);
+    const value = elementToUntypedData(child);
+    if (data[name] === undefined) {
+      data[name] = value;
+    } else {
+      data[name] = [].concat(data[name], [value]);
+    }
+  });
+  return data;
+}
+
+/**
+ * Converts an element into data as per the schema of the element.
+ * @param {object} element
+ * @param {object} schema
+ * @return {*}
+ */
+function elementToData(element, schema) {
+  schema = mergeAllOf(schema || {});
+  const type = getSchemaType(schema);
+  if (type === DataType.ARRAY) {
+    return element.children.map(function(child) {
+      return elementToData(child, schema.items);
+    });
+  }
+  if (type !== DataType.OBJECT) {
+    if (!type) return elementToUntypedData(element);
+    return parseString(element.text, schema);
+  }
+
+  const properties = schema.properties || {};
+  const data = {};
+  const knownElementNames = [];
+  Object.keys(properties).forEach(function(key) {
+    const propertySchema = properties[key] || {};
+    const propertyXML = propertySchema.xml || {};
+    const xmlName = getXMLName(propertySchema, key);
+
+    if (propertyXML.attribute) {
+      const attributeName = Object.keys(element.attributes).find(
+          function(name) {
+            return getLocalName(name) === xmlName;
+          });
+      if (attributeName !== undefined) {
+        data[key] = parseString(element.attributes[attributeName],
+            propertySchema);
+      }
+      return;
+    }
+    knownElementNames.push(xmlName);
+
+    if (getSchemaType(propertySchema) === DataType.ARRAY) {
+      const itemSchema = propertySchema.items || {};
+      if (propertyXML.wrapped) {
+        const wrapper = getChildren(element, xmlName)[0];
+        if (wrapper) data[key] = elementToData(wrapper, propertySchema);
+        return;
+      }
+      const itemName = getXMLName(itemSchema, key);
+      knownElementNames.push(itemName);
+      const items = getChildren(element, itemName);
+      if (items.length) {
+        data[key] = items.map(function(item) {
+          return elementToData(item, itemSchema);
+        });
+      }
+      return;
+    }
+    const child = getChildren(element, xmlName)[0];
+    if (child) data[key] = elementToData(child, propertySchema);
+  });
+
+  /*
+    Elements which are not specified in the schema are kept, to validate them
+    against "additionalProperties".
+  */
+  const unknownElementNames = [];
+  element.children.forEach(function(child) {
+    const name = getLocalName(child.name);
+    if (knownElementNames.includes(name)) return;
+    const value = (isPlainObject(schema.additionalProperties)) ?
+      elementToData(child, schema.additionalProperties) :
+      elementToUntypedData(child);
+    if (!unknownElementNames.includes(name)) {
+      unknownElementNames.push(name);
+      data[name] = value;
+    } else {
+      data[name] = [].concat(data[name], [value]);
+    }
+  });
+  return data;
+}
+
+/**
+ * Parses an XML document into data as per the XML Object and datatypes of
+ * its schema, so that the data can be validated against the schema.
+ * @param {string} xmlString XML document.
+ * @param {object} [schema = {}] Schema of the data.
+ * @return {*} data
+ * @throws {Error} On a malformed XML document.
+ */
+function parseXML(xmlString, schema = {}) {
+  return elementToData(parseXMLDocument(xmlString), schema);
+}
+
+module.exports = {
+  isXMLMediaType,
+  serializeXML,
+  parseXML,
+};
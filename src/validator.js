@@ -23,10 +23,35 @@
 const validator = require('validator');
 const ipRegex = require('ip-regex');
 const isNumber = require('is-number');
+const lodash = require('lodash');
 const {SchemaFormat, DataType, Error} = require('./constants');
 const {buildError} = require('./utils/app');
+const {
+  getSchemaTypes,
+  isNullable,
+  getNumberLimits,
+  getDataType,
+  withType,
+  getMergedValues,
+  getDiscriminatorMapping,
+} = require('./utils/schema');
+const {
+  isDate,
+  isTime,
+  isDateTime,
+  isByte,
+  isHostname,
+  isURIReference,
+  isIRI,
+} = require('./utils/format');
 const {logger} = require('./log');
 
+/*
+  Any sequence of octets is a valid 'binary' string, and 'password' only hints
+  to obscure the string.
+*/
+const UnrestrictedFormats = [SchemaFormat.BINARY, SchemaFormat.PASSWORD];
+
 
 /**
  * Returns error if data is not of Boolean Data type.<br>
@@ -44,7 +69,9 @@ function isBoolean(data, schema, jsonpath, options = {}) {
 }
 
 /**
- * Returns error if the items of array doesn't comply with the schema.
+ * Returns error if the items of array doesn't comply with the schema.<br>
+ * Length of the array is validated against minItems/maxItems, and equal
+ * (deep equality) items are reported when uniqueItems is true.
  * @param {array} data Input Array.
  * @param {object} schema Specification of the Array.
  * @param {string} jsonpath jsonpath of the Array key/field.
@@ -56,18 +83,69 @@ function validateArrayAgainstSchema(data, schema, jsonpath, options = {}) {
     return buildError(Error.DATA_TYPE, data, jsonpath,
         {dataType: {present: typeof(data), expected: DataType.ARRAY}});
   }
-  const itemSchema = schema.items;
+  /*
+    In OAS 3.1, prefixItems specifies the schema of the items at the
+    beginning of the array and items specifies the schema of the rest of
+    the items. 'items: false' doesn't allow any additional items.
+  */
+  const prefixItems = schema.prefixItems || [];
   let errors = [];
-  data.forEach(function(itemData) {
+  data.forEach(function(itemData, index) {
+    if (index < prefixItems.length) {
+      errors = errors.concat(validateDataAgainstSchema(itemData,
+          prefixItems[index], `${jsonpath}[${index}]`, options));
+      return;
+    }
+    if (schema.items === false) {
+      errors = errors.concat(buildError(Error.OUT_OF_RANGE, itemData,
+          `${jsonpath}[${index}]`, {maximumItems: prefixItems.length}));
+      return;
+    }
     const itemError =
-      validateDataAgainstSchema(itemData, itemSchema, jsonpath, options);
+      validateDataAgainstSchema(itemData, schema.items, jsonpath, options);
     errors = errors.concat(itemError);
   });
+  if ((schema.minItems !== undefined && data.length < schema.minItems) ||
+      (schema.maxItems !== undefined && data.length > schema.maxItems)) {
+    errors = errors.concat(buildError(Error.OUT_OF_RANGE, data, jsonpath, {
+      length: data.length,
+      minimumItems: schema.minItems,
+      maximumItems: schema.maxItems,
+    }));
+  }
+  if (schema.uniqueItems === true) {
+    const index = data.findIndex(function(itemData, index) {
+      return data.slice(0, index).some(function(previousItemData) {
+        return lodash.isEqual(previousItemData, itemData);
+      });
+    });
+    if (index !== -1) {
+      errors = errors.concat(buildError(Error.DUPLICATE_ITEMS, data[index],
+          `${jsonpath}[${index}]`, {uniqueItems: true}));
+    }
+  }
   return errors;
 }
 
 /**
- * Returns error if the numeric value doesn't comply with the schema.
+ * Returns true, if the number is a multiple of multipleOf.<br>
+ * Quotient is compared with a tolerance, as decimal multiples (Example:
+ * 0.3 of 0.1) aren't exact in floating point.
+ * @param {number} data
+ * @param {number} multipleOf
+ * @return {boolean}
+ */
+function isMultipleOf(data, multipleOf) {
+  const quotient = data / multipleOf;
+  return Math.abs(quotient - Math.round(quotient)) <=
+    Number.EPSILON * Math.max(1, Math.abs(quotient)) * 4;
+}
+
+/**
+ * Returns error if the numeric value doesn't comply with the schema.<br>
+ * Value beyond minimum/maximum, value equal to an exclusive limit and value
+ * which isn't a multiple of schema.multipleOf are reported as Out of Range,
+ * Exclusive Range and Multiple Of errors respectively.
  * @param {*} data Input Data.
  * @param {object} schema Specification of the Data.
  * @param {string} jsonpath jsonpath of the Numeric key/field.
@@ -83,20 +161,58 @@ function validateNumericAgainstSchema(data, schema, jsonpath, options = {}) {
     return buildError(Error.DATA_TYPE, data, jsonpath,
         {dataType: {present: typeof(data), expected: DataType.NUMBER}});
   }
-  const low = schema.minimum;
-  const high = schema.maximum;
-  if ((low && data < low) || (high && data > high)) {
+  const limits = getNumberLimits(schema);
+  const low = limits.minimum;
+  const high = limits.maximum;
+  if ((low !== undefined && data < low) ||
+      (high !== undefined && data > high)) {
     return buildError(Error.OUT_OF_RANGE, data, jsonpath, {low, high});
   }
+  if (limits.exclusiveMinimum && data === low) {
+    return buildError(Error.EXCLUSIVE_RANGE, data, jsonpath,
+        {exclusiveMinimum: low});
+  }
+  if (limits.exclusiveMaximum && data === high) {
+    return buildError(Error.EXCLUSIVE_RANGE, data, jsonpath,
+        {exclusiveMaximum: high});
+  }
+  if (schema.multipleOf && !isMultipleOf(data, schema.multipleOf)) {
+    return buildError(Error.MULTIPLE_OF, data, jsonpath,
+        {multipleOf: schema.multipleOf});
+  }
   return [];
 }
 
+/**
+ * Returns true, if a key of an object is not sent in the direction of data.
+ * <br>
+ * readOnly keys are sent only in responses, and writeOnly keys only in
+ * requests. Data validated without a direction is treated as a request.
+ * @param {object} keySchema Specification of the key.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @param {boolean=} options.response Data is a response.
+ * @return {boolean}
+ */
+function isUnsentKey(keySchema, options = {}) {
+  if (!keySchema) return false;
+  return (options.response) ? keySchema.writeOnly === true :
+    keySchema.readOnly === true;
+}
+
 /**
  * Returns error if the Object and its property doesn't comply with the schema.
+ * <br>
+ * readOnly keys (in requests) and writeOnly keys (in responses) aren't
+ * required, and are reported when present, if the direction of the data is
+ * provided through options.<br>
+ * Number of keys is validated against minProperties/maxProperties, and each
+ * key against the (string) schema specified by propertyNames.
  * @param {*} data Input Data.
  * @param {object} schema Specification of the Data.
  * @param {string} jsonpath jsonpath of the Object key/field.
  * @param {object} [options = {}] Optional Additional Parameters.
+ * @param {boolean=} options.request Data is a request.
+ * @param {boolean=} options.response Data is a response.
  * @return {array<object>} Array of Errors.
  */
 function validateObjectAgainstSchema(data, schema, jsonpath, options = {}) {
@@ -106,31 +222,131 @@ function validateObjectAgainstSchema(data, schema, jsonpath, options = {}) {
   }
 
   let errors = [];
+  const properties = schema.properties || {};
   if (schema.required) {
     const requiredKeys = schema.required;
     requiredKeys.forEach(function(requiredKey) {
-      if (data[requiredKey] == null) {
+      if (isUnsentKey(properties[requiredKey], options)) return;
+      if (data[requiredKey] === undefined) {
         errors = errors.concat(
             buildError(Error.REQUIRED_KEY, null, jsonpath, {requiredKey}));
       }
     });
-    if (errors.length) return errors;
   }
+  /*
+    In OAS 3.1, dependentRequired specifies the keys which are required when
+    a particular key is present.
+  */
+  if (schema.dependentRequired) {
+    Object.keys(schema.dependentRequired).forEach(function(dependentKey) {
+      if (data[dependentKey] === undefined) return;
+      schema.dependentRequired[dependentKey].forEach(function(requiredKey) {
+        if (data[requiredKey] === undefined) {
+          errors = errors.concat(buildError(Error.REQUIRED_KEY, null,
+              jsonpath, {requiredKey, dependentKey}));
+        }
+      });
+    });
+  }
+  if (errors.length) return errors;
 
+  /*
+    Keys which are not specified in the properties are validated against
+    additionalProperties. additionalProperties: true (or undefined) allows
+    any value, and additionalProperties: false allows none.
+  */
   const dataKeys = Object.keys(data);
   dataKeys.forEach(function(key) {
-    const keySchema = schema.properties[key];
+    if ((options.request || options.response) &&
+        isUnsentKey(properties[key], options)) {
+      const errorType = (options.response) ? Error.WRITE_ONLY : Error.READ_ONLY;
+      errors = errors.concat(
+          buildError(errorType, data[key], `${jsonpath}.${key}`));
+      return;
+    }
+    if (!properties[key] && schema.additionalProperties === false) {
+      errors = errors.concat(buildError(Error.ADDITIONAL_PROPERTY, data[key],
+          `${jsonpath}.${key}`, {additionalProperty: key}));
+      return;
+    }
+    let keySchema = properties[key];
+    if (!keySchema && typeof(schema.additionalProperties) === DataType.OBJECT) {
+      keySchema = schema.additionalProperties;
+    }
     const valueError = validateDataAgainstSchema(
         data[key], keySchema, `${jsonpath}.${key}`, options);
     errors = errors.concat(valueError);
   });
+
+  if (schema.propertyNames !== undefined) {
+    dataKeys.forEach(function(key) {
+      const nameErrors = (typeof(schema.propertyNames) === DataType.OBJECT) ?
+        validateDataAgainstSchema(key,
+            Object.assign({type: DataType.STRING}, schema.propertyNames),
+            `${jsonpath}.${key}`) : [];
+      if (schema.propertyNames === false || nameErrors.length) {
+        errors = errors.concat(buildError(Error.PROPERTY_NAME, key,
+            `${jsonpath}.${key}`, {propertyNames: schema.propertyNames}));
+      }
+    });
+  }
+  if ((schema.minProperties !== undefined &&
+        dataKeys.length < schema.minProperties) ||
+      (schema.maxProperties !== undefined &&
+        dataKeys.length > schema.maxProperties)) {
+    errors = errors.concat(buildError(Error.OUT_OF_RANGE, null, jsonpath, {
+      properties: dataKeys.length,
+      minimumProperties: schema.minProperties,
+      maximumProperties: schema.maxProperties,
+    }));
+  }
   return errors;
 }
 
+/**
+ * Returns true, if the string is of the format.
+ * @param {string} data
+ * @param {string} format One of the formats restricting the string.
+ * @return {boolean}
+ */
+function isOfFormat(data, format) {
+  switch (format) {
+    case SchemaFormat.EMAIL:
+      return validator.isEmail(data);
+    case SchemaFormat.UUID:
+      return validator.isUUID(data);
+    case SchemaFormat.URI:
+      return validator.isURL(data);
+    case SchemaFormat.IPV4:
+      return ipRegex.v4({exact: true}).test(data);
+    case SchemaFormat.IPV6:
+      return ipRegex.v6({exact: true}).test(data);
+    case SchemaFormat.BYTE:
+      return isByte(data);
+    case SchemaFormat.DATE:
+      return isDate(data);
+    case SchemaFormat.DATE_TIME:
+      return isDateTime(data);
+    case SchemaFormat.TIME:
+      return isTime(data);
+    case SchemaFormat.HOSTNAME:
+      return isHostname(data);
+    case SchemaFormat.URI_REFERENCE:
+      return isURIReference(data);
+    case SchemaFormat.IRI:
+      return isIRI(data);
+    default:
+      return true;
+  }
+}
+
 /**
  * Returns error if the String doesn't comply with the schema.<br>
  * If the schema contains multiple properties, it validates the  data against
  *    one of the property set.<br>
+ *    Formats which don't restrict the string (binary, password) and the
+ *    unsupported formats are skipped, and the data is validated against the
+ *    rest of the properties.<br>
  *    Priority List of properties:<br>
  *        <li>  schema.format (High Priority)<br>
  *        <li>  schema.pattern<br>
@@ -151,51 +367,44 @@ function validateStringAgainstSchema(data, schema, jsonpath, options = {}) {
         {dataType: {present: typeof(data), expected: DataType.STRING}});
   }
 
-  if (schema.format) {
-    let formatError = false;
-    let errorObject;
-    switch (schema.format) {
-      case SchemaFormat.EMAIL:
-        formatError |= !validator.isEmail(data);
-        break;
-      case SchemaFormat.UUID:
-        formatError |= !validator.isUUID(data);
-        break;
-      case SchemaFormat.URI:
-        formatError |= !validator.isURL(data);
-        break;
-      case SchemaFormat.IPV4:
-        formatError |= !ipRegex.v4({exact: true}).test(data);
-        break;
-      case SchemaFormat.IPV6:
-        formatError |= !ipRegex.v6({exact: true}).test(data);
-        break;
-      default:
-        errorObject = buildError(Error.LIMITED_SUPPORT, data, jsonpath, {
-          format: schema.format,
-          supportedFormats: 'email, uuid, uri, ipv4/ipv6',
-        });
-        logger.warn(errorObject);
-        return errorObject;
-    }
-    if (formatError) {
-      return buildError(Error.FORMAT, data, jsonpath, {format: schema.format});
+  const formats = Object.values(SchemaFormat);
+  const schemaFormats = getMergedValues(schema, 'format');
+  const restrictingFormats = schemaFormats.filter(function(format) {
+    return formats.includes(format) && !UnrestrictedFormats.includes(format);
+  });
+  if (restrictingFormats.length) {
+    const format = restrictingFormats.find(function(format) {
+      return !isOfFormat(data, format);
+    });
+    if (format !== undefined) {
+      return buildError(Error.FORMAT, data, jsonpath, {format});
     }
     return [];
   }
+  schemaFormats.forEach(function(format) {
+    if (formats.includes(format)) return;
+    logger.warn(buildError(Error.LIMITED_SUPPORT, data, jsonpath, {
+      format,
+      supportedFormats: formats.join(', '),
+    }));
+  });
 
-  if (schema.pattern) {
-    try {
-      const regex = new RegExp(schema.pattern);
+  const patterns = getMergedValues(schema, 'pattern');
+  if (patterns.length) {
+    for (const pattern of patterns) {
+      let regex;
+      try {
+        regex = new RegExp(pattern);
+      } catch (err) {
+        return buildError(Error.OAS_DOC, data, jsonpath, {
+          pattern,
+          errorMessage: 'Invalid Pattern/Regex Expression',
+        });
+      }
       if (!regex.test(data)) {
         return buildError(Error.PATTERN, data, jsonpath,
-            {pattern: schema.pattern, regexObject: regex});
+            {pattern, regexObject: regex});
       }
-    } catch (err) {
-      return buildError(Error.OAS_DOC, data, jsonpath, {
-        pattern: schema.pattern,
-        errorMessage: 'Invalid Pattern/Regex Expression',
-      });
     }
     return [];
   }
@@ -210,7 +419,190 @@ function validateStringAgainstSchema(data, schema, jsonpath, options = {}) {
 }
 
 /**
- * Returns error if the data doesn't comply with the schema.
+ * Returns the datatype, among the datatypes of a schema, which the data
+ * belongs to. An integer belongs to the number datatype as well.
+ * @param {*} data Input Data.
+ * @param {array<string>} types Datatypes of the schema.
+ * @return {string} datatype
+ */
+function getMatchingType(data, types) {
+  const dataType = getDataType(data);
+  return types.find(function(type) {
+    return type === dataType;
+  }) || types.find(function(type) {
+    return type === DataType.NUMBER && dataType === DataType.INTEGER;
+  });
+}
+
+/**
+ * Returns error if the data doesn't comply with the if/then/else
+ * conditions (OAS 3.1) of the schema.<br>
+ * Data is validated against the 'then' schema when it complies with the
+ * 'if' schema, else against the 'else' schema.
+ * @param {*} data Input Data.
+ * @param {object} schema Specification of the Data.
+ * @param {string} jsonpath jsonpath of the data.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @return {array<object>} Array of Errors.
+ */
+function validateConditionalData(data, schema, jsonpath, options = {}) {
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.if;
+  delete baseSchema.then;
+  delete baseSchema.else;
+  const conditionErrors =
+    validateDataAgainstSchema(data, schema.if, jsonpath, options);
+  const branchSchema = (conditionErrors.length) ? schema.else : schema.then;
+  return validateDataAgainstSchema(data, baseSchema, jsonpath, options)
+      .concat(validateDataAgainstSchema(data, branchSchema, jsonpath, options));
+}
+
+/**
+ * Returns error if the data doesn't comply with any of the allOf subschemas
+ * of the schema.<br>
+ * Data is validated against each subschema separately, so that the errors
+ * point to the constraints of the subschemas. Errors repeated by multiple
+ * subschemas are reported once.
+ * @param {*} data Input Data.
+ * @param {object} schema Specification of the Data.
+ * @param {string} jsonpath jsonpath of the data.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @return {array<object>} Array of Errors.
+ */
+function validateAllOfData(data, schema, jsonpath, options = {}) {
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.allOf;
+  let errors = validateDataAgainstSchema(data, baseSchema, jsonpath, options);
+  schema.allOf.forEach(function(subschema) {
+    errors = errors.concat(
+        validateDataAgainstSchema(data, subschema, jsonpath, options));
+  });
+  return lodash.uniqWith(errors, lodash.isEqual);
+}
+
+/**
+ * Returns error if the data doesn't comply with at least one of the anyOf
+ * subschemas of the schema, or with the rest of the schema.
+ * @param {*} data Input Data.
+ * @param {object} schema Specification of the Data.
+ * @param {string} jsonpath jsonpath of the data.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @return {array<object>} Array of Errors.
+ */
+function validateAnyOfData(data, schema, jsonpath, options = {}) {
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.anyOf;
+  const errors = validateDataAgainstSchema(data, baseSchema, jsonpath, options);
+  if (isDiscriminated(data, schema)) {
+    return errors.concat(
+        validateDiscriminatedData(data, schema, jsonpath, options));
+  }
+  const dataMatchedWithASchema = schema.anyOf.some(function(subschema) {
+    return validateDataAgainstSchema(
+        data, subschema, jsonpath, options).length === 0;
+  });
+  if (!dataMatchedWithASchema) {
+    return errors.concat(buildError(Error.ANY_OF, data, jsonpath,
+        {anyOf: JSON.stringify(schema.anyOf)}));
+  }
+  return errors;
+}
+
+/**
+ * Returns error if the data doesn't comply with exactly one of the oneOf
+ * subschemas of the schema.<br>
+ * Data complying with several subschemas is ambiguous, and the indices of the
+ * subschemas it complies with are reported.
+ * @param {*} data Input Data.
+ * @param {object} schema Specification of the Data.
+ * @param {string} jsonpath jsonpath of the data.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @return {array<object>} Array of Errors.
+ */
+function validateOneOfData(data, schema, jsonpath, options = {}) {
+  const matchedSubschemas = [];
+  schema.oneOf.forEach(function(subschema, index) {
+    const errors = validateDataAgainstSchema(
+        data, subschema, jsonpath, options);
+    if (!errors.length) matchedSubschemas.push(index);
+  });
+
+  if (!matchedSubschemas.length) {
+    return buildError(Error.ONE_OF, data, jsonpath,
+        {oneOf: JSON.stringify(schema.oneOf)});
+  }
+  if (matchedSubschemas.length > 1) {
+    return buildError(Error.ONE_OF_AMBIGUITY, data, jsonpath,
+        {matchedSubschemas, oneOf: JSON.stringify(schema.oneOf)});
+  }
+  return [];
+}
+
+/**
+ * Returns true, if the subschema of the oneOf/anyOf schema which the data
+ * needs to comply with, can be chosen through the discriminator.
+ * @param {*} data Input Data.
+ * @param {object} schema oneOf/anyOf schema.
+ * @return {boolean}
+ */
+function isDiscriminated(data, schema) {
+  return Boolean(schema.discriminator) &&
+    getDataType(data) === DataType.OBJECT &&
+    Object.keys(getDiscriminatorMapping(schema)).length > 0;
+}
+
+/**
+ * Returns error if the data doesn't comply with the subschema of the
+ * oneOf/anyOf schema, chosen through the value of its discriminator property.
+ * <br>
+ * Discriminator value which is missing or not present in the discriminator
+ * mapping is reported, instead of validating the data against every subschema.
+ * @param {object} data Input Data.
+ * @param {object} schema oneOf/anyOf schema with a discriminator.
+ * @param {string} jsonpath jsonpath of the data.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @return {array<object>} Array of Errors.
+ */
+function validateDiscriminatedData(data, schema, jsonpath, options = {}) {
+  const propertyName = schema.discriminator.propertyName;
+  const value = data[propertyName];
+  if (value == null) {
+    return buildError(Error.REQUIRED_KEY, null, jsonpath,
+        {requiredKey: propertyName});
+  }
+  const mapping = getDiscriminatorMapping(schema);
+  if (!Object.prototype.hasOwnProperty.call(mapping, value)) {
+    return buildError(Error.DISCRIMINATOR, value, `${jsonpath}.${propertyName}`,
+        {allowedValues: Object.keys(mapping)});
+  }
+  const subschemas = schema.oneOf || schema.anyOf;
+  return validateDataAgainstSchema(
+      data, subschemas[mapping[value]], jsonpath, options);
+}
+
+/**
+ * Returns error if the data complies with the schema specified by 'not', or
+ * doesn't comply with the rest of the schema.
+ * @param {*} data Input Data.
+ * @param {object} schema Specification of the Data.
+ * @param {string} jsonpath jsonpath of the data.
+ * @param {object} [options = {}] Optional Additional Parameters.
+ * @return {array<object>} Array of Errors.
+ */
+function validateNotData(data, schema, jsonpath, options = {}) {
+  const baseSchema = Object.assign({}, schema);
+  delete baseSchema.not;
+  const errors = validateDataAgainstSchema(data, baseSchema, jsonpath, options);
+  if (!validateDataAgainstSchema(data, schema.not, jsonpath, options).length) {
+    return errors.concat(buildError(Error.NOT, data, jsonpath,
+        {not: JSON.stringify(schema.not)}));
+  }
+  return errors;
+}
+
+/**
+ * Returns error if the data doesn't comply with the schema.<br>
+ * Schema can be a schema object of OAS 3.0 or OAS 3.1 .
  * @param {*} data Input Data.
  * @param {object} schema Specification of the Data.
  * @param {string} jsonpath jsonpath of the data.
@@ -219,26 +611,43 @@ function validateStringAgainstSchema(data, schema, jsonpath, options = {}) {
  */
 function validateDataAgainstSchema(data, schema, jsonpath, options = {}) {
   if (!schema) return [];
+  const types = getSchemaTypes(schema);
   if (data == null) {
+    if (isNullable(schema)) return [];
     return buildError(Error.DATA_LACK, data, jsonpath, {schema});
   }
+  if (schema.allOf) {
+    return validateAllOfData(data, schema, jsonpath, options);
+  }
+  if (schema.anyOf) {
+    return validateAnyOfData(data, schema, jsonpath, options);
+  }
+  if (schema.not) {
+    return validateNotData(data, schema, jsonpath, options);
+  }
   if (schema.oneOf) {
-    const schemas = schema.oneOf;
-    const dataMatchedWithASchema = schemas.some(function(schema) {
-      const errors = validateDataAgainstSchema(
-          data, schema, jsonpath, options);
-      return errors.length === 0;
-    });
+    if (isDiscriminated(data, schema)) {
+      return validateDiscriminatedData(data, schema, jsonpath, options);
+    }
+    return validateOneOfData(data, schema, jsonpath, options);
+  }
+
+  if (schema.if) {
+    return validateConditionalData(data, schema, jsonpath, options);
+  }
 
-    if (!dataMatchedWithASchema) {
-      return buildError(Error.ONE_OF, data, jsonpath,
-          {oneOf: JSON.stringify(schema.oneOf)});
+  if (schema.const !== undefined) {
+    if (types.length && !getMatchingType(data, types)) {
+      return buildError(Error.DATA_TYPE, data, jsonpath, {schema});
+    }
+    if (!lodash.isEqual(data, schema.const)) {
+      return buildError(Error.CONST, data, jsonpath, {const: schema.const});
     }
     return [];
   }
 
   if (schema.enum) {
-    if (typeof(data) !== schema.type) {
+    if (types.length && !getMatchingType(data, types)) {
       return buildError(Error.DATA_TYPE, data, jsonpath, {schema});
     }
     const enumList = schema.enum;
@@ -252,8 +661,24 @@ function validateDataAgainstSchema(data, schema, jsonpath, options = {}) {
     return [];
   }
 
+  /*
+    Data is validated against the datatype it belongs to, when the schema
+    allows multiple datatypes (OAS 3.1) or doesn't specify one.
+  */
+  let type = schema.type;
+  if (Array.isArray(schema.type)) {
+    type = getMatchingType(data, types);
+    if (!type) {
+      return buildError(Error.DATA_TYPE, data, jsonpath,
+          {dataType: {present: getDataType(data), expected: types}});
+    }
+    schema = withType(schema, type);
+  } else if (type === undefined) {
+    type = getDataType(data);
+  }
+
   let error;
-  switch (schema.type) {
+  switch (type) {
     case DataType.BOOLEAN:
       return isBoolean(data, schema, jsonpath, options);
     case DataType.NUMBER:
@@ -19,12 +19,23 @@ const assert = chai.assert;
 const {Error} = require('../../src/constants');
 const {validateDataAgainstSchema} = require('../../src/validator');
 const {
+  getDataDeficientByAdditionalProperty,
+  getDataDeficientByArrayLength,
   getDataDeficientByDataType,
+  getDataDeficientByDiscriminator,
   getDataDeficientByEnum,
+  getDataDeficientByFormat,
+  getDataDeficientByNot,
+  getDataDeficientByNullValue,
   getDataDeficientByNumberLimit,
+  getDataDeficientByOneOf,
   getDataDeficientByOptionalKey,
+  getDataDeficientByPattern,
+  getDataDeficientByPropertyCount,
+  getDataDeficientByReadOnlyKey,
   getDataDeficientByRequiredKey,
   getDataDeficientByStringLength,
+  getDataDeficientByUniqueItems,
 } = require('../../src/generators/bad_data');
 const {Schemas} = require('../../examples/schemas');
 const testCases = [
@@ -89,3 +100,267 @@ describe('generators/bad_data.js', function() {
     });
   });
 });
+
+describe('generators/bad_data.js (OAS 3.1, allOf)', function() {
+  const schemas = [
+    {name: 'an OAS 3.1 schema', schema: Schemas.OAS31},
+    {name: 'an allOf schema', schema: Schemas.ALLOF},
+    {name: 'an anyOf/not schema', schema: Schemas.ANYOF_NOT},
+  ];
+  schemas.forEach(function({name, schema}) {
+    testCases.forEach(function(testCase) {
+      const deficientDataGenerator = testCase.method;
+      const options = testCase.options;
+      it(`data genererated by ${testCase.methodName} for ${name} ` +
+       `should ${(testCase.errorLength) ? '' : 'not '}throw Error`,
+      function() {
+        const results = deficientDataGenerator(schema, '$', {}, options);
+        assert.isNotEmpty(results);
+        results.forEach(function(result) {
+          const errors = validateDataAgainstSchema(result.data, schema, '$');
+          assert.equal(errors.length, testCase.errorLength);
+        });
+      });
+    });
+  });
+  it('should generate a string mismatching only one of the allOf patterns',
+      function() {
+        const schema =
+          {allOf: [{type: 'string', pattern: '^a'}, {pattern: 'b$'}]};
+        const results = getDataDeficientByPattern(schema, '$');
+        assert.lengthOf(results, 1);
+        assert.equal(results[0].deficiency.details.pattern, '^a');
+        const errors = validateDataAgainstSchema(results[0].data, schema, '$');
+        assert.lengthOf(errors, 1);
+        assert.equal(errors[0].errorType, Error.PATTERN);
+      });
+  it('should generate deficient data for const, prefixItems and ' +
+      'dependentRequired keywords', function() {
+    const enumResults = getDataDeficientByEnum(Schemas.OAS31, '$');
+    assert.isTrue(enumResults.some(function(result) {
+      return result.deficiency.type === 'Const' && result.key === '$.kind';
+    }));
+    const dataTypeResults = getDataDeficientByDataType(Schemas.OAS31, '$');
+    assert.isTrue(dataTypeResults.some(function(result) {
+      return result.key === '$.location[0]';
+    }));
+    const requiredKeyResults =
+      getDataDeficientByRequiredKey(Schemas.OAS31, '$');
+    assert.isTrue(requiredKeyResults.some(function(result) {
+      return result.key === '$.phone';
+    }));
+  });
+  it('should generate data complying with the not schema', function() {
+    const results = getDataDeficientByNot(Schemas.ANYOF_NOT, '$');
+    assert.sameMembers(results.map(function(result) {
+      return result.key;
+    }), ['$.role', '$.reference']);
+    results.forEach(function(result) {
+      const errors =
+        validateDataAgainstSchema(result.data, Schemas.ANYOF_NOT, '$');
+      assert.lengthOf(errors, 1);
+      assert.equal(errors[0].errorType, Error.NOT);
+    });
+    assert.include(['admin', 'root'], results[0].data.role);
+  });
+  it('should generate data with unknown and mismatched discriminator values',
+      function() {
+        const schema = Schemas.DISCRIMINATOR;
+        const results = getDataDeficientByDiscriminator(schema, '$');
+        assert.lengthOf(results, 3);
+        results.forEach(function(result) {
+          assert.equal(result.key, '$.pet.petType');
+          assert.equal(result.deficiency.type, 'Discriminator');
+          const errors = validateDataAgainstSchema(result.data, schema, '$');
+          assert.lengthOf(errors, 1);
+        });
+        assert.notInclude(['dog', 'cat'], results[0].data.pet.petType);
+      });
+  it('should generate objects with a key which is not specified in the ' +
+      'properties', function() {
+    const schema = Schemas.ADDITIONAL_PROPERTIES;
+    const results = getDataDeficientByAdditionalProperty(schema, '$');
+    assert.lengthOf(results, 1);
+    assert.equal(results[0].deficiency.type, 'Unexpected Property');
+    const errors = validateDataAgainstSchema(results[0].data, schema, '$');
+    assert.lengthOf(errors, 1);
+    assert.equal(errors[0].errorType, Error.ADDITIONAL_PROPERTY);
+    assert.equal(errors[0].errorDetails.key, results[0].key);
+    assert.isEmpty(getDataDeficientByAdditionalProperty(Schemas.COMPLEX, '$'));
+  });
+  it('should generate objects with a string violating its format',
+      function() {
+        const schema = Schemas.FORMAT;
+        const results = getDataDeficientByFormat(schema, '$');
+        assert.sameMembers(results.map(function(result) {
+          return result.key;
+        }), ['$.firstname', '$.secondname', '$.thirdname', '$.fourthname',
+          '$.lastname', '$.birthDate', '$.createdAt', '$.openingTime',
+          '$.avatar', '$.host', '$.link', '$.homepage']);
+        results.forEach(function(result) {
+          assert.equal(result.deficiency.type, 'Format');
+          const errors = validateDataAgainstSchema(result.data, schema, '$');
+          assert.lengthOf(errors, 1);
+          assert.equal(errors[0].errorType, Error.FORMAT);
+        });
+      });
+  it('should generate strings which don\'t match their pattern', function() {
+    const schema = Schemas.SIMPLE;
+    const results = getDataDeficientByPattern(schema, '$');
+    assert.deepEqual(results.map(function(result) {
+      return result.key;
+    }), ['$.shipDate']);
+    assert.equal(results[0].deficiency.type, 'Pattern');
+    assert.equal(results[0].deficiency.details.pattern,
+        schema.properties.shipDate.pattern);
+    const errors = validateDataAgainstSchema(results[0].data, schema, '$');
+    assert.lengthOf(errors, 1);
+    assert.equal(errors[0].errorType, Error.PATTERN);
+  });
+  it('should generate a string which doesn\'t match its pattern within the ' +
+      'length limits', function() {
+    const schema = {type: 'string', pattern: '^[A-Z]{2}\\d+$',
+      minLength: 4, maxLength: 4};
+    const results = getDataDeficientByPattern(schema, '$');
+    assert.lengthOf(results, 1);
+    assert.lengthOf(results[0].data, 4);
+    assert.notMatch(results[0].data, new RegExp(schema.pattern));
+    assert.isEmpty(getDataDeficientByPattern(
+        {type: 'string', pattern: '.*'}, '$'));
+  });
+  it('should generate numbers equal to the exclusive limits and numbers ' +
+      'which aren\'t a multiple of multipleOf', function() {
+    const schema = Schemas.NUMBER_LIMITS;
+    const results = getDataDeficientByNumberLimit(schema, '$', {},
+        {checkMinimum: true, checkMaximum: true, checkMultipleOf: true});
+    const errorTypes = results.map(function(result) {
+      const errors = validateDataAgainstSchema(result.data, schema, '$');
+      assert.lengthOf(errors, 1);
+      return `${result.key} ${errors[0].errorType}`;
+    });
+    assert.sameMembers(errorTypes, [
+      `$.rating ${Error.OUT_OF_RANGE}`,
+      `$.rating ${Error.EXCLUSIVE_RANGE}`,
+      `$.discount ${Error.EXCLUSIVE_RANGE}`,
+      `$.discount ${Error.OUT_OF_RANGE}`,
+      `$.discount ${Error.MULTIPLE_OF}`,
+      `$.quantity ${Error.EXCLUSIVE_RANGE}`,
+      `$.quantity ${Error.MULTIPLE_OF}`,
+      `$.temperature ${Error.OUT_OF_RANGE}`,
+      `$.temperature ${Error.OUT_OF_RANGE}`,
+    ]);
+  });
+  it('should generate arrays with number of items out of the bounds',
+      function() {
+        const schema = Schemas.ARRAY_LIMITS;
+        const results = getDataDeficientByArrayLength(schema, '$', {},
+            {checkMinimumItems: true, checkMaximumItems: true});
+        assert.deepEqual(results.map(function(result) {
+          return result.key;
+        }), ['$.tags', '$.tags', '$.ratings']);
+        assert.deepEqual(results.map(function(result) {
+          return result.data[result.key.slice(2)].length;
+        }), [1, 5, 0]);
+        results.forEach(function(result) {
+          assert.equal(result.deficiency.type, 'Array Length');
+          const errors = validateDataAgainstSchema(result.data, schema, '$');
+          assert.lengthOf(errors, 1);
+          assert.equal(errors[0].errorType, Error.OUT_OF_RANGE);
+        });
+      });
+  it('should generate arrays with duplicate items', function() {
+    const schema = Schemas.ARRAY_LIMITS;
+    const results = getDataDeficientByUniqueItems(schema, '$');
+    assert.deepEqual(results.map(function(result) {
+      return result.key;
+    }), ['$.tags', '$.location']);
+    assert.deepEqual(results[1].deficiency.details.duplicateItems, [2, 3]);
+    results.forEach(function(result) {
+      assert.equal(result.deficiency.type, 'Duplicate Items');
+      const errors = validateDataAgainstSchema(result.data, schema, '$');
+      assert.lengthOf(errors, 1);
+      assert.equal(errors[0].errorType, Error.DUPLICATE_ITEMS);
+    });
+  });
+  it('should generate objects with number of keys out of the bounds',
+      function() {
+        const schema = Schemas.PROPERTY_LIMITS;
+        const results = getDataDeficientByPropertyCount(schema, '$', {},
+            {checkMinimumProperties: true, checkMaximumProperties: true});
+        assert.deepEqual(results.map(function(result) {
+          return result.key;
+        }), ['$.labels', '$.labels', '$.contact']);
+        assert.deepEqual(results.map(function(result) {
+          return Object.keys(result.data[result.key.slice(2)]).length;
+        }), [2, 6, 2]);
+        results.forEach(function(result) {
+          assert.equal(result.deficiency.type, 'Property Count');
+          const errors = validateDataAgainstSchema(result.data, schema, '$');
+          assert.lengthOf(errors, 1);
+          assert.equal(errors[0].errorType, Error.OUT_OF_RANGE);
+        });
+      });
+  it('should generate objects with null values of non-nullable keys',
+      function() {
+        const schema = Schemas.NULLABLE;
+        const results = getDataDeficientByNullValue(schema, '$');
+        assert.deepEqual(results.map(function(result) {
+          return result.key;
+        }), ['$.name', '$.tags']);
+        results.forEach(function(result) {
+          assert.equal(result.deficiency.type, 'Null Value');
+          const errors = validateDataAgainstSchema(result.data, schema, '$');
+          assert.lengthOf(errors, 1);
+          assert.equal(errors[0].errorType, Error.DATA_LACK);
+        });
+      });
+  it('should generate objects with null values of nullable keys', function() {
+    const schema = Schemas.NULLABLE;
+    const results =
+      getDataDeficientByNullValue(schema, '$', {}, {nullable: true});
+    assert.sameMembers(results.map(function(result) {
+      return result.key;
+    }), ['$.nickname', '$.tags[].label']);
+    results.forEach(function(result) {
+      assert.isEmpty(validateDataAgainstSchema(result.data, schema, '$'));
+    });
+  });
+  it('should generate objects with a readOnly key', function() {
+    const schema = Schemas.READ_WRITE_ONLY;
+    const results = getDataDeficientByReadOnlyKey(schema, '$');
+    assert.lengthOf(results, 1);
+    assert.equal(results[0].key, '$.id');
+    const errors =
+      validateDataAgainstSchema(results[0].data, schema, '$', {request: true});
+    assert.lengthOf(errors, 1);
+    assert.equal(errors[0].errorType, Error.READ_ONLY);
+    assert.sameMembers(getDataDeficientByRequiredKey(schema, '$').map(
+        function(result) {
+          return result.key;
+        }), ['$.name', '$.password']);
+  });
+  it('should generate data complying with several oneOf subschemas',
+      function() {
+        const results = getDataDeficientByOneOf(Schemas.ONEOF, '$');
+        assert.lengthOf(results, 1);
+        assert.deepEqual(results[0].deficiency.details.matchedSubschemas,
+            [0, 1]);
+        const errors =
+          validateDataAgainstSchema(results[0].data, Schemas.ONEOF, '$');
+        assert.lengthOf(errors, 1);
+        assert.equal(errors[0].errorType, Error.ONE_OF_AMBIGUITY);
+        assert.isEmpty(getDataDeficientByOneOf(Schemas.DISCRIMINATOR, '$'));
+      });
+  it('should keep the discriminator value of the subschema in deficient data',
+      function() {
+        const results = getDataDeficientByDataType(Schemas.DISCRIMINATOR, '$');
+        results.forEach(function(result) {
+          if (result.key === '$.pet.bark') {
+            assert.equal(result.data.pet.petType, 'dog');
+          }
+          if (result.key === '$.pet.lives') {
+            assert.equal(result.data.pet.petType, 'cat');
+          }
+        });
+      });
+});
@@ -18,10 +18,20 @@
 const chai = require('chai');
 const assert = chai.assert;
 const {validateDataAgainstSchema} = require('../../src/validator');
-const {getMockHeaders, getMockData} = require('../../src/generators/good_data');
+const {
+  getMockHeaders,
+  getMockPathParameters,
+  getMockQueryParameters,
+  getMockCookies,
+  getMockData,
+} = require('../../src/generators/good_data');
 const {Schemas} = require('../../examples/schemas');
 const schemas = [Schemas.SIMPLE, Schemas.COMPLEX, Schemas.ARRAY,
-  Schemas.ONEOF, Schemas.REQUIRED, Schemas.FORMAT];
+  Schemas.ONEOF, Schemas.REQUIRED, Schemas.FORMAT, Schemas.OAS31,
+  Schemas.CONDITIONAL, Schemas.ALLOF, Schemas.ANYOF_NOT,
+  Schemas.DISCRIMINATOR, Schemas.ADDITIONAL_PROPERTIES,
+  Schemas.READ_WRITE_ONLY, Schemas.NUMBER_LIMITS, Schemas.ARRAY_LIMITS,
+  Schemas.PROPERTY_LIMITS];
 
 describe('generators/good_data.js', function() {
   describe('getMockData', function() {
@@ -36,6 +46,145 @@ describe('generators/good_data.js', function() {
             assert.isEmpty(errors);
           });
         });
+    it('should generate data of OAS 3.1 schemas', function() {
+      const result = getMockData(Schemas.OAS31, '$');
+      assert.include(['Doggie', 'Kitty'], result.name);
+      assert.isString(result.nickname);
+      assert.equal(result.kind, 'pet');
+      assert.lengthOf(result.location, 2);
+      assert.isNull(getMockData({type: 'null'}, '$'));
+    });
+    it('should generate data complying with all the allOf subschemas',
+        function() {
+          const result = getMockData(Schemas.ALLOF, '$');
+          assert.hasAllKeys(result, ['id', 'createdAt', 'name', 'status']);
+          assert.isAtLeast(result.id, 1);
+          assert.isAtMost(result.id, 100);
+        });
+    it('should generate data complying with the patterns of all the allOf ' +
+        'subschemas', function() {
+      const schema =
+        {allOf: [{type: 'string', pattern: '^a'}, {pattern: 'b$'}]};
+      for (let index = 0; index < 10; index++) {
+        assert.match(getMockData(schema, '$'), /^a.*b$/);
+      }
+    });
+    it('should generate numbers complying with the multipleOf of all the ' +
+        'allOf subschemas', function() {
+      const schema =
+        {allOf: [{type: 'integer', multipleOf: 3}, {multipleOf: 5}]};
+      for (let index = 0; index < 10; index++) {
+        assert.equal(getMockData(schema, '$') % 15, 0);
+      }
+    });
+    it('should generate numbers within the safe integer range for a ' +
+        'decimal multipleOf without limits', function() {
+      const schema = {type: 'number', multipleOf: 0.01};
+      for (let index = 0; index < 10; index++) {
+        const result = getMockData(schema, '$');
+        assert.isAtMost(Math.abs(result), Number.MAX_SAFE_INTEGER);
+        assert.isEmpty(validateDataAgainstSchema(result, schema, '$'));
+      }
+    });
+    it('should generate numbers above an exclusive minimum', function() {
+      const schema = {type: 'number', minimum: 0, exclusiveMinimum: true,
+        maximum: 1};
+      for (let index = 0; index < 10; index++) {
+        const result = getMockData(schema, '$');
+        assert.isAbove(result, 0);
+        assert.isAtMost(result, 1);
+      }
+    });
+    it('should generate data complying with anyOf and not schemas',
+        function() {
+          for (let index = 0; index < 10; index++) {
+            const result = getMockData(Schemas.ANYOF_NOT, '$');
+            assert.notInclude(['admin', 'root'], result.role);
+            assert.notTypeOf(result.reference, 'string');
+            assert.isTrue(typeof(result.contact) === 'number' ||
+              result.contact.includes('@'));
+          }
+        });
+    it('should generate data complying with the if/then/else conditions',
+        function() {
+          for (let index = 0; index < 10; index++) {
+            const result = getMockData(Schemas.CONDITIONAL, '$');
+            const zipCodeRegex =
+              (result.country === 'US') ? /^\d{5}$/ : /^\d{6}$/;
+            assert.match(result.zipCode, zipCodeRegex);
+          }
+        });
+    it('should generate map-style objects from additionalProperties',
+        function() {
+          const result = getMockData(Schemas.ADDITIONAL_PROPERTIES, '$');
+          assert.hasAllKeys(result, ['name', 'scores', 'metadata']);
+          assert.lengthOf(Object.keys(result.scores), 2);
+          Object.values(result.scores).forEach(function(score) {
+            assert.isTrue(Number.isInteger(score));
+          });
+          assert.hasAllKeys(result.metadata, ['source']);
+        });
+    it('should generate arrays within minItems and maxItems', function() {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        const result = getMockData(Schemas.ARRAY_LIMITS, '$');
+        assert.isAtLeast(result.tags.length, 2);
+        assert.isAtMost(result.tags.length, 4);
+        assert.isAtLeast(result.ratings.length, 1);
+      }
+      assert.lengthOf(getMockData(
+          {type: 'array', items: {type: 'integer'}, maxItems: 0}, '$'), 0);
+      const result = getMockData(
+          {type: 'array', items: {type: 'integer'}, minItems: 0, maxItems: 2},
+          '$');
+      assert.isAtMost(result.length, 2);
+    });
+    it('should generate objects within minProperties and maxProperties',
+        function() {
+          const result = getMockData(Schemas.PROPERTY_LIMITS, '$');
+          const labels = Object.keys(result.labels);
+          assert.isAtLeast(labels.length, 3);
+          assert.isAtMost(labels.length, 5);
+          labels.forEach(function(label) {
+            assert.match(label, /^[a-z]{3,8}$/);
+          });
+          assert.lengthOf(Object.keys(result.contact), 1);
+        });
+    it('should generate strings of all the supported formats', function() {
+      const result = getMockData(Schemas.FORMAT, '$');
+      assert.match(result.birthDate, /^\d{4}-\d{2}-\d{2}$/);
+      assert.match(result.createdAt, /^\d{4}-\d{2}-\d{2}T/);
+      assert.isAtLeast(result.password.length, 8);
+      // Strings of an unsupported format comply with the rest of the schema.
+      assert.lengthOf(result.phone, 10);
+    });
+    it('should generate printable binary strings', function() {
+      const result =
+        getMockData({type: 'string', format: 'binary', minLength: 16}, '$');
+      assert.match(result, /^[\x20-\x7e]{16,}$/);
+    });
+    it('should leave out the readOnly keys unless overridden', function() {
+      const schema = Schemas.READ_WRITE_ONLY;
+      assert.hasAllKeys(getMockData(schema, '$'), ['name', 'password']);
+      assert.equal(getMockData(schema, '$', {id: 7}).id, 7);
+    });
+    it('should set the discriminator value of the chosen oneOf subschema',
+        function() {
+          for (let index = 0; index < 10; index++) {
+            const result = getMockData(Schemas.DISCRIMINATOR, '$');
+            const expectedKey =
+              (result.pet.petType === 'dog') ? 'bark' : 'lives';
+            assert.include(['dog', 'cat'], result.pet.petType);
+            assert.property(result.pet, expectedKey);
+          }
+        });
+    it('should generate data complying with exactly one of the oneOf ' +
+        'subschemas of integers and numbers', function() {
+      const schema = {oneOf: [{type: 'integer'}, {type: 'number'}]};
+      for (let index = 0; index < 10; index++) {
+        const result = getMockData(schema, '$');
+        assert.isEmpty(validateDataAgainstSchema(result, schema, '$'));
+      }
+    });
     it('should throw errors when validated against a non-complying schema',
         function() {
           const result = getMockData(Schemas.SIMPLE, '$');
@@ -74,4 +223,65 @@ describe('generators/good_data.js', function() {
           });
         });
   });
+
+  describe('getMockPathParameters', function() {
+    it('should not throw any errors on validation against their own schema',
+        function() {
+          const parameters = Schemas.PARAMETERS;
+          const result = getMockPathParameters(parameters);
+          assert.isObject(result);
+          parameters.forEach(function(parameter) {
+            if (parameter.in === 'path') {
+              assert.exists(result[parameter['name']]);
+              const errors = validateDataAgainstSchema(
+                  result[parameter['name']], parameter.schema, '$');
+              assert.isEmpty(errors);
+            } else {
+              assert.notExists(result[parameter['name']]);
+            }
+          });
+        });
+    it('should return overridden values of path parameters', function() {
+      const result = getMockPathParameters(Schemas.PARAMETERS, {petId: 7});
+      assert.equal(result.petId, 7);
+    });
+  });
+
+  describe('getMockQueryParameters', function() {
+    it('should not throw any errors on validation against their own schema',
+        function() {
+          const parameters = Schemas.PARAMETERS;
+          const result = getMockQueryParameters(parameters);
+          assert.isObject(result);
+          parameters.forEach(function(parameter) {
+            if (parameter.in === 'query') {
+              assert.exists(result[parameter['name']]);
+              const errors = validateDataAgainstSchema(
+                  result[parameter['name']], parameter.schema, '$');
+              assert.isEmpty(errors);
+            } else {
+              assert.notExists(result[parameter['name']]);
+            }
+          });
+        });
+  });
+
+  describe('getMockCookies', function() {
+    it('should not throw any errors on validation against their own schema',
+        function() {
+          const parameters = Schemas.PARAMETERS;
+          const result = getMockCookies(parameters);
+          assert.isObject(result);
+          parameters.forEach(function(parameter) {
+            if (parameter.in === 'cookie') {
+              assert.exists(result[parameter['name']]);
+              const errors = validateDataAgainstSchema(
+                  result[parameter['name']], parameter.schema, '$');
+              assert.isEmpty(errors);
+            } else {
+              assert.notExists(result[parameter['name']]);
+            }
+          });
+        });
+  });
 });
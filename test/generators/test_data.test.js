@@ -24,9 +24,12 @@ const {
   createTestSuiteFile,
   getPostitveTestCaseForRequestHeader,
   getNegativeTestCaseForRequestHeader,
+  getPostitveTestCaseForParameters,
+  getNegativeTestCaseForParameters,
   getPostitveTestCaseForRequestBody,
   getNegativeTestCaseForRequestBody,
 } = require('../../src/generators/test_data');
+const {ParameterLocation} = require('../../src/constants');
 
 describe('generators/test_data.js', function() {
   describe('createTestSuiteFile()', function() {
@@ -57,6 +60,113 @@ describe('generators/test_data.js', function() {
       assert.exists(apiTestSuite.testCases.positiveTestCases);
       assert.exists(apiTestSuite.testCases.negativeTestCases);
     });
+    it('testSuite should contain api-testsuites for operations of all ' +
+      'httpMethods', function() {
+      const httpMethods = testSuite.apiTestSuites.map(function(apiTestSuite) {
+        return apiTestSuite.apiEndpoint.httpMethod;
+      });
+      assert.includeMembers(httpMethods, ['post', 'patch', 'get']);
+    });
+    it('apiTestSuite of an operation without request body should not ' +
+      'contain request body testcases', function() {
+      const apiTestSuite = testSuite.apiTestSuites.find(
+          function({apiEndpoint}) {
+            return apiEndpoint.httpMethod === 'get';
+          });
+      const {positiveTestCases, negativeTestCases} = apiTestSuite.testCases;
+      assert.notExists(apiTestSuite.examples.requestBody);
+      positiveTestCases.concat(negativeTestCases).forEach(function(testCase) {
+        assert.notExists(testCase.testForRequestBody);
+      });
+    });
+    it('apiTestSuite of a PATCH operation should not contain "Required Key ' +
+      'Missing" negative testcases', function() {
+      const apiTestSuite = testSuite.apiTestSuites.find(
+          function({apiEndpoint}) {
+            return apiEndpoint.httpMethod === 'patch';
+          });
+      const {negativeTestCases} = apiTestSuite.testCases;
+      negativeTestCases.forEach(function(testCase) {
+        assert.notEqual((testCase.deficiency || {}).type,
+            'Required Key Missing');
+      });
+    });
+  });
+
+  describe('buildTestSuite() with form request bodies', function() {
+    const testSuite = buildTestSuite(oasDoc, [
+      {path: '/pet/{petId}', httpMethod: 'post'},
+      {path: '/pet/{petId}/uploadImage', httpMethod: 'post'},
+    ]);
+    it('apiTestSuite should contain the media type of the request body',
+        function() {
+          assert.deepEqual(testSuite.apiTestSuites.map(function(apiTestSuite) {
+            return apiTestSuite.mediaType;
+          }), ['application/x-www-form-urlencoded', 'multipart/form-data']);
+        });
+    it('example request body of a multipart form should contain the binary ' +
+      'file', function() {
+      const {requestBody} = testSuite.apiTestSuites[1].examples;
+      assert.isString(requestBody.file);
+      assert.isAbove(requestBody.file.length, 0);
+    });
+    it('binary files should be sent as raw bytes only in a multipart form',
+        function() {
+          const schema = {
+            type: 'object',
+            properties: {
+              file: {type: 'string', format: 'binary', minLength: 64},
+            },
+          };
+          const uploadDoc = {
+            openapi: '3.0.0',
+            paths: {
+              '/upload': {
+                post: {
+                  requestBody: {
+                    content: {
+                      'multipart/form-data': {schema},
+                      'application/json': {schema},
+                    },
+                  },
+                  responses: {'200': {description: 'OK'}},
+                },
+              },
+            },
+          };
+          const {apiTestSuites} = buildTestSuite(uploadDoc,
+              [{path: '/upload', httpMethod: 'post'}]);
+          const files = apiTestSuites.map(function({examples}) {
+            return examples.requestBody.file;
+          });
+          assert.notMatch(files[0], /^[\x20-\x7e]*$/);
+          assert.match(files[1], /^[\x20-\x7e]*$/);
+        });
+  });
+
+  describe('buildTestSuite() with multiple media types', function() {
+    const apiEndpoints = [{path: '/pet', httpMethod: 'post'}];
+    it('testSuite should contain an apiTestSuite for each media type',
+        function() {
+          const {apiTestSuites} = buildTestSuite(oasDoc, apiEndpoints);
+          assert.deepEqual(apiTestSuites.map(function(apiTestSuite) {
+            return apiTestSuite.mediaType;
+          }), ['application/json', 'application/xml']);
+          apiTestSuites[1].testCases.negativeTestCases.forEach(
+              function(testCase) {
+                assert.equal(testCase.testForRequestBody, true);
+              });
+        });
+    it('testSuite should contain apiTestSuites of only the media types ' +
+      'asked', function() {
+      const {apiTestSuites} = buildTestSuite(oasDoc, apiEndpoints, {},
+          {mediaTypes: ['application/xml']});
+      assert.deepEqual(apiTestSuites.map(function(apiTestSuite) {
+        return apiTestSuite.mediaType;
+      }), ['application/xml']);
+      assert.isEmpty(buildTestSuite(oasDoc, apiEndpoints, {},
+          {mediaTypes: ['text/plain']}).apiTestSuites);
+    });
   });
 
   describe('getPostitveTestCaseForRequestBody()', function() {
@@ -93,6 +203,48 @@ describe('generators/test_data.js', function() {
     });
   });
 
+  describe('getNegativeTestCaseForRequestBody() of a form', function() {
+    const schema = {
+      type: 'object',
+      properties: {
+        name: {type: 'string'},
+        id: {type: 'integer'},
+      },
+    };
+    const negativeTestCases = getNegativeTestCaseForRequestBody(schema,
+        {testForRequestBody: true}, {},
+        {mediaType: 'application/x-www-form-urlencoded'});
+    it('testcases generated should not contain deficient data which turns ' +
+      'valid on serialization', function() {
+      const keys = negativeTestCases.map(function(testCase) {
+        return testCase.key;
+      });
+      assert.include(keys, '$.id');
+      negativeTestCases.forEach(function(testCase) {
+        // A number is sent as a string, which is a valid name.
+        assert.notTypeOf(testCase.data.name, 'number');
+      });
+    });
+  });
+
+  describe('getNegativeTestCaseForRequestBody() with readOnly keys',
+      function() {
+        const getKeys = function(testCases) {
+          return testCases.map(function(testCase) {
+            return testCase.key;
+          });
+        };
+        it('testcases which send readOnly keys should be generated only when ' +
+          'asked for', function() {
+          assert.notInclude(getKeys(getNegativeTestCaseForRequestBody(
+              Schemas.READ_WRITE_ONLY, {testForRequestBody: true})), '$.id');
+          const negativeTestCases = getNegativeTestCaseForRequestBody(
+              Schemas.READ_WRITE_ONLY, {testForRequestBody: true}, {},
+              {readOnlyTestCases: true});
+          assert.include(getKeys(negativeTestCases), '$.id');
+        });
+      });
+
   describe('getPostitveTestCaseForRequestHeader()', function() {
     const positiveTestCaseForRequestHeader =
       getPostitveTestCaseForRequestHeader(
@@ -131,5 +283,147 @@ describe('generators/test_data.js', function() {
         assert.equal(testCase.testForRequestHeader, true);
       });
     });
+    it('testcases generated should not contain deficient data which turns ' +
+      'valid once serialized', function() {
+      // Values of any datatype are serialized into a valid string header.
+      negativeTestCaseForRequestHeader.forEach(function(testCase) {
+        assert.notEqual(testCase.headerName, 'api_key');
+      });
+    });
+  });
+
+  describe('getNegativeTestCaseForParameters() (path)', function() {
+    const negativeTestCaseForPathParameter =
+      getNegativeTestCaseForParameters(
+          Schemas.PARAMETERS, ParameterLocation.PATH,
+          {testForPathParameter: true});
+    it('testcase generated should contain name of the path parameter under' +
+      ' test and data that corresponds to path parameters', function() {
+      assert.isNotEmpty(negativeTestCaseForPathParameter);
+      negativeTestCaseForPathParameter.forEach(function(testCase) {
+        assert.exists(testCase.data);
+        assert.equal(testCase.pathParameterName, 'petId');
+        assert.notExists(testCase.data.api_key);
+      });
+    });
+    it('testcase generated should expect either 400 or 404 status code',
+        function() {
+          negativeTestCaseForPathParameter.forEach(function(testCase) {
+            assert.deepEqual(testCase.expectedStatusCodes, ['400', '404']);
+          });
+        });
+    it('testcase generated should contain the flag "testForPathParameter"' +
+        ' and should be set to true', function() {
+      negativeTestCaseForPathParameter.forEach(function(testCase) {
+        assert.equal(testCase.testForPathParameter, true);
+      });
+    });
+  });
+
+  describe('getPostitveTestCaseForParameters() (query)', function() {
+    const positiveTestCaseForQueryParameter =
+      getPostitveTestCaseForParameters(
+          Schemas.PARAMETERS, ParameterLocation.QUERY,
+          {testForQueryParameter: true});
+    it('testcase generated should contain name of the query parameter under' +
+      ' test and data that corresponds to query parameters', function() {
+      positiveTestCaseForQueryParameter.forEach(function(testCase) {
+        assert.exists(testCase.data);
+        assert.exists(testCase.queryParameterName);
+      });
+    });
+    it('testcases generated should contain a testcase for a missing optional' +
+      ' query parameter', function() {
+      const testCase = positiveTestCaseForQueryParameter.find(
+          function(testCase) {
+            return testCase.missingOptionalQueryParameter === 'status';
+          });
+      assert.exists(testCase);
+      assert.notProperty(testCase.data, 'status');
+      assert.property(testCase.data, 'limit');
+    });
+  });
+
+  describe('getNegativeTestCaseForParameters() (query)', function() {
+    const negativeTestCaseForQueryParameter =
+      getNegativeTestCaseForParameters(
+          Schemas.PARAMETERS, ParameterLocation.QUERY,
+          {testForQueryParameter: true});
+    it('testcase generated should contain name of the query parameter under' +
+      ' test and data that corresponds to query parameters', function() {
+      assert.isNotEmpty(negativeTestCaseForQueryParameter);
+      negativeTestCaseForQueryParameter.forEach(function(testCase) {
+        assert.exists(testCase.data);
+        assert.exists(testCase.queryParameterName);
+        assert.equal(testCase.testForQueryParameter, true);
+      });
+    });
+    it('testcases generated should contain a testcase for a missing required' +
+      ' query parameter', function() {
+      const testCase = negativeTestCaseForQueryParameter.find(
+          function(testCase) {
+            return testCase.missingRequiredQueryParameter === 'limit';
+          });
+      assert.exists(testCase);
+      assert.notProperty(testCase.data, 'limit');
+    });
+    it('testcases generated should contain enum, format and range ' +
+      'deficiencies', function() {
+      const deficiencyTypes = negativeTestCaseForQueryParameter.map(
+          function(testCase) {
+            return (testCase.deficiency || {}).type;
+          });
+      assert.includeMembers(deficiencyTypes,
+          ['DataType', 'Enum', 'Format', 'Number Range']);
+    });
+  });
+
+  describe('getPostitveTestCaseForParameters() (cookie)', function() {
+    const positiveTestCaseForRequestCookie =
+      getPostitveTestCaseForParameters(
+          Schemas.PARAMETERS, ParameterLocation.COOKIE,
+          {testForRequestCookie: true});
+    it('testcases generated should contain a testcase for a missing optional' +
+      ' cookie', function() {
+      const testCase = positiveTestCaseForRequestCookie.find(
+          function(testCase) {
+            return testCase.missingOptionalCookie === 'tracking';
+          });
+      assert.exists(testCase);
+      assert.equal(testCase.testForRequestCookie, true);
+      assert.notProperty(testCase.data, 'tracking');
+      assert.property(testCase.data, 'sessionId');
+    });
+  });
+
+  describe('getNegativeTestCaseForParameters() (cookie)', function() {
+    const negativeTestCaseForRequestCookie =
+      getNegativeTestCaseForParameters(
+          Schemas.PARAMETERS, ParameterLocation.COOKIE,
+          {testForRequestCookie: true});
+    it('testcase generated should contain name of the cookie under test and ' +
+      'data that corresponds to request cookies', function() {
+      assert.isNotEmpty(negativeTestCaseForRequestCookie);
+      negativeTestCaseForRequestCookie.forEach(function(testCase) {
+        assert.exists(testCase.data);
+        assert.exists(testCase.cookieName);
+        assert.equal(testCase.testForRequestCookie, true);
+      });
+    });
+    it('testcases generated should contain testcases for a missing required' +
+      ' cookie and a cookie with wrong datatype', function() {
+      const missingRequiredCookie = negativeTestCaseForRequestCookie.find(
+          function(testCase) {
+            return testCase.missingRequiredCookie === 'sessionId';
+          });
+      assert.exists(missingRequiredCookie);
+      assert.notProperty(missingRequiredCookie.data, 'sessionId');
+      const wrongDataType = negativeTestCaseForRequestCookie.find(
+          function(testCase) {
+            return testCase.cookieName === 'tracking' &&
+              (testCase.deficiency || {}).type === 'DataType';
+          });
+      assert.exists(wrongDataType);
+    });
   });
 });
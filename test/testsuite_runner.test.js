@@ -0,0 +1,82 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/* eslint-disable no-undef */
+const chai = require('chai');
+const assert = chai.assert;
+const {filterApiTestSuitesByMediaType} = require('../src/testsuite_runner');
+
+const apiEndpoint = {path: '/pets', httpMethod: 'post'};
+const parameterTestCase = {
+  key: 'limit',
+  testForQueryParameter: true,
+  deficiency: {type: 'Data Type'},
+};
+const requestBodyTestCase = {
+  key: '$.name',
+  testForRequestBody: true,
+  deficiency: {type: 'Data Type'},
+};
+const apiTestSuites = [
+  {
+    apiEndpoint,
+    mediaType: 'application/json',
+    testCases: {
+      positiveTestCases: [{key: '$', deficiency: null}],
+      negativeTestCases: [requestBodyTestCase, parameterTestCase],
+    },
+  },
+  {
+    apiEndpoint,
+    mediaType: 'application/xml',
+    testCases: {
+      positiveTestCases: [{key: '$', deficiency: null}],
+      negativeTestCases: [requestBodyTestCase],
+    },
+  },
+  {
+    apiEndpoint: {path: '/pets', httpMethod: 'get'},
+    testCases: {
+      positiveTestCases: [{key: '$', deficiency: null}],
+      negativeTestCases: [parameterTestCase],
+    },
+  },
+];
+
+describe('filterApiTestSuitesByMediaType', function() {
+  it('should test all the apiTestSuites without media types', function() {
+    assert.deepEqual(
+        filterApiTestSuitesByMediaType(apiTestSuites), apiTestSuites);
+  });
+
+  it('should test the parameters with the first media type tested',
+      function() {
+        const apiTestSuitesToTest = filterApiTestSuitesByMediaType(
+            apiTestSuites, ['application/xml']);
+        assert.deepEqual(apiTestSuitesToTest.map(function({mediaType}) {
+          return mediaType;
+        }), ['application/xml', undefined]);
+        assert.deepEqual(apiTestSuitesToTest[0].testCases.negativeTestCases,
+            [requestBodyTestCase, parameterTestCase]);
+        assert.deepEqual(apiTestSuites[1].testCases.negativeTestCases,
+            [requestBodyTestCase]);
+      });
+
+  it('should not repeat the parameter testcases', function() {
+    const apiTestSuitesToTest = filterApiTestSuitesByMediaType(
+        apiTestSuites, ['application/json', 'application/xml']);
+    assert.deepEqual(apiTestSuitesToTest, apiTestSuites);
+  });
+});
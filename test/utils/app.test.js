@@ -17,8 +17,17 @@
 /* eslint-disable no-undef */
 const chai = require('chai');
 const assert = chai.assert;
-const {getRandomNumber, getRandomString, snakeCase, overridden} =
-  require('../../src/utils/app');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getRandomNumber,
+  getRandomString,
+  snakeCase,
+  overridden,
+  isValidFile,
+  getFileData,
+} = require('../../src/utils/app');
 
 describe('utils/app.js', function() {
   describe('getRandomNumber()', function() {
@@ -81,4 +90,40 @@ describe('utils/app.js', function() {
       assert.equal(overridden('$.data.lastname', overrides), false);
     });
   });
+
+  describe('isValidFile() and getFileData()', function() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ats-'));
+    const files = {
+      'overrides.json': '{"/pet": {"post": {"requestBody": {"id": 1}}}}',
+      'overrides.yaml': '/pet:\n  post:\n    requestBody:\n      id: 1\n',
+      'overrides': '/pet:\n  post:\n    requestBody: {id: 1}\n',
+      'invalid.json': '/pet:\n  post: {}\n',
+      'text.yml': 'plain text',
+    };
+    Object.keys(files).forEach(function(fileName) {
+      fs.writeFileSync(path.join(directory, fileName), files[fileName]);
+    });
+    after(function() {
+      Object.keys(files).forEach(function(fileName) {
+        fs.unlinkSync(path.join(directory, fileName));
+      });
+      fs.rmdirSync(directory);
+    });
+
+    it('should read JSON and YAML files, detected by extension or content',
+        function() {
+          ['overrides.json', 'overrides.yaml', 'overrides'].forEach(
+              function(fileName) {
+                const filePath = path.join(directory, fileName);
+                assert.isTrue(isValidFile(filePath));
+                assert.deepEqual(getFileData(filePath),
+                    {'/pet': {post: {requestBody: {id: 1}}}});
+              });
+        });
+    it('should reject files which are not JSON/YAML objects', function() {
+      assert.isFalse(isValidFile(path.join(directory, 'invalid.json')));
+      assert.isFalse(isValidFile(path.join(directory, 'text.yml')));
+      assert.isFalse(isValidFile(path.join(directory, 'missing.yaml')));
+    });
+  });
 });
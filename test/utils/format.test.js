@@ -0,0 +1,97 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/* eslint-disable no-undef */
+const chai = require('chai');
+const assert = chai.assert;
+const {
+  isDate,
+  isTime,
+  isDateTime,
+  isByte,
+  isHostname,
+  isURIReference,
+  isIRI,
+} = require('../../src/utils/format');
+
+describe('utils/format.js', function() {
+  describe('isDate()', function() {
+    it('should validate full-dates of RFC 3339', function() {
+      assert.isTrue(isDate('2020-02-29'));
+      assert.isFalse(isDate('2021-02-29'));
+      assert.isFalse(isDate('2020-13-01'));
+      assert.isFalse(isDate('2020-1-01'));
+    });
+  });
+
+  describe('isTime()', function() {
+    it('should validate full-times of RFC 3339', function() {
+      assert.isTrue(isTime('23:59:60Z'));
+      assert.isTrue(isTime('08:30:00.5+05:30'));
+      assert.isFalse(isTime('24:00:00Z'));
+      assert.isFalse(isTime('10:00:00'));
+    });
+  });
+
+  describe('isDateTime()', function() {
+    it('should validate date-times of RFC 3339', function() {
+      assert.isTrue(isDateTime('2020-07-17T10:20:30.123Z'));
+      assert.isTrue(isDateTime('2020-07-17t10:20:30-08:00'));
+      assert.isFalse(isDateTime('2020-07-17 10:20:30Z'));
+      assert.isFalse(isDateTime('2020-07-17'));
+    });
+  });
+
+  describe('isByte()', function() {
+    it('should validate base64 encoded strings', function() {
+      assert.isTrue(isByte('YXRzIQ=='));
+      assert.isTrue(isByte(''));
+      assert.isFalse(isByte('YXRzIQ'));
+      assert.isFalse(isByte('YX*zIQ=='));
+    });
+  });
+
+  describe('isHostname()', function() {
+    it('should validate hostnames of RFC 1123', function() {
+      assert.isTrue(isHostname('api.example.com'));
+      assert.isTrue(isHostname('localhost'));
+      assert.isFalse(isHostname('-api.example.com'));
+      assert.isFalse(isHostname('api..example.com'));
+      assert.isFalse(isHostname(`${'a'.repeat(64)}.com`));
+    });
+  });
+
+  describe('isURIReference()', function() {
+    it('should validate URI references of RFC 3986', function() {
+      assert.isTrue(isURIReference('https://user@host:8080/p?q=1#f'));
+      assert.isTrue(isURIReference('http://[::1]/pets'));
+      assert.isTrue(isURIReference('../pets/1?fields=name'));
+      assert.isTrue(isURIReference('#name'));
+      assert.isFalse(isURIReference('/pets/{id}'));
+      assert.isFalse(isURIReference('1pets:1'));
+      assert.isFalse(isURIReference('http://host:80a/'));
+      assert.isFalse(isURIReference('/pets%2'));
+    });
+  });
+
+  describe('isIRI()', function() {
+    it('should validate IRIs of RFC 3987', function() {
+      assert.isTrue(isIRI('https://例え.jp/ペット'));
+      assert.isTrue(isIRI('urn:isbn:0451450523'));
+      assert.isFalse(isIRI('/ペット'));
+      assert.isFalse(isIRI('https://example.com/a b'));
+    });
+  });
+});
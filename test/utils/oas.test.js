@@ -17,9 +17,18 @@
 /* eslint-disable no-undef */
 const chai = require('chai');
 const assert = chai.assert;
-const {getApiEndpoints, verifyApiEndpoints, parseOASDoc} =
-  require('../../src/utils/oas');
+const {
+  getApiEndpoints,
+  verifyApiEndpoints,
+  getParameters,
+  isOAS31Doc,
+  parseOASDoc,
+} = require('../../src/utils/oas');
+const {getFileData} = require('../../src/utils/app');
+const {getDiscriminatorMapping} = require('../../src/utils/schema');
+const path = require('path');
 const oasDoc = require('../../examples/oas_doc.json');
+const multiFileOASDir = path.join(__dirname, '../../examples/multi_file_oas');
 
 describe('utils/oas.js', function() {
   describe('getApiEndpoints()', function() {
@@ -34,16 +43,42 @@ describe('utils/oas.js', function() {
   });
 
   describe('verifyApiEndpoints()', function() {
-    it('verifies the api endpoints and returns only POST api endpoints',
+    it('verifies the api endpoints and skips api endpoints with an unknown ' +
+        'httpMethod', function() {
+      const apiEndpoints = [
+        {path: '/pet', httpMethod: 'post'},
+        {path: '/pet', httpMethod: 'connect'},
+        {path: '/pet', httpMethod: 'get'},
+        {path: '/pet', httpMethod: 'parameters'},
+      ];
+      verifyApiEndpoints(apiEndpoints);
+      assert.deepEqual(apiEndpoints, [
+        {path: '/pet', httpMethod: 'post'},
+        {path: '/pet', httpMethod: 'get'},
+      ]);
+    });
+  });
+
+  describe('getParameters()', function() {
+    it('should merge path level parameters with operation level parameters',
         function() {
-          const apiEndpoints = [
-            {path: '/pet', httpMethod: 'post'},
-            {path: '/pet', httpMethod: 'get'},
-          ];
-          verifyApiEndpoints(apiEndpoints);
-          apiEndpoints.forEach(function({path, httpMethod}) {
-            assert.equal(httpMethod, 'post');
+          const oasDoc = {paths: {'/pet/{petId}': {
+            parameters: [
+              {name: 'petId', in: 'path', schema: {type: 'string'}},
+              {name: 'api_key', in: 'header', schema: {type: 'string'}},
+            ],
+            get: {
+              parameters: [
+                {name: 'petId', in: 'path', schema: {type: 'integer'}},
+              ],
+            },
+          }}};
+          const parameters = getParameters(oasDoc, '/pet/{petId}', 'get');
+          assert.lengthOf(parameters, 2);
+          const petId = parameters.find(function(parameter) {
+            return parameter.name === 'petId';
           });
+          assert.equal(petId.schema.type, 'integer');
         });
   });
 
@@ -58,5 +93,101 @@ describe('utils/oas.js', function() {
       const parsedOASDoc = await parseOASDoc(oasDoc);
       assert.isNull(parsedOASDoc);
     });
+    it('should resolve relative external $refs from the location of the ' +
+      'oasdoc', async function() {
+      const oasPath = path.join(multiFileOASDir, 'openapi.yaml');
+      const parsedOASDoc =
+        await parseOASDoc(getFileData(oasPath), {path: oasPath});
+      const petSchema = parsedOASDoc.paths['/pet'].post.requestBody
+          .content['application/json'].schema;
+      assert.equal(petSchema.properties.category.properties.name.type,
+          'string');
+      assert.equal(parsedOASDoc.paths['/pet/{petId}'].get.parameters[0].name,
+          'petId');
+    });
+    it('should resolve relative external $refs from the base directory',
+        async function() {
+          const oasDoc =
+            getFileData(path.join(multiFileOASDir, 'openapi.yaml'));
+          const parsedOASDoc = await parseOASDoc(oasDoc,
+              {path: 'specs/openapi.yaml', baseDir: multiFileOASDir});
+          assert.isNotNull(parsedOASDoc);
+        });
+    it('should return null for an oasdoc with a broken $ref', async function() {
+      const oasPath = path.join(multiFileOASDir, 'openapi.yaml');
+      const oasDoc = getFileData(oasPath);
+      oasDoc.paths['/pet'].post.requestBody.content['application/json']
+          .schema = {$ref: './schemas/pet.yaml#/Dog'};
+      assert.isNull(await parseOASDoc(oasDoc, {path: oasPath}));
+    });
+    it('should convert a Swagger 2.0 document into an OAS 3.0 document',
+        async function() {
+          const swaggerDoc = require('../../examples/swagger_doc.json');
+          const parsedOASDoc = await parseOASDoc(swaggerDoc);
+          assert.equal(parsedOASDoc.openapi, '3.0.3');
+          const petSchema = parsedOASDoc.paths['/pet'].post.requestBody
+              .content['application/json'].schema;
+          assert.equal(petSchema.properties.category.type, 'object');
+        });
+    it('should resolve $refs of an OAS 3.1 document', async function() {
+      const oasDoc = {
+        openapi: '3.1.0',
+        info: {title: 'Pet Store', version: '1.0.0'},
+        paths: {'/pet': {post: {requestBody: {content: {'application/json': {
+          schema: {$ref: '#/components/schemas/Pet'},
+        }}}}}},
+        components: {schemas: {Pet: {
+          type: 'object',
+          properties: {tag: {$ref: '#/components/schemas/Pet/$defs/Tag'}},
+          $defs: {Tag: {type: ['string', 'null']}},
+        }}},
+      };
+      const parsedOASDoc = await parseOASDoc(oasDoc);
+      const petSchema = parsedOASDoc.paths['/pet'].post.requestBody
+          .content['application/json'].schema;
+      assert.deepEqual(petSchema.properties.tag.type, ['string', 'null']);
+    });
+    it('should return null for an OAS 3.1 document without paths',
+        async function() {
+          const oasDoc = {openapi: '3.1.0', info: {title: 'Pet Store'}};
+          assert.isNull(await parseOASDoc(oasDoc));
+        });
+    it('should resolve the discriminator mapping into subschema indices',
+        async function() {
+          const oasDoc = {
+            openapi: '3.0.3',
+            info: {title: 'Pet Store', version: '1.0.0'},
+            paths: {'/pet': {post: {
+              requestBody: {content: {'application/json': {schema: {
+                oneOf: [
+                  {$ref: '#/components/schemas/Dog'},
+                  {$ref: '#/components/schemas/Cat'},
+                ],
+                discriminator: {
+                  propertyName: 'petType',
+                  mapping: {doggie: '#/components/schemas/Dog'},
+                },
+              }}}},
+              responses: {'200': {description: 'OK'}},
+            }}},
+            components: {schemas: {
+              Dog: {type: 'object', properties: {petType: {type: 'string'}}},
+              Cat: {type: 'object', properties: {petType: {type: 'string'}}},
+            }},
+          };
+          const parsedOASDoc = await parseOASDoc(oasDoc);
+          const petSchema = parsedOASDoc.paths['/pet'].post.requestBody
+              .content['application/json'].schema;
+          assert.deepEqual(getDiscriminatorMapping(petSchema),
+              {doggie: 0, Cat: 1});
+        });
+  });
+
+  describe('isOAS31Doc()', function() {
+    it('should detect OAS 3.1 documents', function() {
+      assert.isTrue(isOAS31Doc({openapi: '3.1.0'}));
+      assert.isFalse(isOAS31Doc({openapi: '3.0.3'}));
+      assert.isFalse(isOAS31Doc({swagger: '2.0'}));
+    });
   });
 });
@@ -0,0 +1,140 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/* eslint-disable no-undef */
+const chai = require('chai');
+const assert = chai.assert;
+const {
+  getSchemaTypes,
+  getSchemaType,
+  getDataType,
+  getNumberLimits,
+  mergeSchemas,
+  mergeAllOf,
+  getMergedValues,
+  getDiscriminatorMapping,
+  getDiscriminatorValue,
+} = require('../../src/utils/schema');
+const {Schemas} = require('../../examples/schemas');
+
+describe('utils/schema.js', function() {
+  describe('getSchemaTypes()', function() {
+    it('should return the datatypes of OAS 3.0 and OAS 3.1 schemas',
+        function() {
+          assert.deepEqual(getSchemaTypes({type: 'string'}), ['string']);
+          assert.deepEqual(getSchemaTypes({type: ['string', 'null']}),
+              ['string', 'null']);
+          assert.deepEqual(getSchemaTypes({const: 1}), ['integer']);
+          assert.deepEqual(getSchemaTypes({properties: {}}), ['object']);
+          assert.deepEqual(getSchemaTypes({}), []);
+        });
+  });
+
+  describe('getSchemaType()', function() {
+    it('should leave out the null datatype', function() {
+      assert.equal(getSchemaType({type: ['null', 'integer']}), 'integer');
+      assert.notExists(getSchemaType({type: 'null'}));
+    });
+  });
+
+  describe('getDataType()', function() {
+    it('should return the datatype of the data', function() {
+      assert.equal(getDataType(null), 'null');
+      assert.equal(getDataType([1]), 'array');
+      assert.equal(getDataType(1), 'integer');
+      assert.equal(getDataType(1.5), 'number');
+      assert.equal(getDataType({}), 'object');
+    });
+  });
+
+  describe('getNumberLimits()', function() {
+    it('should return the limits of OAS 3.0 and OAS 3.1 schemas', function() {
+      const limits = {minimum: 1, exclusiveMinimum: false, maximum: 10,
+        exclusiveMaximum: true};
+      assert.deepEqual(getNumberLimits(
+          {minimum: 1, maximum: 10, exclusiveMaximum: true}), limits);
+      assert.deepEqual(getNumberLimits(
+          {minimum: 1, maximum: 12, exclusiveMaximum: 10}), limits);
+      assert.deepEqual(getNumberLimits({exclusiveMinimum: true}), {
+        minimum: undefined, exclusiveMinimum: false,
+        maximum: undefined, exclusiveMaximum: false,
+      });
+    });
+  });
+
+  describe('mergeSchemas()', function() {
+    it('should merge properties and required keys of the schemas',
+        function() {
+          const mergedSchema = mergeSchemas(
+              {properties: {zipCode: {type: 'string'}}, required: ['zipCode']},
+              {properties: {zipCode: {pattern: '^[0-9]{5}$'}},
+                required: ['zipCode', 'country']});
+          assert.deepEqual(mergedSchema.properties.zipCode,
+              {type: 'string', pattern: '^[0-9]{5}$'});
+          assert.deepEqual(mergedSchema.required, ['zipCode', 'country']);
+        });
+    it('should pick the stricter limits of the schemas', function() {
+      const mergedSchema = mergeSchemas(
+          {type: 'number', minimum: 1, maximum: 10, enum: [1, 2, 3]},
+          {type: 'integer', minimum: 2, maximum: 20, enum: [2, 3, 4]});
+      assert.deepEqual(mergedSchema,
+          {type: 'integer', minimum: 2, maximum: 10, enum: [2, 3]});
+    });
+    it('should combine multipleOf, patterns, formats and ' +
+        'additionalProperties of the schemas', function() {
+      assert.equal(mergeSchemas({multipleOf: 3}, {multipleOf: 5}).multipleOf,
+          15);
+      assert.equal(
+          mergeSchemas({multipleOf: 0.1}, {multipleOf: 0.15}).multipleOf, 0.3);
+      const stringSchema = mergeSchemas({type: 'string', pattern: '^a'},
+          {type: 'string', pattern: 'b$', format: 'hostname'});
+      assert.equal(stringSchema.pattern, '^a');
+      assert.deepEqual(getMergedValues(stringSchema, 'pattern'), ['^a', 'b$']);
+      assert.deepEqual(getMergedValues(stringSchema, 'format'), ['hostname']);
+      assert.isFalse(mergeSchemas({additionalProperties: false},
+          {additionalProperties: {type: 'string'}}).additionalProperties);
+    });
+    it('should pick the stricter of the exclusive limits of the schemas',
+        function() {
+          assert.deepEqual(getNumberLimits(mergeSchemas(
+              {minimum: 1, exclusiveMinimum: true, maximum: 10},
+              {minimum: 0, exclusiveMaximum: 10})), {
+            minimum: 1, exclusiveMinimum: true,
+            maximum: 10, exclusiveMaximum: true,
+          });
+        });
+  });
+
+  describe('mergeAllOf()', function() {
+    it('should merge the allOf subschemas into a single schema', function() {
+      const mergedSchema = mergeAllOf(Schemas.ALLOF);
+      assert.notExists(mergedSchema.allOf);
+      assert.equal(mergedSchema.type, 'object');
+      assert.deepEqual(mergedSchema.required, ['id', 'name']);
+      assert.deepEqual(mergedSchema.properties.id,
+          {type: 'integer', minimum: 1, maximum: 100});
+    });
+  });
+
+  describe('getDiscriminatorMapping()', function() {
+    it('should map the enum values of the discriminator property to the ' +
+        'subschema indices', function() {
+      const petSchema = Schemas.DISCRIMINATOR.properties.pet;
+      assert.deepEqual(getDiscriminatorMapping(petSchema), {dog: 0, cat: 1});
+      assert.equal(getDiscriminatorValue(petSchema, 1), 'cat');
+      assert.deepEqual(getDiscriminatorMapping(Schemas.ONEOF), {});
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable no-undef */
+const chai = require('chai');
+const assert = chai.assert;
+const {
+  serializeParameter,
+  resolvePath,
+  buildQueryString,
+  buildRequestHeaders,
+  buildCookieHeader,
+  getReceivedData,
+  serializeRequestBody,
+  getReceivedRequestBody,
+} = require('../../src/utils/serialization');
+
+const PRIMITIVE = 5;
+const ARRAY = [3, 4, 5];
+const OBJECT = {role: 'admin', firstName: 'Alex'};
+
+/* Style examples from the OAS 3.0 specification. */
+const testCases = [
+  {in: 'path', style: 'simple', explode: false,
+    results: ['5', '3,4,5', 'role,admin,firstName,Alex']},
+  {in: 'path', style: 'simple', explode: true,
+    results: ['5', '3,4,5', 'role=admin,firstName=Alex']},
+  {in: 'path', style: 'label', explode: false,
+    results: ['.5', '.3,4,5', '.role,admin,firstName,Alex']},
+  {in: 'path', style: 'label', explode: true,
+    results: ['.5', '.3.4.5', '.role=admin.firstName=Alex']},
+  {in: 'path', style: 'matrix', explode: false,
+    results: [';id=5', ';id=3,4,5', ';id=role,admin,firstName,Alex']},
+  {in: 'path', style: 'matrix', explode: true,
+    results: [';id=5', ';id=3;id=4;id=5', ';role=admin;firstName=Alex']},
+  {in: 'query', style: 'form', explode: true,
+    results: ['id=5', 'id=3&id=4&id=5', 'role=admin&firstName=Alex']},
+  {in: 'query', style: 'form', explode: false,
+    results: ['id=5', 'id=3,4,5', 'id=role,admin,firstName,Alex']},
+  {in: 'query', style: 'spaceDelimited', explode: false,
+    results: ['id=5', 'id=3%204%205', 'id=role%20admin%20firstName%20Alex']},
+  {in: 'query', style: 'pipeDelimited', explode: false,
+    results: ['id=5', 'id=3|4|5', 'id=role|admin|firstName|Alex']},
+  {in: 'query', style: 'deepObject', explode: true,
+    results: ['id=5', 'id=3&id=4&id=5',
+      'id%5Brole%5D=admin&id%5BfirstName%5D=Alex']},
+];
+
+describe('utils/serialization.js', function() {
+  describe('serializeParameter()', function() {
+    testCases.forEach(function(testCase) {
+      it(`should serialize ${testCase.in} parameters of style ` +
+        `${testCase.style} with explode ${testCase.explode}`, function() {
+        const parameter = {
+          name: 'id',
+          in: testCase.in,
+          style: testCase.style,
+          explode: testCase.explode,
+        };
+        assert.deepEqual([PRIMITIVE, ARRAY, OBJECT].map(function(value) {
+          return serializeParameter(parameter, value);
+        }), testCase.results);
+      });
+    });
+    it('should percent-encode values except reserved characters when ' +
+      'allowReserved is set', function() {
+      const parameter = {name: 'q', in: 'query'};
+      assert.equal(serializeParameter(parameter, 'a/b c'), 'q=a%2Fb%20c');
+      parameter.allowReserved = true;
+      assert.equal(serializeParameter(parameter, 'a/b c'), 'q=a/b%20c');
+    });
+  });
+
+  describe('resolvePath()', function() {
+    it('should substitute the serialized values of path parameters',
+        function() {
+          const parameters = [
+            {name: 'tag', in: 'path', style: 'label', explode: true},
+          ];
+          assert.equal(resolvePath('/pet/{petId}', {petId: 10}), '/pet/10');
+          assert.equal(resolvePath('/pet/{petId}/tag/{tag}',
+              {petId: 'a b', tag: [1, 2]}, parameters),
+          '/pet/a%20b/tag/.1.2');
+        });
+    it('should leave the path templates without values untouched',
+        function() {
+          assert.equal(resolvePath('/pet/{petId}', {}), '/pet/{petId}');
+        });
+  });
+
+  describe('buildQueryString()', function() {
+    it('should serialize the query parameters as per their style',
+        function() {
+          const parameters = [
+            {name: 'limit', in: 'query'},
+            {name: 'tags', in: 'query', style: 'pipeDelimited'},
+          ];
+          assert.equal(buildQueryString(
+              {status: ['sold', 'pending'], limit: 5, tags: ['a', 'b'],
+                skip: undefined}, parameters),
+          'status=sold&status=pending&limit=5&tags=a|b');
+        });
+  });
+
+  describe('buildRequestHeaders()', function() {
+    it('should serialize the header parameters in simple style', function() {
+      const parameters = [{name: 'X-Ids', in: 'header', explode: true}];
+      assert.deepEqual(buildRequestHeaders(
+          {'X-Ids': {a: 1, b: 2}, 'X-Tags': ['a', 'b'], 'X-Skip': undefined},
+          parameters), {'X-Ids': 'a=1,b=2', 'X-Tags': 'a,b'});
+    });
+  });
+
+  describe('buildCookieHeader()', function() {
+    it('should build a cookie header from the cookies', function() {
+      const parameters = [{name: 'ids', in: 'cookie', explode: false}];
+      assert.equal(buildCookieHeader({sessionId: 'abc', ids: [1, 2]},
+          parameters), 'sessionId=abc; ids=1,2');
+      assert.equal(buildCookieHeader({sessionId: 'a;b', debug: undefined}),
+          'sessionId=a%3Bb');
+      assert.equal(buildCookieHeader({}), '');
+    });
+  });
+
+  describe('getReceivedData()', function() {
+    it('should return the data received by a server for a parameter',
+        function() {
+          const parameter = {name: 'id', in: 'query',
+            schema: {type: 'integer'}};
+          assert.strictEqual(getReceivedData(parameter, '12'), 12);
+          assert.strictEqual(getReceivedData(parameter, 'ats'), 'ats');
+          assert.deepEqual(getReceivedData(parameter, [1, 2]), ['1', '2']);
+          assert.isUndefined(getReceivedData(parameter, {name: 'ats'}));
+        });
+    it('should return a string for the values of a string parameter',
+        function() {
+          const parameter = {name: 'X-Id', in: 'header',
+            schema: {type: 'string'}};
+          assert.strictEqual(getReceivedData(parameter, [1, 2, 3]), '1,2,3');
+          assert.strictEqual(getReceivedData(parameter, false), 'false');
+        });
+  });
+
+  describe('serializeRequestBody()', function() {
+    it('should send a JSON request body as is', function() {
+      const requestBody = {name: 'doggie'};
+      assert.deepEqual(serializeRequestBody(requestBody, 'application/json'),
+          {data: requestBody, contentType: 'application/json'});
+    });
+    it('should serialize an url-encoded form request body as per the ' +
+      'encoding of its properties', function() {
+      const {data, contentType} = serializeRequestBody(
+          {name: 'dog gie', tags: ['a', 'b'], ids: [1, 2], meta: {id: 1}},
+          'application/x-www-form-urlencoded',
+          {ids: {explode: false}, meta: {contentType: 'application/json'}});
+      assert.equal(contentType, 'application/x-www-form-urlencoded');
+      assert.equal(data, 'name=dog%20gie&tags=a&tags=b&ids=1,2&' +
+        'meta=%7B%22id%22%3A1%7D');
+    });
+    it('should serialize a multipart form request body into parts',
+        function() {
+          const schema = {
+            type: 'object',
+            properties: {
+              file: {type: 'string', format: 'binary'},
+              tags: {type: 'array', items: {type: 'string'}},
+              meta: {type: 'object'},
+            },
+          };
+          const {data, contentType} = serializeRequestBody(
+              {file: '\u00ff\u0000', tags: ['a', 'b'], meta: {id: 1}},
+              'multipart/form-data', {file: {contentType: 'image/png'}},
+              schema);
+          const boundary = contentType.split('boundary=')[1];
+          assert.match(contentType, /^multipart\/form-data; boundary=/);
+          assert.isTrue(Buffer.isBuffer(data));
+          const body = data.toString('latin1');
+          assert.include(body, 'Content-Disposition: form-data; name="file"; ' +
+            'filename="file"\r\nContent-Type: image/png\r\n\r\n\u00ff\u0000');
+          assert.equal(body.split('name="tags"').length, 3);
+          assert.include(body, 'Content-Type: application/json\r\n\r\n' +
+            '{"id":1}');
+          assert.isTrue(body.endsWith(`--${boundary}--\r\n`));
+        });
+  });
+
+  describe('getReceivedRequestBody()', function() {
+    it('should return the data received by a server for a form request body',
+        function() {
+          const schema = {
+            type: 'object',
+            properties: {
+              id: {type: 'integer'},
+              name: {type: 'string'},
+              category: {type: 'string'},
+            },
+          };
+          assert.deepEqual(getReceivedRequestBody(
+              {id: '12', name: 12, category: {id: 1}}, schema,
+              'application/x-www-form-urlencoded'), {id: 12, name: '12'});
+          assert.deepEqual(getReceivedRequestBody({name: 12}, schema,
+              'application/json'), {name: 12});
+        });
+  });
+
+  describe('serializeRequestBody() of XML and plain text', function() {
+    it('should serialize XML and plain text request bodies', function() {
+      const schema = {type: 'object', xml: {name: 'Pet'},
+        properties: {id: {type: 'integer'}}};
+      assert.deepEqual(serializeRequestBody({id: 1}, 'application/xml', {},
+          schema), {
+        data: '<?xml version="1.0" encoding="UTF-8"?><Pet><id>1</id></Pet>',
+        contentType: 'application/xml',
+      });
+      assert.deepEqual(serializeRequestBody(12, 'text/plain'),
+          {data: '12', contentType: 'text/plain'});
+    });
+    it('should return the data received by a server for XML and plain text ' +
+      'request bodies', function() {
+      const schema = {type: 'object', properties: {id: {type: 'integer'},
+        name: {type: 'string'}}};
+      assert.deepEqual(getReceivedRequestBody({id: '1', name: 2}, schema,
+          'application/xml'), {id: 1, name: '2'});
+      assert.strictEqual(getReceivedRequestBody(12, {type: 'string'},
+          'text/plain'), '12');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/* eslint-disable no-undef */
+const chai = require('chai');
+const assert = chai.assert;
+const {isSwaggerDoc, convertSwaggerDoc} = require('../../src/utils/swagger');
+const swaggerDoc = require('../../examples/swagger_doc.json');
+
+describe('utils/swagger.js', function() {
+  describe('isSwaggerDoc()', function() {
+    it('should detect Swagger 2.0 documents', function() {
+      assert.isTrue(isSwaggerDoc(swaggerDoc));
+      assert.isFalse(isSwaggerDoc({openapi: '3.0.3'}));
+    });
+  });
+
+  describe('convertSwaggerDoc()', function() {
+    const oasDoc = convertSwaggerDoc(swaggerDoc);
+
+    it('should build servers from host, basePath and schemes', function() {
+      assert.deepEqual(oasDoc.servers, [
+        {url: 'https://petstore.swagger.io/v2'},
+        {url: 'http://petstore.swagger.io/v2'},
+      ]);
+    });
+    it('should move definitions to the schema components', function() {
+      const petSchema = oasDoc.components.schemas.Pet;
+      assert.equal(petSchema.properties.category.$ref,
+          '#/components/schemas/Category');
+      assert.isTrue(petSchema.properties.tag.nullable);
+    });
+    it('should convert a body parameter into a request body of the media ' +
+        'types consumed', function() {
+      const requestBody = oasDoc.paths['/pet'].post.requestBody;
+      assert.isTrue(requestBody.required);
+      assert.hasAllKeys(requestBody.content,
+          ['application/json', 'application/xml']);
+      assert.equal(requestBody.content['application/json'].schema.$ref,
+          '#/components/schemas/Pet');
+      assert.notExists(oasDoc.paths['/pet'].post.parameters);
+    });
+    it('should convert formData parameters into a form request body',
+        function() {
+          const urlEncodedSchema = oasDoc.paths['/pet/{petId}'].post
+              .requestBody.content['application/x-www-form-urlencoded'].schema;
+          assert.deepEqual(urlEncodedSchema.required, ['name']);
+          assert.deepEqual(urlEncodedSchema.properties.status.enum,
+              ['available', 'pending', 'sold']);
+
+          const multipartSchema = oasDoc.paths['/pet/{petId}/uploadImage']
+              .post.requestBody.content['multipart/form-data'].schema;
+          assert.deepEqual(multipartSchema.properties.file,
+              {type: 'string', format: 'binary'});
+        });
+    it('should move the schema keys of a parameter into its schema',
+        function() {
+          const [status] = oasDoc.paths['/pet/findByStatus'].get.parameters;
+          assert.equal(status.schema.type, 'array');
+          assert.equal(status.schema.items.type, 'string');
+          assert.equal(status.style, 'form');
+          assert.isTrue(status.explode);
+          assert.deepEqual(oasDoc.paths['/pet/{petId}'].post.parameters,
+              [{$ref: '#/components/parameters/petId'}]);
+          assert.equal(oasDoc.components.parameters.petId.schema.minimum, 1);
+        });
+    it('should convert responses as per the media types produced',
+        function() {
+          const response = oasDoc.paths['/pet'].post.responses['200'];
+          assert.equal(response.content['application/json'].schema.$ref,
+              '#/components/schemas/Pet');
+          assert.notExists(oasDoc.paths['/pet'].post.responses['405'].content);
+        });
+    it('should convert security definitions into security schemes',
+        function() {
+          const securitySchemes = oasDoc.components.securitySchemes;
+          assert.deepEqual(securitySchemes.api_key,
+              {type: 'apiKey', name: 'api_key', in: 'header'});
+          assert.hasAllKeys(securitySchemes.petstore_auth.flows, ['implicit']);
+        });
+  });
+});
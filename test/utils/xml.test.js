@@ -0,0 +1,123 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable no-undef */
+const chai = require('chai');
+const assert = chai.assert;
+const {
+  isXMLMediaType,
+  serializeXML,
+  parseXML,
+} = require('../../src/utils/xml');
+
+const schema = {
+  type: 'object',
+  xml: {name: 'Pet', prefix: 'ats', namespace: 'http://ats.io/schema'},
+  properties: {
+    id: {type: 'integer', xml: {attribute: true}},
+    name: {type: 'string'},
+    available: {type: 'boolean'},
+    photoUrls: {
+      type: 'array',
+      xml: {wrapped: true},
+      items: {type: 'string', xml: {name: 'photoUrl'}},
+    },
+    tags: {
+      type: 'array',
+      items: {
+        type: 'object',
+        xml: {name: 'Tag'},
+        properties: {name: {type: 'string'}},
+      },
+    },
+  },
+};
+const pet = {
+  id: 10,
+  name: 'Tom & <Jerry>',
+  available: true,
+  photoUrls: ['a.png', 'b.png'],
+  tags: [{name: 'cat'}, {name: 'mouse'}],
+};
+
+describe('utils/xml.js', function() {
+  describe('isXMLMediaType()', function() {
+    it('should detect XML media types', function() {
+      assert.isTrue(isXMLMediaType('application/xml'));
+      assert.isTrue(isXMLMediaType('text/xml; charset=utf-8'));
+      assert.isTrue(isXMLMediaType('application/atom+xml'));
+      assert.isFalse(isXMLMediaType('application/json'));
+      assert.isFalse(isXMLMediaType(undefined));
+    });
+  });
+
+  describe('serializeXML()', function() {
+    it('should serialize data as per the xml object of its schema',
+        function() {
+          assert.equal(serializeXML(pet, schema),
+              '<?xml version="1.0" encoding="UTF-8"?>' +
+              '<ats:Pet xmlns:ats="http://ats.io/schema" id="10">' +
+              '<name>Tom &amp; &lt;Jerry&gt;</name>' +
+              '<available>true</available>' +
+              '<photoUrls><photoUrl>a.png</photoUrl>' +
+              '<photoUrl>b.png</photoUrl></photoUrls>' +
+              '<Tag><name>cat</name></Tag><Tag><name>mouse</name></Tag>' +
+              '</ats:Pet>');
+        });
+    it('should wrap an array in the root element', function() {
+      assert.equal(serializeXML([1, 2], {type: 'array',
+        items: {type: 'integer', xml: {name: 'id'}}}, 'ids'),
+      '<?xml version="1.0" encoding="UTF-8"?><ids><id>1</id><id>2</id></ids>');
+    });
+  });
+
+  describe('parseXML()', function() {
+    it('should parse the serialized data back as per its schema', function() {
+      assert.deepEqual(parseXML(serializeXML(pet, schema), schema), pet);
+    });
+    it('should keep the elements which are not specified in the schema',
+        function() {
+          assert.deepEqual(parseXML(
+              '<!-- pet --><Pet><name><![CDATA[<tom>]]></name>' +
+              '<color>red</color><color>blue</color></Pet>', schema),
+          {name: '<tom>', color: ['red', 'blue']});
+        });
+    it('should parse the elements as per the additionalProperties schema',
+        function() {
+          const inventorySchema = {
+            type: 'object',
+            additionalProperties: {type: 'integer'},
+          };
+          assert.deepEqual(parseXML(
+              '<Inventory><sold>5</sold><pending>2</pending></Inventory>',
+              inventorySchema), {sold: 5, pending: 2});
+        });
+    it('should throw an error on a malformed XML document', function() {
+      assert.throws(function() {
+        parseXML('<Pet><name>tom</Pet>', schema);
+      }, /Malformed XML/);
+    });
+    it('should throw an error on a closing tag of another name', function() {
+      assert.throws(function() {
+        parseXML('<a>1</ab>', {type: 'integer'});
+      }, /expected <\/a>/);
+      assert.throws(function() {
+        parseXML('<a>1</a junk>', {type: 'integer'});
+      }, /expected <\/a>/);
+      assert.equal(parseXML('<a>1</a >', {type: 'integer'}), 1);
+    });
+  });
+});
@@ -17,6 +17,7 @@
 const chai = require('chai');
 const assert = chai.assert;
 const {Schemas} = require('../examples/schemas');
+const {Error} = require('../src/constants');
 const {validateDataAgainstSchema} = require('../src/validator');
 
 const positiveTestcases = [
@@ -36,6 +37,14 @@ const positiveTestcases = [
     data: 3,
     schema: {type: 'integer', minimum: 1, maximum: 4},
   },
+  {
+    data: 0,
+    schema: {type: 'integer', minimum: 0, maximum: 4},
+  },
+  {
+    data: 0.3,
+    schema: {type: 'number', exclusiveMinimum: 0, multipleOf: 0.1},
+  },
   {
     data: [123, 400, 456],
     schema: Schemas.ARRAY,
@@ -60,6 +69,42 @@ const positiveTestcases = [
     data: '2002:4559:1FE2::4559:1FE2',
     schema: {'type': 'string', 'format': 'ipv6'},
   },
+  {
+    data: '2020-02-29',
+    schema: {type: 'string', format: 'date'},
+  },
+  {
+    data: '2020-07-17T10:20:30.123+05:30',
+    schema: {type: 'string', format: 'date-time'},
+  },
+  {
+    data: '23:59:60Z',
+    schema: {type: 'string', format: 'time'},
+  },
+  {
+    data: 'YXRzIQ==',
+    schema: {type: 'string', format: 'byte'},
+  },
+  {
+    data: 'api.example.com',
+    schema: {type: 'string', format: 'hostname'},
+  },
+  {
+    data: '../pets/1?fields=name#tag',
+    schema: {type: 'string', format: 'uri-reference'},
+  },
+  {
+    data: 'https://例え.jp/ペット',
+    schema: {type: 'string', format: 'iri'},
+  },
+  {
+    data: 'p@ssw0rd',
+    schema: {type: 'string', format: 'password', minLength: 8},
+  },
+  {
+    data: '9876543210',
+    schema: {type: 'string', format: 'phone'},
+  },
   {
     data: '123-12-1234',
     schema: {'type': 'string', 'pattern': '(\\d{3}-\\d{2}-\\d{4})$'},
@@ -80,6 +125,70 @@ const positiveTestcases = [
     data: {'bark': 'yes', 'breed': 'Husky'},
     schema: Schemas.ONEOF,
   },
+  {
+    data: 3,
+    schema: {type: 'integer', enum: [1, 2, 3]},
+  },
+  {
+    data: null,
+    schema: {type: ['string', 'null']},
+  },
+  {
+    data: 'Doggie',
+    schema: {type: ['string', 'null']},
+  },
+  {
+    data: 5,
+    schema: {type: ['string', 'integer'], minimum: 1},
+  },
+  {
+    data: 'pet',
+    schema: {const: 'pet'},
+  },
+  {
+    data: [10.5, 20.5],
+    schema: Schemas.OAS31.properties.location,
+  },
+  {
+    data: {name: 'Doggie', kind: 'pet', email: 'a@b.com', phone: '1234'},
+    schema: Schemas.OAS31,
+  },
+  {
+    data: {country: 'US', zipCode: '12345'},
+    schema: Schemas.CONDITIONAL,
+  },
+  {
+    data: {country: 'IN', zipCode: '123456'},
+    schema: Schemas.CONDITIONAL,
+  },
+  {
+    data: {id: 10, name: 'Doggie'},
+    schema: Schemas.ALLOF,
+  },
+  {
+    data: {contact: 1234, size: 'M', role: 'user', reference: 12},
+    schema: Schemas.ANYOF_NOT,
+  },
+  {
+    data: {contact: 'abilash@gmail.com', size: 10},
+    schema: Schemas.ANYOF_NOT,
+  },
+  {
+    data: {pet: {petType: 'dog', bark: true}},
+    schema: Schemas.DISCRIMINATOR,
+  },
+  {
+    data: {name: 'ats', scores: {math: 90}, metadata: {source: 'a', id: 1}},
+    schema: Schemas.ADDITIONAL_PROPERTIES,
+  },
+  {
+    data: {name: 'ats', nickname: null, tags: [{label: null}]},
+    schema: Schemas.NULLABLE,
+  },
+  {
+    data: {name: 'ats', password: 'password'},
+    schema: Schemas.READ_WRITE_ONLY,
+  },
 ];
 
 const negativeTestcases = [
@@ -127,6 +236,10 @@ const negativeTestcases = [
     data: 9,
     schema: {type: 'integer', minimum: 1, maximum: 4},
   },
+  {
+    data: -1,
+    schema: {type: 'integer', minimum: 0},
+  },
   {
     data: [123, 500, 456],
     schema: Schemas.ARRAY,
@@ -153,7 +266,39 @@ const negativeTestcases = [
   },
   {
     data: '9876543210',
-    schema: {'type': 'string', 'format': 'phone'},
+    schema: {'type': 'string', 'format': 'phone', 'maxLength': 5},
+  },
+  {
+    data: '2021-02-29',
+    schema: {type: 'string', format: 'date'},
+  },
+  {
+    data: '2020-07-17 10:20:30',
+    schema: {type: 'string', format: 'date-time'},
+  },
+  {
+    data: '24:00:00Z',
+    schema: {type: 'string', format: 'time'},
+  },
+  {
+    data: 'YXRzIQ',
+    schema: {type: 'string', format: 'byte'},
+  },
+  {
+    data: '-api.example.com',
+    schema: {type: 'string', format: 'hostname'},
+  },
+  {
+    data: '/pets/{id}',
+    schema: {type: 'string', format: 'uri-reference'},
+  },
+  {
+    data: '/ペット',
+    schema: {type: 'string', format: 'iri'},
+  },
+  {
+    data: 'secret',
+    schema: {type: 'string', format: 'password', minLength: 8},
   },
   {
     data: '123--12-1234',
@@ -175,6 +320,74 @@ const negativeTestcases = [
     data: {'bark': true, 'breed': 'Husky'},
     schema: Schemas.ONEOF,
   },
+  {
+    data: {'bark': 'yes', 'breed': 'Husky', 'hunts': true},
+    schema: Schemas.ONEOF,
+  },
+  {
+    data: true,
+    schema: {type: ['string', 'null']},
+  },
+  {
+    data: 0,
+    schema: {type: ['string', 'integer'], minimum: 1},
+  },
+  {
+    data: 'cat',
+    schema: {const: 'pet'},
+  },
+  {
+    data: [10.5, 20.5, 30.5],
+    schema: Schemas.OAS31.properties.location,
+  },
+  {
+    data: ['north', 20.5],
+    schema: Schemas.OAS31.properties.location,
+  },
+  {
+    data: {name: 'Doggie', kind: 'pet', email: 'a@b.com'},
+    schema: Schemas.OAS31,
+  },
+  {
+    data: {country: 'US', zipCode: '123456'},
+    schema: Schemas.CONDITIONAL,
+  },
+  {
+    data: {id: 101, name: 'Doggie'},
+    schema: Schemas.ALLOF,
+  },
+  {
+    data: {contact: 12},
+    schema: Schemas.ANYOF_NOT,
+  },
+  {
+    data: {contact: 1234, role: 'admin'},
+    schema: Schemas.ANYOF_NOT,
+  },
+  {
+    data: {contact: 1234, reference: 'ref'},
+    schema: Schemas.ANYOF_NOT,
+  },
+  {
+    data: {name: null, nickname: 'ats'},
+    schema: Schemas.NULLABLE,
+  },
+  {
+    data: {name: 'ats', age: 10},
+    schema: Schemas.ADDITIONAL_PROPERTIES,
+  },
+  {
+    data: {name: 'ats', scores: {math: '90'}},
+    schema: Schemas.ADDITIONAL_PROPERTIES,
+  },
+  {
+    data: {pet: {petType: 'bird', bark: true}},
+    schema: Schemas.DISCRIMINATOR,
+  },
+  {
+    data: {pet: {petType: 'cat', bark: true}},
+    schema: Schemas.DISCRIMINATOR,
+  },
 ];
 
 describe('validator.js', function() {
@@ -195,5 +408,131 @@ describe('validator.js', function() {
             assert.isNotEmpty(errors);
           });
         });
+    it('should report exclusive limits and multipleOf with their own error ' +
+      'types', function() {
+      const testCases = [
+        {data: 1, schema: {type: 'number', minimum: 1, exclusiveMinimum: true},
+          errorType: Error.EXCLUSIVE_RANGE},
+        {data: 5, schema: {type: 'number', exclusiveMaximum: 5},
+          errorType: Error.EXCLUSIVE_RANGE},
+        {data: 6, schema: {type: 'number', exclusiveMaximum: 5},
+          errorType: Error.OUT_OF_RANGE},
+        {data: 10, schema: {type: 'integer', multipleOf: 4},
+          errorType: Error.MULTIPLE_OF},
+      ];
+      testCases.forEach(function({data, schema, errorType}) {
+        const errors = validateDataAgainstSchema(data, schema, '$');
+        assert.lengthOf(errors, 1);
+        assert.equal(errors[0].errorType, errorType);
+      });
+    });
+    it('should validate the number of items and unique items of arrays',
+        function() {
+          const schema = Schemas.ARRAY_LIMITS;
+          assert.isEmpty(validateDataAgainstSchema(
+              {tags: ['cat', 'dog'], location: [1.5, 2.5, 'a', 'b']},
+              schema, '$'));
+          const testCases = [
+            {data: {tags: ['cat']}, errorType: Error.OUT_OF_RANGE},
+            {data: {tags: ['cat', 'dog', 'pet', 'ats', 'oas']},
+              errorType: Error.OUT_OF_RANGE},
+            {data: {tags: ['cat', 'dog', 'cat']},
+              errorType: Error.DUPLICATE_ITEMS},
+            {data: {ratings: []}, errorType: Error.OUT_OF_RANGE},
+          ];
+          testCases.forEach(function({data, errorType}) {
+            const errors = validateDataAgainstSchema(data, schema, '$');
+            assert.lengthOf(errors, 1);
+            assert.equal(errors[0].errorType, errorType);
+          });
+        });
+    it('should validate the number of keys and names of keys of objects',
+        function() {
+          const schema = Schemas.PROPERTY_LIMITS;
+          assert.isEmpty(validateDataAgainstSchema(
+              {labels: {env: 'prod', team: 'ats', tier: '1'},
+                contact: {fax: '0123456789'}}, schema, '$'));
+          const testCases = [
+            {data: {labels: {env: 'prod', team: 'ats'}},
+              errorType: Error.OUT_OF_RANGE},
+            {data: {contact: {fax: '0123456789', phone: '0123456789'}},
+              errorType: Error.OUT_OF_RANGE},
+            {data: {labels: {env: 'prod', team: 'ats', Tier: '1'}},
+              errorType: Error.PROPERTY_NAME},
+          ];
+          testCases.forEach(function({data, errorType}) {
+            const errors = validateDataAgainstSchema(data, schema, '$');
+            assert.lengthOf(errors, 1);
+            assert.equal(errors[0].errorType, errorType);
+          });
+        });
+    it('should validate data against each of the allOf subschemas',
+        function() {
+          const errors = validateDataAgainstSchema({id: 0}, Schemas.ALLOF, '$');
+          assert.deepEqual(errors.map(function(error) {
+            return error.errorType;
+          }), [Error.OUT_OF_RANGE, Error.REQUIRED_KEY]);
+        });
+    it('should validate keys which are not specified in the properties',
+        function() {
+          const errors = validateDataAgainstSchema(
+              {name: 'ats', age: 10, scores: {math: 101}},
+              Schemas.ADDITIONAL_PROPERTIES, '$');
+          assert.lengthOf(errors, 2);
+          assert.equal(errors[0].errorType, Error.ADDITIONAL_PROPERTY);
+          assert.equal(errors[0].errorDetails.key, '$.age');
+          assert.equal(errors[1].errorType, Error.OUT_OF_RANGE);
+          assert.equal(errors[1].errorDetails.key, '$.scores.math');
+        });
+    it('should validate readOnly and writeOnly keys as per the direction of ' +
+        'data', function() {
+      const schema = Schemas.READ_WRITE_ONLY;
+      const request = {id: 1, name: 'ats', password: 'password'};
+      let errors = validateDataAgainstSchema(request, schema, '$',
+          {request: true});
+      assert.lengthOf(errors, 1);
+      assert.equal(errors[0].errorType, Error.READ_ONLY);
+      assert.equal(errors[0].errorDetails.key, '$.id');
+
+      errors = validateDataAgainstSchema(request, schema, '$',
+          {response: true});
+      assert.lengthOf(errors, 1);
+      assert.equal(errors[0].errorType, Error.WRITE_ONLY);
+      assert.equal(errors[0].errorDetails.key, '$.password');
+
+      assert.isEmpty(validateDataAgainstSchema({id: 1, name: 'ats'}, schema,
+          '$', {response: true}));
+      errors = validateDataAgainstSchema({name: 'ats'}, schema, '$',
+          {response: true});
+      assert.equal(errors[0].errorType, Error.REQUIRED_KEY);
+      assert.equal(errors[0].errorDetails.requiredKey, 'id');
+    });
+    it('should report the oneOf subschemas matched by ambiguous data',
+        function() {
+          const errors = validateDataAgainstSchema(
+              {breed: 'Dingo', hunts: false}, Schemas.ONEOF, '$');
+          assert.lengthOf(errors, 1);
+          assert.equal(errors[0].errorType, Error.ONE_OF_AMBIGUITY);
+          assert.deepEqual(errors[0].errorDetails.matchedSubschemas, [0, 1]);
+        });
+    it('should validate data against the subschema chosen by discriminator',
+        function() {
+          const schema = Schemas.DISCRIMINATOR;
+          let errors = validateDataAgainstSchema(
+              {pet: {petType: 'cat', lives: 10}}, schema, '$');
+          assert.lengthOf(errors, 1);
+          assert.equal(errors[0].errorType, Error.OUT_OF_RANGE);
+          assert.equal(errors[0].errorDetails.key, '$.pet.lives');
+
+          errors = validateDataAgainstSchema(
+              {pet: {petType: 'bird'}}, schema, '$');
+          assert.lengthOf(errors, 1);
+          assert.equal(errors[0].errorType, Error.DISCRIMINATOR);
+          assert.deepEqual(errors[0].errorDetails.allowedValues,
+              ['dog', 'cat']);
+
+          errors = validateDataAgainstSchema({pet: {bark: true}}, schema, '$');
+          assert.equal(errors[0].errorType, Error.REQUIRED_KEY);
+        });
   });
 });